@@ -5,7 +5,7 @@ import IsNil from 'lodash/isNil';
 import Merge from 'lodash/merge';
 import Path from 'path';
 
-import Browsers from './constants/browsers';
+import Config from './config';
 import Extension from './extension';
 import Version from './version';
 import Vorpal from './vorpal';
@@ -44,7 +44,7 @@ export function findBrowser(basePath, browser) {
 }
 
 export function getBrowser(name) {
-    return Find(Browsers, (browser) => (
+    return Find(Config.get().browsers, (browser) => (
         browser.name === name ||
         browser.package === name
     ));
@@ -54,14 +54,16 @@ export function isBrowser(name) {
     return !IsNil(getBrowser(name));
 }
 
-function resolveFeatures(features) {
+function resolveFeatures(browser, extension) {
     return Merge({
         contentScripts: 'static',
         permissions: 'static'
-    }, features);
+    }, extension.features, browser.features);
 }
 
 export function getBrowsers(name) {
+    let Browsers = Config.get().browsers;
+
     if(name === 'all') {
         return Object.values(Browsers);
     }
@@ -70,7 +72,7 @@ export function getBrowsers(name) {
         return [Browsers[name]];
     }
 
-    throw new Error(`Invalid browser: "${name}"`);
+    throw new Error(`Invalid browser: "${name}" (expected one of: all, ${Object.keys(Browsers).join(', ')})`);
 }
 
 export function resolve(packageDir, browser) {
@@ -85,7 +87,7 @@ export function resolve(packageDir, browser) {
         .then((browser) => Extension.resolve(packageDir, browser).then((extension) => ({
             ...browser,
 
-            features: resolveFeatures(extension.features),
+            features: resolveFeatures(browser, extension),
             modules: extension.modules,
             extension
         })))
@@ -0,0 +1,147 @@
+import Filesystem from 'fs-extra';
+import Glob from 'glob';
+import IsEqual from 'lodash/isEqual';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+import ZipObject from 'lodash/zipObject';
+
+import Checksum from './checksum';
+import Json from './json';
+
+
+export const CacheVersion = 1;
+
+export function getCachePath(environment) {
+    return Path.join(environment.buildPath, '.cache');
+}
+
+function getEntryPath(environment, name) {
+    return Path.join(getCachePath(environment), `${name.replace(/[^\w\-]/g, '-')}.json`);
+}
+
+export function findFiles(patterns) {
+    let files = [];
+
+    for(let i = 0; i < patterns.length; i++) {
+        files.push(...Glob.sync(patterns[i], {
+            absolute: true,
+            dot: true,
+            nodir: true
+        }));
+    }
+
+    return Uniq(Map(files, (path) => Path.normalize(path))).sort();
+}
+
+export function hashFiles(patterns) {
+    let files = findFiles(patterns);
+
+    // Calculate hashes for each file
+    return Promise.all(Map(files, (path) => Checksum.calculate(path))).then((hashes) =>
+        ZipObject(files, hashes)
+    );
+}
+
+export function read(environment, name) {
+    return Json.read(getEntryPath(environment, name), null).then((entry) => {
+        if(IsNil(entry) || entry.version !== CacheVersion) {
+            return null;
+        }
+
+        return entry;
+    }, () => (
+        null
+    ));
+}
+
+export function readAll(environment) {
+    let path = getCachePath(environment);
+
+    if(!Filesystem.existsSync(path)) {
+        return Promise.resolve([]);
+    }
+
+    return Filesystem.readdir(path).then((names) => Promise.all(Map(names, (name) =>
+        Json.read(Path.join(path, name), null).catch(() => null)
+    ))).then((entries) =>
+        entries.filter((entry) => !IsNil(entry) && entry.version === CacheVersion)
+    );
+}
+
+export function write(environment, name, entry) {
+    return Filesystem.outputJson(getEntryPath(environment, name), {
+        ...entry,
+
+        version: CacheVersion
+    }, {
+        spaces: 2
+    });
+}
+
+export function getOutputs(environment) {
+    return readAll(environment).then((entries) => {
+        let outputs = [];
+
+        for(let i = 0; i < entries.length; i++) {
+            outputs.push(...Object.keys(entries[i].outputs || {}));
+        }
+
+        return Uniq(outputs).sort();
+    });
+}
+
+export function isValid(entry, key, inputs) {
+    if(IsNil(entry) || !IsEqual(entry.key, key) || !IsEqual(entry.inputs, inputs)) {
+        return Promise.resolve(false);
+    }
+
+    // Ensure outputs haven't been changed (or removed)
+    let outputs = Object.keys(entry.outputs || {});
+
+    return Promise.all(Map(outputs, (path) => Checksum.calculate(path).catch(() => null))).then((hashes) =>
+        IsEqual(ZipObject(outputs, hashes), entry.outputs)
+    );
+}
+
+export function run(log, environment, name, {key = null, inputs = [], outputs = []}, target) {
+    return Promise.all([read(environment, name), hashFiles(inputs)]).then(([entry, inputHashes]) =>
+        isValid(entry, key, inputHashes).then((valid) => {
+            if(valid) {
+                log.info(`Skipped (${Object.keys(inputHashes).length} input(s) unchanged)`);
+                return Promise.resolve();
+            }
+
+            log.debug(`Cache miss (${Object.keys(inputHashes).length} input(s))`);
+
+            // Remove outputs from the previous run
+            return Promise.all(Map(Object.keys((entry && entry.outputs) || {}), (path) =>
+                Filesystem.remove(path)
+            ))
+                // Run task
+                .then(() => target())
+                // Store input and output hashes
+                .then((result) => hashFiles(outputs).then((outputHashes) =>
+                    write(environment, name, {
+                        key,
+
+                        inputs: inputHashes,
+                        outputs: outputHashes
+                    })
+                ).then(() =>
+                    result
+                ));
+        })
+    );
+}
+
+export default {
+    getCachePath,
+    getOutputs,
+    hashFiles,
+    isValid,
+    read,
+    run,
+    write
+};
@@ -0,0 +1,75 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {run} from './cache';
+
+
+describe('Cache', () => {
+    let environment;
+    let log;
+
+    beforeEach(() => {
+        environment = {
+            buildPath: Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-cache-'))
+        };
+
+        log = {
+            debug: () => {},
+            info: () => {}
+        };
+
+        Filesystem.outputFileSync(Path.join(environment.buildPath, 'input/a.json'), '{"a": 1}');
+    });
+
+    afterEach(() => {
+        Filesystem.removeSync(environment.buildPath);
+    });
+
+    function runTask(target) {
+        return run(log, environment, 'build:test', {
+            key: ['core'],
+
+            inputs: [Path.join(environment.buildPath, 'input/**/*.json')],
+            outputs: [Path.join(environment.buildPath, 'output/**/*')]
+        }, () => {
+            target();
+
+            return Filesystem.outputFile(Path.join(environment.buildPath, 'output/a.json'), '{"a": 1}');
+        });
+    }
+
+    describe('run', () => {
+        it('should skip tasks with unchanged inputs', () => {
+            let target = jasmine.createSpy('target');
+
+            return runTask(target)
+                .then(() => runTask(target))
+                .then(() => {
+                    expect(target.calls.count()).toBe(1);
+                });
+        });
+
+        it('should run tasks with changed inputs', () => {
+            let target = jasmine.createSpy('target');
+
+            return runTask(target)
+                .then(() => Filesystem.outputFile(Path.join(environment.buildPath, 'input/a.json'), '{"a": 2}'))
+                .then(() => runTask(target))
+                .then(() => {
+                    expect(target.calls.count()).toBe(2);
+                });
+        });
+
+        it('should run tasks with removed outputs', () => {
+            let target = jasmine.createSpy('target');
+
+            return runTask(target)
+                .then(() => Filesystem.remove(Path.join(environment.buildPath, 'output/a.json')))
+                .then(() => runTask(target))
+                .then(() => {
+                    expect(target.calls.count()).toBe(2);
+                });
+        });
+    });
+});
@@ -2,19 +2,41 @@ import Assign from 'lodash/assign';
 import Crypto from 'crypto';
 import Filesystem from 'fs-extra';
 import Glob from 'glob';
+import IsNil from 'lodash/isNil';
 import Map from 'lodash/map';
 import Path from 'path';
 
 
-export function calculate(path) {
+// Checksum file names (by hash algorithm)
+export const Algorithms = {
+    'md5': 'MD5SUMS',
+    'sha1': 'SHA1SUMS',
+    'sha256': 'SHA256SUMS',
+    'sha512': 'SHA512SUMS'
+};
+
+// Build files included in checksum files (archives, and the bill of materials written by "build:sbom")
+export const BuildPattern = '{unpacked/**/*,*.zip,sbom.*}';
+
+export function getSumsName(algorithm) {
+    if(IsNil(Algorithms[algorithm])) {
+        throw new Error(
+            `Unsupported checksum algorithm: "${algorithm}" (expected one of: ${Object.keys(Algorithms).join(', ')})`
+        );
+    }
+
+    return Algorithms[algorithm];
+}
+
+export function calculate(path, algorithm = 'md5') {
     return Filesystem.readFile(path).then((data) => {
-        return Crypto.createHash('md5')
+        return Crypto.createHash(algorithm)
             .update(data, 'binary')
             .digest('hex');
     });
 }
 
-export function calculateMany(base, source) {
+export function calculateMany(base, source, algorithm = 'md5') {
     return new Promise((resolve, reject) => {
         Glob(Path.join(base, source), (err, files) => {
             if(err) {
@@ -35,7 +57,7 @@ export function calculateMany(base, source) {
                 let name = Path.relative(base, path).replace(/\\/g, '/');
                 let result = {};
 
-                return calculate(path).then((hash) => {
+                return calculate(path, algorithm).then((hash) => {
                     result[name] = hash;
                     return result;
                 });
@@ -46,7 +68,7 @@ export function calculateMany(base, source) {
     });
 }
 
-function encodeHashes(hashes) {
+export function encodeHashes(hashes) {
     let lines = Map(Object.keys(hashes).sort(), (key) => {
         return `${hashes[key]}  ${key}\n`;
     });
@@ -54,13 +76,34 @@ function encodeHashes(hashes) {
     return lines.join('');
 }
 
-export function writeMany(base, source, destination = 'MD5SUMS') {
-    return calculateMany(base, source).then((hashes) =>
+export function compareHashes(expected, current) {
+    let names = Object.keys(expected);
+
+    return {
+        missing: names.filter((name) => IsNil(current[name])).sort(),
+        extra: Object.keys(current).filter((name) => IsNil(expected[name])).sort(),
+
+        mismatched: names.filter((name) => !IsNil(current[name]) && current[name] !== expected[name]).sort()
+    };
+}
+
+export function writeMany(base, source, algorithm = 'md5', destination = null) {
+    destination = destination || getSumsName(algorithm);
+
+    return calculateMany(base, source, algorithm).then((hashes) =>
         Filesystem.writeFile(Path.join(base, destination), encodeHashes(hashes))
+    ).then(() =>
+        destination
     );
 }
 
 export default {
+    Algorithms,
+    BuildPattern,
+
     calculate,
+    calculateMany,
+    compareHashes,
+    getSumsName,
     writeMany
 };
@@ -0,0 +1,78 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {BuildPattern, compareHashes, getSumsName, writeMany} from './checksum';
+
+
+describe('Checksum', () => {
+    describe('getSumsName', () => {
+        it('should return checksum file names', () => {
+            expect(getSumsName('md5')).toBe('MD5SUMS');
+            expect(getSumsName('sha256')).toBe('SHA256SUMS');
+        });
+
+        it('should reject unsupported algorithms', () => {
+            expect(() => getSumsName('crc32')).toThrowError(
+                'Unsupported checksum algorithm: "crc32" (expected one of: md5, sha1, sha256, sha512)'
+            );
+        });
+    });
+
+    describe('compareHashes', () => {
+        it('should return missing, extra and mismatched files', () => {
+            expect(compareHashes({
+                'unpacked/a.js': 'a',
+                'unpacked/b.js': 'b',
+                'unpacked/c.js': 'c'
+            }, {
+                'unpacked/a.js': 'a',
+                'unpacked/b.js': 'x',
+                'unpacked/d.js': 'd'
+            })).toEqual({
+                missing: ['unpacked/c.js'],
+                extra: ['unpacked/d.js'],
+                mismatched: ['unpacked/b.js']
+            });
+        });
+    });
+
+    describe('writeMany', () => {
+        let path;
+
+        beforeEach(() => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-checksum-'));
+
+            Filesystem.outputFileSync(Path.join(path, 'unpacked/a.txt'), 'a');
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        it('should write sha256 checksums', () => {
+            return writeMany(path, 'unpacked/**/*', 'sha256').then((name) => {
+                expect(name).toBe('SHA256SUMS');
+
+                expect(Filesystem.readFileSync(Path.join(path, name), 'utf-8')).toBe(
+                    'ca978112ca1bbdcafac231b39a23dc4da786eff8147c4e72b9807785afee48bb  unpacked/a.txt\n'
+                );
+            });
+        });
+
+        it('should include archives and bills of materials in build checksums', () => {
+            Filesystem.outputFileSync(Path.join(path, 'Radon-Chrome-1.0.0.zip'), 'zip');
+            Filesystem.outputFileSync(Path.join(path, 'sbom.cdx.json'), '{}');
+            Filesystem.outputFileSync(Path.join(path, 'sbom.spdx'), 'spdx');
+            Filesystem.outputFileSync(Path.join(path, 'webpack.stats.json'), '{}');
+
+            return writeMany(path, BuildPattern, 'sha256').then((name) => {
+                let names = Filesystem.readFileSync(Path.join(path, name), 'utf-8').trim().split('\n').map((line) =>
+                    line.substring(66)
+                );
+
+                expect(names).toEqual(['Radon-Chrome-1.0.0.zip', 'sbom.cdx.json', 'sbom.spdx', 'unpacked/a.txt']);
+            });
+        });
+    });
+});
@@ -0,0 +1,527 @@
+import CloneDeep from 'lodash/cloneDeep';
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import IsBoolean from 'lodash/isBoolean';
+import IsFunction from 'lodash/isFunction';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+import IsString from 'lodash/isString';
+import MapValues from 'lodash/mapValues';
+import Merge from 'lodash/merge';
+import MergeWith from 'lodash/mergeWith';
+import Omit from 'lodash/omit';
+import Path from 'path';
+
+import Checksum from './checksum';
+import Signature from './signature';
+import {BaseBrowser, Browsers, Environments, ServiceIds, ServiceOptions} from './constants';
+import {parseSize} from './size';
+
+
+export const ConfigName = 'radon.config.js';
+
+export const DefaultConfig = {
+    browsers: {},
+    environments: {},
+    services: {},
+
+    webpack: {
+        include: [
+            'foundation-sites',
+            'lodash-es',
+            'wes'
+        ],
+
+        externals: {
+            'jquery': 'jQuery',
+            'react': 'React',
+            'react-dom': 'ReactDOM'
+        }
+    },
+
+    release: {
+        remotes: [
+            'bitbucket',
+            'origin'
+        ]
+    },
+
+    licenses: {
+        // Bundled package licenses are only checked when an allow or deny list has been defined
+        allow: [],
+        deny: [],
+
+        // Package license overrides (SPDX expression, or `true` to permit the package)
+        overrides: {}
+    },
+
+    checksums: {
+        algorithms: ['md5', 'sha256', 'sha512'],
+
+        // Detached signing of checksum files (tool: "gpg" or "minisign", key: key id or secret key path)
+        signing: {
+            tool: null,
+            key: null
+        }
+    },
+
+    deploy: {
+        // Deploy targets (e.g. { releases: { provider: 's3', endpoint: '...', bucket: '...' } })
+        targets: {},
+
+        chromeWebStore: {
+            itemId: null
+        },
+
+        amo: {
+            // Defaults to the gecko id in the extension manifest
+            addonId: null
+        }
+    },
+
+    locales: {
+        default: 'en',
+
+        // Namespace used to build browser messages ("_locales/<language>/messages.json")
+        messages: 'manifest'
+    },
+
+    github: {
+        owner: 'RadonApp'
+    }
+};
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every((item) => IsString(item) && item.length > 0);
+}
+
+function isStringMap(value) {
+    return IsPlainObject(value) && Object.values(value).every(IsString);
+}
+
+function isNonEmptyString(value) {
+    return IsString(value) && value.length > 0;
+}
+
+function isOptionalString(value) {
+    return IsNil(value) || isNonEmptyString(value);
+}
+
+function isLicenseOverrides(value) {
+    return IsPlainObject(value) && Object.values(value).every((item) => item === true || isNonEmptyString(item));
+}
+
+function isChecksumAlgorithms(value) {
+    return Array.isArray(value) && value.length > 0 && value.every((item) => !IsNil(Checksum.Algorithms[item]));
+}
+
+function isSizes(value) {
+    return IsPlainObject(value) && Object.values(value).every((size) => !IsNil(parseSize(size)));
+}
+
+function isDeployTargets(value) {
+    // Providers are validated by the deploy task
+    return IsPlainObject(value) && Object.values(value).every((target) =>
+        IsPlainObject(target) && isNonEmptyString(target.provider) &&
+        (IsNil(target.include) || isStringArray(target.include)) &&
+        (IsNil(target.prefix) || isNonEmptyString(target.prefix))
+    );
+}
+
+function isFeatureMode(value) {
+    return ['dynamic', 'static'].indexOf(value) >= 0;
+}
+
+const BrowserProperties = {
+    title: [isNonEmptyString, 'a string'],
+    package: [isNonEmptyString, 'a string'],
+    repository: [isNonEmptyString, 'a string'],
+
+    includeVersionName: [IsBoolean, 'a boolean'],
+    manifestVersion: [(value) => [2, 3].indexOf(value) >= 0, 'one of: 2, 3'],
+
+    features: {
+        contentScripts: [isFeatureMode, 'one of: dynamic, static'],
+        permissions: [isFeatureMode, 'one of: dynamic, static']
+    },
+
+    transformManifest: [IsFunction, 'a function'],
+
+    webpack: {
+        common: [isStringArray, 'an array of strings']
+    }
+};
+
+const CustomBrowserProperties = {
+    ...BrowserProperties,
+
+    extends: [(value) => !IsNil(Browsers[value]), `one of: ${Object.keys(Browsers).join(', ')}`]
+};
+
+const CustomBrowserRequired = [
+    'title',
+    'package',
+    'repository'
+];
+
+const CustomBrowserNameRegex = /^[a-z][a-z0-9\-]*$/;
+
+const EnvironmentProperties = {
+    title: [isNonEmptyString, 'a string'],
+
+    release: [IsBoolean, 'a boolean'],
+
+    nodeEnv: [isNonEmptyString, 'a string'],
+    define: [IsPlainObject, 'an object'],
+
+    permissions: {
+        enforce: [IsBoolean, 'a boolean']
+    },
+
+    webpack: {
+        debug: [IsBoolean, 'a boolean'],
+        minimize: [IsBoolean, 'a boolean'],
+        reload: [IsBoolean, 'a boolean'],
+        validate: [IsBoolean, 'a boolean'],
+
+        devtool: [(value) => value === false || isNonEmptyString(value), 'a string, or false'],
+
+        budgets: [isSizes, 'an object of chunk sizes (e.g. 250000, or "250 KB")']
+    }
+};
+
+const CustomEnvironmentProperties = {
+    ...EnvironmentProperties,
+
+    extends: [(value) => !IsNil(Environments[value]), `one of: ${Object.keys(Environments).join(', ')}`]
+};
+
+const CustomEnvironmentNameRegex = /^[a-z][a-z0-9\-]*$/;
+
+const ServiceProperties = {
+    include: [IsBoolean, 'a boolean']
+};
+
+const ConfigProperties = {
+    webpack: {
+        include: [isStringArray, 'an array of strings'],
+        externals: [isStringMap, 'an object of strings']
+    },
+
+    release: {
+        remotes: [isStringArray, 'an array of strings']
+    },
+
+    licenses: {
+        allow: [isStringArray, 'an array of strings'],
+        deny: [isStringArray, 'an array of strings'],
+
+        overrides: [isLicenseOverrides, 'an object of license expressions (or true)']
+    },
+
+    checksums: {
+        algorithms: [isChecksumAlgorithms, `an array of algorithms (${Object.keys(Checksum.Algorithms).join(', ')})`],
+
+        signing: {
+            tool: [(value) => IsNil(value) || !IsNil(Signature.Tools[value]), 'one of: gpg, minisign'],
+            key: [isOptionalString, 'a string']
+        }
+    },
+
+    deploy: {
+        targets: [isDeployTargets, 'an object of targets (with a provider)'],
+
+        chromeWebStore: {
+            itemId: [isOptionalString, 'a string']
+        },
+
+        amo: {
+            addonId: [isOptionalString, 'a string']
+        }
+    },
+
+    locales: {
+        default: [isNonEmptyString, 'a string'],
+        messages: [isNonEmptyString, 'a string']
+    },
+
+    github: {
+        owner: [isNonEmptyString, 'a string']
+    }
+};
+
+function validateProperties(errors, properties, value, path) {
+    if(!IsPlainObject(value)) {
+        errors.push(`"${path}" should be an object`);
+        return;
+    }
+
+    ForEach(value, (item, key) => {
+        let property = properties[key];
+
+        if(IsNil(property)) {
+            errors.push(`Unknown property "${path}.${key}"`);
+            return;
+        }
+
+        // Validate child properties
+        if(IsPlainObject(property)) {
+            validateProperties(errors, property, item, `${path}.${key}`);
+            return;
+        }
+
+        // Validate value
+        let [validate, expected] = property;
+
+        if(!validate(item)) {
+            errors.push(`"${path}.${key}" should be ${expected}`);
+        }
+    });
+}
+
+function validateEnvironments(errors, value, path) {
+    if(!IsPlainObject(value)) {
+        errors.push(`"${path}" should be an object`);
+        return;
+    }
+
+    ForEach(value, (environment, key) => {
+        // Built-in environment
+        if(!IsNil(Environments[key])) {
+            validateProperties(errors, EnvironmentProperties, environment, `${path}.${key}`);
+            return;
+        }
+
+        // Custom environment
+        if(!CustomEnvironmentNameRegex.test(key)) {
+            errors.push(
+                `Invalid environment name "${key}" in "${path}" (expected lowercase letters, digits and dashes)`
+            );
+            return;
+        }
+
+        validateProperties(errors, CustomEnvironmentProperties, environment, `${path}.${key}`);
+
+        if(IsPlainObject(environment) && IsNil(environment.title)) {
+            errors.push(`"${path}.${key}.title" is required`);
+        }
+    });
+}
+
+function validateBrowsers(errors, value, path) {
+    if(!IsPlainObject(value)) {
+        errors.push(`"${path}" should be an object`);
+        return;
+    }
+
+    ForEach(value, (browser, key) => {
+        // Built-in browser
+        if(!IsNil(Browsers[key])) {
+            validateProperties(errors, BrowserProperties, browser, `${path}.${key}`);
+            return;
+        }
+
+        // Custom browser
+        if(!CustomBrowserNameRegex.test(key)) {
+            errors.push(`Invalid browser name "${key}" in "${path}" (expected lowercase letters, digits and dashes)`);
+            return;
+        }
+
+        validateProperties(errors, CustomBrowserProperties, browser, `${path}.${key}`);
+
+        if(!IsPlainObject(browser)) {
+            return;
+        }
+
+        ForEach(CustomBrowserRequired, (name) => {
+            if(IsNil(browser[name])) {
+                errors.push(`"${path}.${key}.${name}" is required`);
+            }
+        });
+    });
+}
+
+export function validate(config) {
+    let errors = [];
+
+    if(!IsPlainObject(config)) {
+        return ['Expected configuration to be an object'];
+    }
+
+    ForEach(config, (value, key) => {
+        if(key === 'browsers') {
+            validateBrowsers(errors, value, key);
+        } else if(key === 'environments') {
+            validateEnvironments(errors, value, key);
+        } else if(key === 'services') {
+            if(!IsPlainObject(value)) {
+                errors.push(`"${key}" should be an object`);
+                return;
+            }
+
+            ForEach(value, (service, id) => {
+                validateProperties(errors, ServiceProperties, service, `${key}.${id}`);
+            });
+        } else if(!IsNil(ConfigProperties[key])) {
+            validateProperties(errors, ConfigProperties[key], value, key);
+        } else {
+            errors.push(`Unknown property "${key}"`);
+        }
+    });
+
+    return errors;
+}
+
+function mergeConfig(target, source) {
+    // Replace arrays (instead of merging items by index)
+    return MergeWith(target, source, (current, value) => {
+        if(Array.isArray(value)) {
+            return value;
+        }
+
+        return undefined;
+    });
+}
+
+function resolveBrowsers(overrides) {
+    let browsers = MapValues(Browsers, (browser, key) =>
+        mergeConfig(CloneDeep(browser), overrides[key] || {})
+    );
+
+    // Add custom browsers
+    ForEach(overrides, (browser, key) => {
+        if(!IsNil(Browsers[key])) {
+            return;
+        }
+
+        let base = BaseBrowser;
+
+        if(!IsNil(browser.extends)) {
+            base = Browsers[browser.extends];
+        }
+
+        browsers[key] = mergeConfig(CloneDeep(base), {
+            ...Omit(browser, ['extends']),
+
+            name: key,
+
+            // Built-in browser this browser is based on (used to select browser rules)
+            base: browser.extends || null
+        });
+    });
+
+    return browsers;
+}
+
+function resolveEnvironments(overrides) {
+    let environments = MapValues(Environments, (environment, key) => mergeConfig(CloneDeep(environment),
+        Merge({}, overrides[environment.name], overrides[key])
+    ));
+
+    // Add custom environments
+    ForEach(overrides, (environment, key) => {
+        if(!IsNil(Environments[key])) {
+            return;
+        }
+
+        let base = environments['development'];
+
+        if(!IsNil(environment.extends)) {
+            base = environments[environment.extends];
+        }
+
+        environments[key] = mergeConfig(CloneDeep(base), {
+            ...Omit(environment, ['extends']),
+
+            name: key
+        });
+    });
+
+    return environments;
+}
+
+export function resolve(config = {}, path = null) {
+    let value = mergeConfig(CloneDeep(DefaultConfig), config);
+
+    return {
+        ...value,
+
+        path,
+
+        browsers: resolveBrowsers(value.browsers),
+
+        environments: resolveEnvironments(value.environments),
+
+        services: {
+            ids: [
+                ...ServiceIds,
+                ...Object.keys(value.services).filter((id) => ServiceIds.indexOf(id) < 0)
+            ],
+
+            options: Merge(CloneDeep(ServiceOptions), value.services)
+        }
+    };
+}
+
+let current = resolve();
+
+export function read(path) {
+    let config;
+
+    try {
+        // Ensure configuration is re-read
+        delete require.cache[require.resolve(path)];
+
+        config = require(path);
+    } catch(err) {
+        throw new Error(`Unable to read project configuration "${path}": ${err.message}`);
+    }
+
+    // Support ES module configurations
+    if(!IsNil(config) && config.__esModule) {
+        config = config.default;
+    }
+
+    // Support configuration factories (which receive the default configuration)
+    if(IsFunction(config)) {
+        config = config(CloneDeep(DefaultConfig));
+    }
+
+    return config;
+}
+
+export function load(packageDir) {
+    let path = Path.resolve(packageDir, ConfigName);
+
+    if(!Filesystem.existsSync(path)) {
+        current = resolve();
+        return current;
+    }
+
+    let config = read(path);
+
+    // Validate configuration
+    let errors = validate(config);
+
+    if(errors.length > 0) {
+        throw new Error(`Invalid project configuration "${path}":\n${
+            errors.map((message) => ` - ${message}`).join('\n')
+        }`);
+    }
+
+    // Update current configuration
+    current = resolve(config, path);
+
+    return current;
+}
+
+export function get() {
+    return current;
+}
+
+export default {
+    get,
+    load,
+    resolve,
+    validate
+};
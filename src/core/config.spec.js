@@ -0,0 +1,191 @@
+import {resolve, validate} from './config';
+
+
+describe('Config', () => {
+    describe('validate', () => {
+        it('should accept valid configurations', () => {
+            expect(validate({
+                browsers: {
+                    chrome: { manifestVersion: 2 }
+                },
+
+                github: {
+                    owner: 'ExampleOrg'
+                },
+
+                release: {
+                    remotes: ['origin']
+                }
+            })).toEqual([]);
+        });
+
+        it('should return errors for invalid values', () => {
+            expect(validate({
+                github: {
+                    owner: 1
+                },
+
+                release: {
+                    remotes: 'origin'
+                }
+            })).toEqual([
+                '"github.owner" should be a string',
+                '"release.remotes" should be an array of strings'
+            ]);
+        });
+
+        it('should return errors for invalid checksum options', () => {
+            expect(validate({
+                checksums: {
+                    algorithms: ['md5', 'crc32'],
+
+                    signing: {
+                        tool: 'pgp'
+                    }
+                }
+            })).toEqual([
+                '"checksums.algorithms" should be an array of algorithms (md5, sha1, sha256, sha512)',
+                '"checksums.signing.tool" should be one of: gpg, minisign'
+            ]);
+        });
+
+        it('should return errors for unknown properties', () => {
+            expect(validate({
+                webpack: {
+                    alias: {}
+                }
+            })).toEqual([
+                'Unknown property "webpack.alias"'
+            ]);
+        });
+
+        it('should return errors for incomplete custom environments', () => {
+            expect(validate({
+                environments: {
+                    qa: {
+                        extends: 'testing',
+                        define: []
+                    }
+                }
+            })).toEqual([
+                '"environments.qa.extends" should be one of: dev, development, beta, staging, prod, production',
+                '"environments.qa.define" should be an object',
+                '"environments.qa.title" is required'
+            ]);
+        });
+
+        it('should return errors for incomplete custom browsers', () => {
+            expect(validate({
+                browsers: {
+                    edge: {
+                        title: 'Edge',
+                        extends: 'safari'
+                    }
+                }
+            })).toEqual([
+                '"browsers.edge.extends" should be one of: chrome, firefox, opera',
+                '"browsers.edge.package" is required',
+                '"browsers.edge.repository" is required'
+            ]);
+        });
+    });
+
+    describe('resolve', () => {
+        it('should return defaults for an empty configuration', () => {
+            let config = resolve();
+
+            expect(config.github.owner).toBe('RadonApp');
+            expect(config.release.remotes).toEqual(['bitbucket', 'origin']);
+            expect(config.browsers.chrome.manifestVersion).toBe(3);
+        });
+
+        it('should override browsers and environments', () => {
+            let config = resolve({
+                browsers: {
+                    chrome: { manifestVersion: 2 }
+                },
+
+                environments: {
+                    development: {
+                        webpack: { devtool: 'source-map' }
+                    }
+                }
+            });
+
+            expect(config.browsers.chrome.manifestVersion).toBe(2);
+            expect(config.browsers.chrome.package).toBe('@radon-extension/chrome');
+
+            expect(config.environments.dev.webpack.devtool).toBe('source-map');
+            expect(config.environments.development.webpack.devtool).toBe('source-map');
+            expect(config.environments.production.webpack.devtool).toBe('hidden-source-map');
+        });
+
+        it('should add custom browsers', () => {
+            let config = resolve({
+                browsers: {
+                    edge: {
+                        extends: 'chrome',
+
+                        title: 'Edge',
+                        package: '@radon-extension/edge',
+                        repository: 'radon-extension-edge'
+                    }
+                }
+            });
+
+            expect(Object.keys(config.browsers)).toEqual(['chrome', 'firefox', 'opera', 'edge']);
+
+            expect(config.browsers.edge.name).toBe('edge');
+            expect(config.browsers.edge.manifestVersion).toBe(3);
+            expect(config.browsers.edge.includeVersionName).toBe(true);
+            expect(config.browsers.edge.extends).toBeUndefined();
+            expect(config.browsers.edge.base).toBe('chrome');
+        });
+
+        it('should add custom environments', () => {
+            let config = resolve({
+                environments: {
+                    qa: {
+                        extends: 'production',
+                        title: 'QA',
+
+                        define: {
+                            'neon.api': 'https://api.staging.example.com'
+                        },
+
+                        webpack: {
+                            validate: true
+                        }
+                    }
+                }
+            });
+
+            expect(config.environments.qa.name).toBe('qa');
+            expect(config.environments.qa.release).toBe(true);
+            expect(config.environments.qa.nodeEnv).toBe('production');
+            expect(config.environments.qa.define).toEqual({ 'neon.api': 'https://api.staging.example.com' });
+
+            expect(config.environments.qa.webpack.minimize).toBe(true);
+            expect(config.environments.qa.webpack.validate).toBe(true);
+        });
+
+        it('should replace arrays', () => {
+            expect(resolve({
+                webpack: {
+                    include: ['lodash-es']
+                }
+            }).webpack.include).toEqual(['lodash-es']);
+        });
+
+        it('should include additional services', () => {
+            let config = resolve({
+                services: {
+                    'Source:Playback': {}
+                }
+            });
+
+            expect(config.services.ids).toContain('Source:Playback');
+            expect(config.services.options['Migrate']).toEqual({ include: false });
+        });
+    });
+});
@@ -1,13 +1,14 @@
 import CloneDeep from 'lodash/cloneDeep';
 
 
-const BaseBrowser = {
+export const BaseBrowser = {
     name: null,
 
     title: null,
     package: null,
 
     includeVersionName: false,
+    manifestVersion: 2,
 
     webpack: {
         common: ['whatwg-fetch']
@@ -23,7 +24,8 @@ const ChromeBrowser = {
     package: '@radon-extension/chrome',
     repository: 'radon-extension-chrome',
 
-    includeVersionName: true
+    includeVersionName: true,
+    manifestVersion: 3
 };
 
 const FirefoxBrowser = {
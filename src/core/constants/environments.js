@@ -2,12 +2,49 @@ const DevelopmentEnvironment = {
     name: 'development',
     title: 'Development',
 
+    release: false,
+
+    nodeEnv: 'development',
+    define: {},
+
+    permissions: {
+        enforce: false
+    },
+
     webpack: {
         debug: true,
         minimize: false,
+        reload: true,
+        validate: true,
+
+        devtool: 'cheap-module-source-map',
+
+        budgets: {}
+    }
+};
+
+const StagingEnvironment = {
+    name: 'staging',
+    title: 'Staging',
+
+    release: true,
+
+    nodeEnv: 'production',
+    define: {},
+
+    permissions: {
+        enforce: true
+    },
+
+    webpack: {
+        debug: false,
+        minimize: true,
+        reload: false,
         validate: true,
 
-        devtool: 'cheap-module-source-map'
+        devtool: 'source-map',
+
+        budgets: {}
     }
 };
 
@@ -15,12 +52,24 @@ const ProductionEnvironment = {
     name: 'production',
     title: 'Production',
 
+    release: true,
+
+    nodeEnv: 'production',
+    define: {},
+
+    permissions: {
+        enforce: true
+    },
+
     webpack: {
         debug: false,
         minimize: true,
+        reload: false,
         validate: false,
 
-        devtool: 'hidden-source-map'
+        devtool: 'hidden-source-map',
+
+        budgets: {}
     }
 };
 
@@ -28,6 +77,9 @@ export default {
     dev: DevelopmentEnvironment,
     development: DevelopmentEnvironment,
 
+    beta: StagingEnvironment,
+    staging: StagingEnvironment,
+
     prod: ProductionEnvironment,
     production: ProductionEnvironment
 };
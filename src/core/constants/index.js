@@ -1,3 +1,3 @@
-export {default as Browsers} from './browsers';
+export {default as Browsers, BaseBrowser} from './browsers';
 export {default as Environments} from './environments';
 export {default as Services, ServiceIds, ServiceOptions} from './services';
@@ -0,0 +1,298 @@
+import Crypto from 'crypto';
+import IsNil from 'lodash/isNil';
+
+
+export const Magic = 'Cr24';
+export const Version = 3;
+
+// Prefix of the signed data (see "components/crx_file/crx3.proto" in chromium)
+export const SignaturePrefix = Buffer.from('CRX3 SignedData\x00', 'binary');
+
+// CrxFileHeader fields
+const ProofFields = {
+    'rsa': 2,
+    'ec': 3
+};
+
+const SignedHeaderDataField = 10000;
+
+function encodeVarint(value) {
+    let bytes = [];
+
+    while(value > 0x7f) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 128);
+    }
+
+    bytes.push(value);
+
+    return Buffer.from(bytes);
+}
+
+export function encodeField(field, value) {
+    // Length-delimited field (wire type 2)
+    return Buffer.concat([
+        encodeVarint((field * 8) | 2),
+        encodeVarint(value.length),
+        value
+    ]);
+}
+
+function encodeUInt32(value) {
+    let buffer = Buffer.alloc(4);
+
+    buffer.writeUInt32LE(value, 0);
+
+    return buffer;
+}
+
+// Object identifiers of the supported key algorithms (DER encoded)
+const KeyAlgorithms = {
+    '2a864886f70d010101': 'rsa',
+    '2a8648ce3d0201': 'ec'
+};
+
+const RsaAlgorithm = Buffer.from('300d06092a864886f70d0101010500', 'hex');
+const EcAlgorithm = Buffer.from('06072a8648ce3d0201', 'hex');
+
+function readElement(buffer, offset = 0) {
+    let tag = buffer[offset];
+    let length = buffer[offset + 1];
+    let start = offset + 2;
+
+    // Long form length
+    if(length > 0x7f) {
+        let count = length & 0x7f;
+
+        length = 0;
+
+        for(let i = 0; i < count; i++) {
+            length = (length * 256) + buffer[start + i];
+        }
+
+        start += count;
+    }
+
+    if(IsNil(tag) || isNaN(length) || start + length > buffer.length) {
+        throw new Error('Invalid DER encoding');
+    }
+
+    return {
+        tag,
+
+        raw: buffer.slice(offset, start + length),
+        value: buffer.slice(start, start + length)
+    };
+}
+
+function readSequence(buffer) {
+    let sequence = readElement(buffer);
+
+    if(sequence.tag !== 0x30) {
+        throw new Error('Invalid DER encoding (expected a sequence)');
+    }
+
+    let elements = [];
+
+    for(let offset = 0; offset < sequence.value.length;) {
+        let element = readElement(sequence.value, offset);
+
+        elements.push(element);
+        offset += element.raw.length;
+    }
+
+    return elements;
+}
+
+function encodeLength(length) {
+    if(length < 0x80) {
+        return Buffer.from([length]);
+    }
+
+    // Long form length
+    let bytes = [];
+
+    for(let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining & 0xff);
+    }
+
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function encodeElement(tag, value) {
+    return Buffer.concat([
+        Buffer.from([tag]),
+        encodeLength(value.length),
+        value
+    ]);
+}
+
+function getRsaPublicKey(key) {
+    // RSAPrivateKey: version, modulus, publicExponent, ...
+    let [, modulus, exponent] = readSequence(key);
+
+    // SubjectPublicKeyInfo: algorithm, RSAPublicKey
+    return encodeElement(0x30, Buffer.concat([
+        RsaAlgorithm,
+        encodeElement(0x03, Buffer.concat([
+            Buffer.from([0]),
+            encodeElement(0x30, Buffer.concat([modulus.raw, exponent.raw]))
+        ]))
+    ]));
+}
+
+function getEcPublicKey(key, curve = null) {
+    // ECPrivateKey: version, privateKey, [0] parameters, [1] publicKey
+    let elements = readSequence(key);
+
+    let parameters = elements.find((element) => element.tag === 0xa0);
+    let publicKey = elements.find((element) => element.tag === 0xa1);
+
+    if(!IsNil(parameters)) {
+        curve = parameters.value;
+    }
+
+    if(IsNil(curve) || IsNil(publicKey)) {
+        throw new Error('EC keys must include the curve and public key');
+    }
+
+    // SubjectPublicKeyInfo: algorithm (with curve), publicKey
+    return encodeElement(0x30, Buffer.concat([
+        encodeElement(0x30, Buffer.concat([EcAlgorithm, curve])),
+        publicKey.value
+    ]));
+}
+
+function parsePrivateKey(label, data) {
+    if(label === 'RSA PRIVATE KEY') {
+        return { type: 'rsa', publicKey: getRsaPublicKey(data) };
+    }
+
+    if(label === 'EC PRIVATE KEY') {
+        return { type: 'ec', publicKey: getEcPublicKey(data) };
+    }
+
+    if(label !== 'PRIVATE KEY') {
+        throw new Error(`Unsupported key format: "${label}" (expected an unencrypted PEM private key)`);
+    }
+
+    // PrivateKeyInfo: version, algorithm, privateKey
+    let [, algorithm, key] = readSequence(data);
+    let [identifier, parameters] = readSequence(algorithm.raw);
+
+    let type = KeyAlgorithms[identifier.value.toString('hex')];
+
+    if(type === 'rsa') {
+        return { type, publicKey: getRsaPublicKey(key.value) };
+    }
+
+    if(type === 'ec') {
+        return { type, publicKey: getEcPublicKey(key.value, parameters.raw) };
+    }
+
+    throw new Error('Unsupported private key type (expected an RSA or ECDSA key)');
+}
+
+export function readPrivateKey(data) {
+    let pem = data.toString().trim();
+    let match = /^-----BEGIN ([A-Z ]+)-----([\s\S]+?)-----END \1-----$/.exec(pem);
+
+    if(IsNil(match)) {
+        throw new Error('Unable to read private key: Expected a PEM encoded key');
+    }
+
+    let key;
+
+    try {
+        key = parsePrivateKey(match[1], Buffer.from(match[2].replace(/\s+/g, ''), 'base64'));
+    } catch(err) {
+        throw new Error(`Unable to read private key: ${err.message}`);
+    }
+
+    return {
+        ...key,
+
+        // Keys are passed to `Crypto.createSign` as PEM (key objects require Node 11.6+)
+        pem
+    };
+}
+
+export function getCrxId(publicKey) {
+    return Crypto.createHash('sha256').update(publicKey).digest().slice(0, 16);
+}
+
+export function getExtensionId(publicKey) {
+    // Map hexadecimal digits to "a" - "p"
+    return getCrxId(publicKey).toString('hex').replace(/[0-9a-f]/g, (character) =>
+        String.fromCharCode(97 + parseInt(character, 16))
+    );
+}
+
+export function createCrx(zip, privateKey) {
+    let publicKey = privateKey.publicKey;
+
+    // Build signed header data (SignedData message)
+    let signedHeaderData = encodeField(1, getCrxId(publicKey));
+
+    // Sign header data and archive
+    let signature = Crypto.createSign('sha256')
+        .update(SignaturePrefix)
+        .update(encodeUInt32(signedHeaderData.length))
+        .update(signedHeaderData)
+        .update(zip)
+        .sign(privateKey.pem);
+
+    // Build header (CrxFileHeader message)
+    let header = Buffer.concat([
+        encodeField(ProofFields[privateKey.type], Buffer.concat([
+            encodeField(1, publicKey),
+            encodeField(2, signature)
+        ])),
+
+        encodeField(SignedHeaderDataField, signedHeaderData)
+    ]);
+
+    return Buffer.concat([
+        Buffer.from(Magic, 'binary'),
+        encodeUInt32(Version),
+        encodeUInt32(header.length),
+        header,
+        zip
+    ]);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+export function createUpdateManifest({id, version, codebase, hash = null}) {
+    let attributes = [
+        `codebase="${escapeXml(codebase)}"`,
+        `version="${escapeXml(version)}"`
+    ];
+
+    if(!IsNil(hash)) {
+        attributes.push(`hash_sha256="${escapeXml(hash)}"`);
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gupdate xmlns="http://www.google.com/update2/response" protocol="2.0">',
+        `  <app appid="${escapeXml(id)}">`,
+        `    <updatecheck ${attributes.join(' ')} />`,
+        '  </app>',
+        '</gupdate>',
+        ''
+    ].join('\n');
+}
+
+export default {
+    createCrx,
+    createUpdateManifest,
+    getExtensionId,
+    readPrivateKey
+};
@@ -3,10 +3,35 @@ import IsNil from 'lodash/isNil';
 import Merge from 'lodash/merge';
 import Path from 'path';
 
-import Environments from './constants/environments';
+import Config from './config';
 
 
-function getBuildPath(environment, browser, options) {
+// Archive timestamp used when no commit date is available
+export const DefaultSourceDate = new Date(Date.UTC(2017, 0, 1));
+
+export function getSourceDate(browser, env = process.env) {
+    let epoch = env['SOURCE_DATE_EPOCH'];
+
+    // Use timestamp provided by the environment (see https://reproducible-builds.org/specs/source-date-epoch/)
+    if(!IsNil(epoch) && epoch.length > 0) {
+        if(!/^\d+$/.test(epoch)) {
+            throw new Error(`Invalid SOURCE_DATE_EPOCH value: "${epoch}" (expected a unix timestamp)`);
+        }
+
+        return new Date(parseInt(epoch, 10) * 1000);
+    }
+
+    // Use extension commit date
+    let repository = browser.extension && browser.extension.repository;
+
+    if(!IsNil(repository) && !IsNil(repository.date)) {
+        return new Date(repository.date);
+    }
+
+    return DefaultSourceDate;
+}
+
+export function getBuildPath(environment, browser, options) {
     if(browser.local) {
         return Path.join(options['build-dir'], environment.title);
     }
@@ -28,6 +53,8 @@ function resolveEnvironment(environment, browser, options) {
         builderPath: Path.resolve(__dirname, '../../'),
         packagePath: options['package-dir'],
 
+        sourceDate: getSourceDate(browser).toISOString(),
+
         options,
         tasks: {},
 
@@ -38,13 +65,17 @@ function resolveEnvironment(environment, browser, options) {
 }
 
 export function resolve(name, browser, options) {
+    let Environments = Config.get().environments;
+
     if(!IsNil(Environments[name])) {
         return resolveEnvironment(Environments[name], browser, options);
     }
 
-    throw new Error(`Invalid environment: "${name}"`);
+    throw new Error(`Invalid environment: "${name}" (expected one of: ${Object.keys(Environments).join(', ')})`);
 }
 
 export default {
+    getBuildPath,
+    getSourceDate,
     resolve
 };
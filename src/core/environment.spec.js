@@ -0,0 +1,31 @@
+import {DefaultSourceDate, getSourceDate} from './environment';
+
+
+describe('Environment', () => {
+    describe('getSourceDate', () => {
+        let browser = {
+            extension: {
+                repository: { date: '2018-05-06T07:08:09+02:00' }
+            }
+        };
+
+        it('should use the SOURCE_DATE_EPOCH variable', () => {
+            expect(getSourceDate(browser, { 'SOURCE_DATE_EPOCH': '1514764800' }).toISOString())
+                .toBe('2018-01-01T00:00:00.000Z');
+        });
+
+        it('should reject invalid SOURCE_DATE_EPOCH values', () => {
+            expect(() => getSourceDate(browser, { 'SOURCE_DATE_EPOCH': 'now' })).toThrowError(
+                'Invalid SOURCE_DATE_EPOCH value: "now" (expected a unix timestamp)'
+            );
+        });
+
+        it('should fall back to the extension commit date', () => {
+            expect(getSourceDate(browser, {}).toISOString()).toBe('2018-05-06T05:08:09.000Z');
+        });
+
+        it('should fall back to the default date', () => {
+            expect(getSourceDate({ extension: { repository: {} } }, {})).toBe(DefaultSourceDate);
+        });
+    });
+});
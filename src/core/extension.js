@@ -1,7 +1,6 @@
 import Chalk from 'chalk';
 import CloneDeep from 'lodash/cloneDeep';
 import IsNil from 'lodash/isNil';
-import IsPlainObject from 'lodash/isPlainObject';
 import Merge from 'lodash/merge';
 import Omit from 'lodash/omit';
 import Path from 'path';
@@ -9,8 +8,8 @@ import Pick from 'lodash/pick';
 import Util from 'util';
 
 import Git from './git';
-import Json from './json';
 import Module from './module';
+import Schema from './schema';
 import Travis from './travis';
 import Vorpal from './vorpal';
 import {readPackageDetails} from './package';
@@ -109,24 +108,13 @@ function readExtensionManifest(extension, path, channel = null) {
         name = `extension.${channel}.json`;
     }
 
-    // Read manifest from file
-    return Json.read(Path.join(path, name), {}).then((manifest) => {
-        if(!IsPlainObject(manifest)) {
-            return Promise.reject(new Error(
-                'Expected manifest to be a plain object'
-            ));
-        }
-
-        return manifest;
-    }, () => (
-        {}
-    ));
+    // Read manifest from file (and validate against the schema)
+    return Schema.readManifest(Path.join(path, name), {}, 'extension');
 }
 
 function getExtensionManifest(extension, path) {
-    return readExtensionManifest(extension, path).then(
-        (manifest) => parseExtensionManifest(extension.key, manifest),
-        () => parseExtensionManifest(extension.key, {})
+    return readExtensionManifest(extension, path).then((manifest) =>
+        parseExtensionManifest(extension.key, manifest)
     );
 }
 
@@ -146,15 +134,7 @@ function overlayExtensionManifest(extension, path) {
 }
 
 function getBuildManifest(path) {
-    return Json.read(Path.join(path, 'build.json'), {}).then((manifest) => {
-        if(!IsPlainObject(manifest)) {
-            return Promise.reject(new Error(
-                'Expected build manifest to be a plain object'
-            ));
-        }
-
-        return manifest;
-    });
+    return Schema.readManifest(Path.join(path, 'build.json'), {}, 'build');
 }
 
 export function resolve(packageDir, browser) {
@@ -219,6 +199,7 @@ export function resolve(packageDir, browser) {
 
                 branch: null,
                 commit: null,
+                date: null,
 
                 tag: null,
                 latestTag: null
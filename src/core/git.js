@@ -129,6 +129,16 @@ export class Git {
 
                 commit: null
             })))
+            // Retrieve latest commit date
+            .then((result) => this._getCommitDate(repository).then((date) => ({
+                ...result,
+
+                date
+            }), () => ({
+                ...result,
+
+                date: null
+            })))
             // Retrieve status
             .then((result) => this._getStatus(repository).then((status) => ({
                 ...result,
@@ -156,6 +166,23 @@ export class Git {
         });
     }
 
+    _getCommitDate(repository, name = 'HEAD') {
+        return new Promise((resolve, reject) => {
+            repository.raw(['show', '-s', '--format=%cI', name], (err, date) => {
+                if(err) {
+                    reject(err);
+                    return;
+                }
+
+                if(!IsNil(date) && date.length > 0) {
+                    resolve(date.trim());
+                } else {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
     _getTag(repository, exact = true) {
         return new Promise((resolve, reject) => {
             let args = [
@@ -2,6 +2,7 @@ import Https from 'https';
 import Octokit from '@octokit/rest';
 import Process from 'process';
 
+import Config from './config';
 import Vorpal from './vorpal';
 import IsNil from 'lodash/isNil';
 
@@ -15,6 +16,10 @@ if(Process.env['GITHUB_TOKEN']) {
     });
 }
 
+export function getOwner() {
+    return Config.get().github.owner;
+}
+
 export function exists(name, branch) {
     return new Promise((resolve, reject) => {
         let req = Https.request({
@@ -22,7 +27,7 @@ export function exists(name, branch) {
             protocol: 'https:',
             hostname: 'github.com',
             port: 443,
-            path: `/RadonApp/${name}/tree/${branch}`
+            path: `/${getOwner()}/${name}/tree/${branch}`
         }, (res) => {
             if(res.statusCode >= 200 && res.statusCode < 300) {
                 resolve();
@@ -37,7 +42,7 @@ export function exists(name, branch) {
 }
 
 export function isAuthenticated() {
-    return GithubApi.orgs.get({ org: 'RadonApp' }).then(({ headers }) => {
+    return GithubApi.orgs.get({ org: getOwner() }).then(({ headers }) => {
         if(IsNil(headers['x-oauth-scopes'])) {
             return Promise.reject(new Error(
                 'GitHub: No authentication token provided'
@@ -79,5 +84,6 @@ export function isAuthenticated() {
 
 export default {
     exists,
+    getOwner,
     isAuthenticated
 };
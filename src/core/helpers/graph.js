@@ -0,0 +1,218 @@
+import IsNil from 'lodash/isNil';
+import IsString from 'lodash/isString';
+
+
+export function createGraph(tasks, name) {
+    let nodes = {};
+    let order = [];
+
+    let visiting = {};
+
+    function visit(name, path) {
+        if(!IsString(name)) {
+            throw new Error(`Invalid dependency: ${name} (expected string)`);
+        }
+
+        if(IsNil(tasks[name])) {
+            if(path.length > 0) {
+                throw new Error(`Unknown dependency: ${name} (required by "${path[path.length - 1]}")`);
+            }
+
+            throw new Error(`Unknown task: ${name}`);
+        }
+
+        // Ensure task isn't already being visited
+        if(visiting[name]) {
+            throw new Error(`Dependency cycle detected: ${[...path, name].join(' -> ')}`);
+        }
+
+        // Ignore tasks that have already been visited
+        if(!IsNil(nodes[name])) {
+            return;
+        }
+
+        let {required = [], optional = []} = tasks[name];
+
+        // Visit dependencies
+        visiting[name] = true;
+
+        for(let i = 0; i < required.length; i++) {
+            visit(required[i], [...path, name]);
+        }
+
+        for(let i = 0; i < optional.length; i++) {
+            visit(optional[i], [...path, name]);
+        }
+
+        visiting[name] = false;
+
+        // Create node
+        nodes[name] = {
+            name,
+            required: false,
+
+            dependencies: [
+                ...required.map((name) => ({ name, required: true })),
+                ...optional.map((name) => ({ name, required: false }))
+            ]
+        };
+
+        // Dependencies are always ordered before their dependents
+        order.push(name);
+    }
+
+    visit(name, []);
+
+    // Mark tasks that are required by the root task (dependents are visited before their dependencies)
+    nodes[name].required = true;
+
+    for(let i = order.length - 1; i >= 0; i--) {
+        let node = nodes[order[i]];
+
+        if(!node.required) {
+            continue;
+        }
+
+        for(let j = 0; j < node.dependencies.length; j++) {
+            if(node.dependencies[j].required) {
+                nodes[node.dependencies[j].name].required = true;
+            }
+        }
+    }
+
+    return {
+        name,
+        nodes,
+        order
+    };
+}
+
+export function getSubgraph(nodes, keys) {
+    let included = {};
+
+    for(let i = 0; i < keys.length; i++) {
+        included[keys[i]] = true;
+    }
+
+    // Include nodes that depend on included nodes (until no more nodes are added)
+    let changed = true;
+
+    while(changed) {
+        changed = false;
+
+        for(let key in nodes) {
+            if(!nodes.hasOwnProperty(key) || included[key]) {
+                continue;
+            }
+
+            if(nodes[key].dependencies.some((dependency) => included[dependency.key])) {
+                included[key] = true;
+                changed = true;
+            }
+        }
+    }
+
+    // Create subgraph (dependencies outside the subgraph have already been run)
+    let result = {};
+
+    for(let key in nodes) {
+        if(!nodes.hasOwnProperty(key) || !included[key]) {
+            continue;
+        }
+
+        result[key] = {
+            ...nodes[key],
+
+            dependencies: nodes[key].dependencies.filter((dependency) => included[dependency.key])
+        };
+    }
+
+    return result;
+}
+
+export function runGraph(nodes, target, options = null) {
+    options = {
+        jobs: 1,
+
+        ...(options || {})
+    };
+
+    if(!(options.jobs >= 1)) {
+        return Promise.reject(new Error(`Invalid value provided for the "jobs" option: ${options.jobs}`));
+    }
+
+    return new Promise((resolve) => {
+        let pending = Object.keys(nodes);
+        let results = {};
+        let running = 0;
+
+        function getState(node) {
+            for(let i = 0; i < node.dependencies.length; i++) {
+                let {key, required} = node.dependencies[i];
+                let result = results[key];
+
+                if(IsNil(result)) {
+                    return 'waiting';
+                }
+
+                if(required && result.state !== 'finished') {
+                    return 'blocked';
+                }
+            }
+
+            return 'ready';
+        }
+
+        function next() {
+            let i = 0;
+
+            while(i < pending.length) {
+                let key = pending[i];
+                let state = getState(nodes[key]);
+
+                if(state === 'waiting' || (state === 'ready' && running >= options.jobs)) {
+                    i++;
+                    continue;
+                }
+
+                // Remove node from queue
+                pending.splice(i, 1);
+
+                if(state === 'blocked') {
+                    results[key] = { state: 'blocked' };
+
+                    // Re-check queue (dependents of this node are now blocked)
+                    i = 0;
+                    continue;
+                }
+
+                // Start node
+                running++;
+
+                Promise.resolve().then(() => target(nodes[key], key)).then(() => {
+                    results[key] = { state: 'finished' };
+                }, (err) => {
+                    results[key] = { state: 'failed', error: err };
+                }).then(() => {
+                    running--;
+
+                    // Start next nodes
+                    next();
+                });
+            }
+
+            // Resolve with results once all nodes have finished
+            if(pending.length < 1 && running < 1) {
+                resolve(results);
+            }
+        }
+
+        next();
+    });
+}
+
+export default {
+    createGraph,
+    getSubgraph,
+    runGraph
+};
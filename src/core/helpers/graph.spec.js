@@ -0,0 +1,171 @@
+import {createGraph, getSubgraph, runGraph} from './graph';
+
+
+describe('core/helpers/graph', () => {
+    describe('createGraph', () => {
+        it('should order dependencies before dependents', () => {
+            expect(createGraph({
+                'build': { required: ['build:extension', 'build:manifest'] },
+                'build:extension': { required: ['clean'] },
+                'build:manifest': { required: ['clean', 'build:extension'] },
+                'clean': {}
+            }, 'build').order).toEqual([
+                'clean',
+                'build:extension',
+                'build:manifest',
+                'build'
+            ]);
+        });
+
+        it('should mark required tasks', () => {
+            let {nodes} = createGraph({
+                'build': { required: ['build:extension'], optional: ['deploy'] },
+                'build:extension': { required: ['clean'] },
+                'deploy': { required: ['upload'] },
+                'upload': {},
+                'clean': {}
+            }, 'build');
+
+            expect(nodes['build'].required).toBe(true);
+            expect(nodes['build:extension'].required).toBe(true);
+            expect(nodes['clean'].required).toBe(true);
+
+            expect(nodes['deploy'].required).toBe(false);
+            expect(nodes['upload'].required).toBe(false);
+        });
+
+        it('should throw an error on unknown tasks', () => {
+            expect(() => createGraph({}, 'build')).toThrowError(
+                'Unknown task: build'
+            );
+        });
+
+        it('should throw an error on unknown dependencies', () => {
+            expect(() => createGraph({
+                'build': { required: ['build:assets'] }
+            }, 'build')).toThrowError(
+                'Unknown dependency: build:assets (required by "build")'
+            );
+        });
+
+        it('should throw an error on dependency cycles', () => {
+            expect(() => createGraph({
+                'build': { required: ['build:extension'] },
+                'build:extension': { optional: ['build:manifest'] },
+                'build:manifest': { required: ['build:extension'] }
+            }, 'build')).toThrowError(
+                'Dependency cycle detected: build -> build:extension -> build:manifest -> build:extension'
+            );
+        });
+    });
+
+    describe('getSubgraph', () => {
+        let nodes = {
+            'chrome/clean': { dependencies: [] },
+            'chrome/build:locales': { dependencies: [{ key: 'chrome/clean', required: true }] },
+            'chrome/build:manifest': {
+                dependencies: [
+                    { key: 'chrome/clean', required: true },
+                    { key: 'chrome/build:locales', required: true }
+                ]
+            },
+            'chrome/build:lint': { dependencies: [{ key: 'chrome/build:manifest', required: false }] },
+            'chrome/build:assets': { dependencies: [{ key: 'chrome/clean', required: true }] }
+        };
+
+        it('should include nodes that depend on the changed nodes', () => {
+            expect(getSubgraph(nodes, ['chrome/build:locales'])).toEqual({
+                'chrome/build:locales': { dependencies: [] },
+                'chrome/build:manifest': {
+                    dependencies: [{ key: 'chrome/build:locales', required: true }]
+                },
+                'chrome/build:lint': {
+                    dependencies: [{ key: 'chrome/build:manifest', required: false }]
+                }
+            });
+        });
+
+        it('should only include changed nodes without dependents', () => {
+            expect(Object.keys(getSubgraph(nodes, ['chrome/build:assets']))).toEqual(['chrome/build:assets']);
+        });
+
+        it('should create subgraphs that can be run', () => {
+            let keys = [];
+
+            return runGraph(getSubgraph(nodes, ['chrome/build:locales', 'chrome/build:assets']), (node, key) => {
+                keys.push(key);
+            }).then((results) => {
+                expect(keys).toEqual([
+                    'chrome/build:locales',
+                    'chrome/build:manifest',
+                    'chrome/build:lint',
+                    'chrome/build:assets'
+                ]);
+
+                expect(Object.keys(results).length).toBe(4);
+            });
+        });
+    });
+
+    describe('runGraph', () => {
+        function delay(value) {
+            return new Promise((resolve) => setTimeout(() => resolve(value), 5));
+        }
+
+        it('should run dependencies before dependents', () => {
+            let started = [];
+
+            return runGraph({
+                'a': { dependencies: [] },
+                'b': { dependencies: [{ key: 'a', required: true }] },
+                'c': { dependencies: [{ key: 'b', required: true }] }
+            }, (node, key) => {
+                started.push(key);
+                return delay();
+            }, { jobs: 3 }).then(() => {
+                expect(started).toEqual(['a', 'b', 'c']);
+            });
+        });
+
+        it('should limit the number of concurrent jobs', () => {
+            let running = 0;
+            let maximum = 0;
+
+            return runGraph({
+                'a': { dependencies: [] },
+                'b': { dependencies: [] },
+                'c': { dependencies: [] },
+                'd': { dependencies: [] }
+            }, () => {
+                running++;
+                maximum = Math.max(maximum, running);
+
+                return delay().then(() => {
+                    running--;
+                });
+            }, { jobs: 2 }).then(() => {
+                expect(maximum).toBe(2);
+            });
+        });
+
+        it('should block dependents of failed required dependencies', () => {
+            return runGraph({
+                'a': { dependencies: [] },
+                'b': { dependencies: [{ key: 'a', required: true }] },
+                'c': { dependencies: [{ key: 'b', required: true }] },
+                'd': { dependencies: [{ key: 'a', required: false }] }
+            }, (node, key) => {
+                if(key === 'a') {
+                    return Promise.reject(new Error('Failed'));
+                }
+
+                return delay();
+            }).then((results) => {
+                expect(results['a'].state).toBe('failed');
+                expect(results['b'].state).toBe('blocked');
+                expect(results['c'].state).toBe('blocked');
+                expect(results['d'].state).toBe('finished');
+            });
+        });
+    });
+});
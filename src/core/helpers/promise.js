@@ -43,3 +43,35 @@ export function runSequential(items, target) {
         next();
     });
 }
+
+export function delay(duration) {
+    return new Promise((resolve) => setTimeout(resolve, duration));
+}
+
+export function poll(target, options = null) {
+    options = {
+        interval: 5000,
+        timeout: 10 * 60 * 1000,
+
+        ...(options || {})
+    };
+
+    let started = Date.now();
+
+    function next() {
+        return target().then((result) => {
+            if(result !== null && typeof result !== 'undefined') {
+                return result;
+            }
+
+            if(Date.now() - started >= options.timeout) {
+                return Promise.reject(new Error(`Timed out after ${options.timeout}ms`));
+            }
+
+            // Retry after interval
+            return delay(options.interval).then(next);
+        });
+    }
+
+    return next();
+}
@@ -1,16 +1,24 @@
 import Chalk from 'chalk';
+import Filter from 'lodash/filter';
 import ForEach from 'lodash/forEach';
 import IsNil from 'lodash/isNil';
-import IsString from 'lodash/isString';
+import Map from 'lodash/map';
+import Os from 'os';
 import PadEnd from 'lodash/padEnd';
 import Path from 'path';
 import Process from 'process';
 import Time from 'time-diff';
+import Uniq from 'lodash/uniq';
 
 import Browser from '../browser';
+import Cache from '../cache';
+import Config from '../config';
 import Environment from '../environment';
+import Reload from '../reload';
 import Vorpal from '../vorpal';
+import Watch from './watch';
 import {Browsers, Environments} from '../constants';
+import {createGraph, getSubgraph, runGraph} from './graph';
 import {runSequential} from '../../core/helpers/promise';
 
 
@@ -58,7 +66,7 @@ function createLogger(prefix, name) {
 }
 
 function getEnvironmentName(environment) {
-    if(environment.name === 'production') {
+    if(environment.release) {
         return Chalk.green(environment.title);
     }
 
@@ -69,116 +77,264 @@ function createLoggerPrefix(browser, environment) {
     return `[${getEnvironmentName(environment)}#${Chalk.cyan(PadEnd(browser.title, 7))}] `;
 }
 
-export function createTask({name, required = [], optional = []}, handler = null) {
-    return function(browser, environment, options) {
-        options = {
-            required: true,
-
-            ...options
-        };
+function runHandler({name, handler, cache}, log, browser, environment, options) {
+    if(IsNil(cache) || !environment.options['incremental']) {
+        return handler(log, browser, environment, options);
+    }
 
-        let prefix = createLoggerPrefix(browser, environment);
+    // Run handler (if the task inputs or outputs have changed)
+    return Cache.run(log, environment, name, cache(browser, environment), () =>
+        handler(log, browser, environment, options)
+    );
+}
 
-        return Promise.resolve()
-            // Resolve required dependencies
-            .then(() => Promise.all(required.map((name) => {
-                if(!IsString(name)) {
-                    return Promise.reject(`Invalid dependency: ${name} (expected string)`);
-                }
+function runTask({name, handler, cache}, browser, environment, options) {
+    let prefix = createLoggerPrefix(browser, environment);
+    let promise = environment.tasks[name];
 
-                if(IsNil(Tasks[name])) {
-                    return Promise.reject(`Unknown dependency: ${name}`);
-                }
+    // Nil handler
+    if(IsNil(handler)) {
+        return Promise.resolve();
+    }
 
-                return Tasks[name](browser, environment).catch(() =>
-                    Promise.reject(new Error('Unable to build required dependency'))
-                );
-            })))
-            // Resolve optional dependencies
-            .then(() => Promise.all(optional.map((name) => {
-                if(!IsString(name)) {
-                    return Promise.reject(`Invalid dependency: ${name} (expected string)`);
-                }
-
-                if(IsNil(Tasks[name])) {
-                    return Promise.reject(`Unknown dependency: ${name}`);
-                }
-
-                return Tasks[name](browser, environment, {
-                    required: false
-                }).catch(() =>
-                    false
-                );
-            })))
-            // Start task
-            .then(() => {
-                let promise = environment.tasks[name];
-
-                // Nil handler
-                if(IsNil(handler)) {
-                    return Promise.resolve();
-                }
-
-                // Ensure task has been started
-                if(IsNil(promise)) {
-                    Logger.info(`${prefix}Starting '${Chalk.cyan(name)}'...`);
-
-                    // Start timer
-                    Timer.start(name);
-
-                    // Create task promise
-                    promise = environment.tasks[name] = Promise.resolve().then(() => handler(
-                        createLogger(prefix, name),
-                        browser,
-                        environment,
-                        options
-                    ));
-
-                    // Display task result
-                    promise = promise.then(() => {
-                        Logger.info(
-                            `${prefix}Finished '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(name))}`
-                        );
-                    }, (err) => {
-                        if(options.required) {
-                            Logger.error(
-                                `${prefix}Errored '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(name))}: ${
-                                    (err && err.stack) ? err.stack : err
-                                }`
-                            );
-                        } else {
-                            Logger.info(
-                                `${prefix}Skipped '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(name))}: ${
-                                    (err && err.stack) ? err.stack : err
-                                }`
-                            );
-                        }
-
-                        return Promise.reject(err);
-                    });
-                }
-
-                // Return promise
-                return promise;
-            }, (err) => {
+    // Ensure task has been started
+    if(IsNil(promise)) {
+        let timer = `${browser.name}:${environment.name}:${name}`;
+
+        Logger.info(`${prefix}Starting '${Chalk.cyan(name)}'...`);
+
+        // Start timer
+        Timer.start(timer);
+
+        // Create task promise
+        promise = environment.tasks[name] = Promise.resolve().then(() => runHandler(
+            { name, handler, cache },
+            createLogger(prefix, name),
+            browser,
+            environment,
+            options
+        ));
+
+        // Display task result
+        promise = promise.then(() => {
+            Logger.info(
+                `${prefix}Finished '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(timer))}`
+            );
+        }, (err) => {
+            if(options.required) {
                 Logger.error(
-                    `${prefix}Errored '${Chalk.cyan(name)}': ${
+                    `${prefix}Errored '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(timer))}: ${
+                        (err && err.stack) ? err.stack : err
+                    }`
+                );
+            } else {
+                Logger.info(
+                    `${prefix}Skipped '${Chalk.cyan(name)}' after ${Chalk.magenta(Timer.end(timer))}: ${
                         (err && err.stack) ? err.stack : err
                     }`
                 );
+            }
+
+            return Promise.reject(err);
+        });
+    }
+
+    // Return promise
+    return promise;
+}
+
+function resolveTarget(browser, options) {
+    // Resolve browser
+    return Browser.resolve(options['package-dir'], browser).catch((err) => {
+        Logger.error(`Unable to resolve browser(s): ${(err && err.stack) ? err.stack : err}`);
+        return Promise.reject(err);
+    }).then((browser) => {
+        // Try create new build environment
+        let environment;
+
+        try {
+            environment = Environment.resolve(options.environment, browser, options);
+        } catch(err) {
+            Logger.error(
+                `Unable to resolve "${options.environment}" environment: ${
+                    (err && err.stack) ? err.stack : err
+                }`
+            );
+            return Promise.resolve(null);
+        }
+
+        // Create logger prefix
+        let prefix = createLoggerPrefix(browser, environment);
+
+        // Display loaded modules
+        ForEach(browser.modules, (module) => {
+            Logger.info(prefix + getModuleColour(module)(
+                `Loaded: ${module.name} (${module.version})`
+            ));
+        });
+
+        // Display extension version
+        Logger.info(prefix + getBrowserColour(browser)(
+            `Version: ${browser.version}`
+        ));
+
+        // Display extension version name
+        Logger.info(prefix + getBrowserColour(browser)(
+            `Version Name: ${browser.versionName}`
+        ));
+
+        // Don't build dirty release environments
+        if(environment.release && browser.extension.dirty) {
+            return Promise.reject(new Error('Environment is dirty'));
+        }
+
+        return { browser, environment };
+    });
+}
+
+function createNodes(graph, targets, options) {
+    let nodes = {};
+
+    // Create nodes in dependency order (interleaving browsers)
+    ForEach(graph.order, (name) => {
+        let {required, dependencies} = graph.nodes[name];
+
+        ForEach(targets, ({browser, environment}) => {
+            nodes[`${browser.name}/${name}`] = {
+                task: Tasks[name],
+
+                browser,
+                environment,
+
+                // Only provide command options to the root task
+                options: name === graph.name ? { ...options, required } : { required },
+
+                dependencies: Map(dependencies, ({name, required}) => ({
+                    key: `${browser.name}/${name}`,
+                    required
+                }))
+            };
+        });
+    });
+
+    return nodes;
+}
+
+function runNodes(nodes, jobs) {
+    return runGraph(nodes, ({task, browser, environment, options}) =>
+        runTask(task, browser, environment, options), {
+        jobs
+    }).then((results) => {
+        ForEach(results, ({state}, key) => {
+            let {task, browser, environment} = nodes[key];
+
+            if(state === 'blocked') {
+                Logger.info(
+                    `${createLoggerPrefix(browser, environment)}Skipped '${Chalk.cyan(task.name)}' ` +
+                    '(required dependency failed)'
+                );
+            }
+        });
+
+        return results;
+    });
+}
 
-                return Promise.reject(err);
-            });
+function runTasks(graph, targets, options, jobs) {
+    let nodes = createNodes(graph, targets, options);
+
+    return runNodes(nodes, jobs).then((results) => {
+        let failed = Filter(Object.keys(results), (key) =>
+            results[key].state !== 'finished' && nodes[key].task.name === graph.name
+        );
+
+        if(failed.length > 0) {
+            return Promise.reject(new Error(`Unable to run "${graph.name}"`));
+        }
+
+        return { nodes, results };
+    });
+}
+
+export function createTask(name) {
+    return function(browser, environment, options) {
+        let jobs = parseInt(environment.options['jobs'], 10) || Os.cpus().length;
+
+        // Run task (and dependencies) with the task graph
+        return Promise.resolve().then(() =>
+            runTasks(createGraph(Tasks, name), [{ browser, environment }], options || {}, jobs)
+        );
     };
 }
 
-export function createRunner(task, defaultOptions) {
+function reloadTargets(nodes, results) {
+    let targets = {};
+
+    ForEach(nodes, ({browser, environment}, key) => {
+        let target = targets[browser.name] = targets[browser.name] || { browser, environment, finished: true };
+
+        if(results[key].state !== 'finished') {
+            target.finished = false;
+        }
+    });
+
+    // Reload extensions (if every task finished)
+    ForEach(targets, ({browser, environment, finished}) => {
+        if(finished && Reload.isEnabled(environment)) {
+            Reload.reload(browser);
+        }
+    });
+}
+
+function watchNodes(nodes, jobs) {
+    let changed = [];
+
+    // Re-run changed tasks (and the tasks that depend on them)
+    let run = Watch.createScheduler(() => {
+        let subgraph = getSubgraph(nodes, Uniq(changed));
+
+        changed = [];
+
+        // Reset task state
+        ForEach(subgraph, ({task, environment}) => {
+            delete environment.tasks[task.name];
+        });
+
+        return runNodes(subgraph, jobs).then((results) =>
+            reloadTargets(subgraph, results)
+        );
+    });
+
+    ForEach(nodes, ({task, browser, environment}, key) => {
+        if(IsNil(task.watch)) {
+            return;
+        }
+
+        let prefix = createLoggerPrefix(browser, environment);
+
+        // Re-run task when inputs change
+        Watch.watch(task.watch(browser, environment), () => {
+            Logger.info(`${prefix}Detected changes to '${Chalk.cyan(task.name)}' inputs`);
+
+            changed.push(key);
+
+            return run();
+        });
+    });
+
+    Logger.info('Watching for changes...');
+}
+
+export function createRunner(name, defaultOptions) {
     return function({options, ...args}) {
         // Set default options
         options = {
             'browser': 'all',
             'environment': 'development',
             'debug': false,
+            'incremental': false,
+            'jobs': Os.cpus().length,
+            'watch': false,
 
             ...(defaultOptions || {}),
 
@@ -196,72 +352,69 @@ export function createRunner(task, defaultOptions) {
             Vorpal.logger.setFilter('debug');
         }
 
-        // Run task for each browser
-        return runSequential(Browser.getBrowsers(options.browser), (name) =>
-            // Resolve browser
-            Browser.resolve(options['package-dir'], name).catch((err) => {
-                Logger.error(`Unable to resolve browser(s): ${(err && err.stack) ? err.stack : err}`);
-                return Promise.reject(err);
-            }).then((browser) => {
-                // Try create new build environment
-                let environment;
-
-                try {
-                    environment = Environment.resolve(options.environment, browser, options);
-                } catch(err) {
-                    Logger.error(
-                        `Unable to resolve "${options.environment}" environment: ${
-                            (err && err.stack) ? err.stack : err
-                        }`
-                    );
-                    return Promise.resolve();
-                }
-
-                // Create logger prefix
-                let prefix = createLoggerPrefix(browser, environment);
-
-                // Display loaded modules
-                ForEach(browser.modules, (module) => {
-                    Logger.info(prefix + getModuleColour(module)(
-                        `Loaded: ${module.name} (${module.version})`
-                    ));
-                });
-
-                // Display extension version
-                Logger.info(prefix + getBrowserColour(browser)(
-                    `Version: ${browser.version}`
-                ));
-
-                // Display extension version name
-                Logger.info(prefix + getBrowserColour(browser)(
-                    `Version Name: ${browser.versionName}`
-                ));
-
-                // Don't build dirty production environments
-                if(environment.name === 'production' && browser.extension.dirty) {
-                    return Promise.reject(new Error('Environment is dirty'));
-                }
-
-                // Run task
-                return task(browser, environment, options);
-            })
-        ).catch((err) => {
+        // Load project configuration
+        try {
+            Config.load(options['package-dir']);
+        } catch(err) {
+            Logger.error((err && err.message) ? err.message : err);
+            Process.exit(1);
+            return Promise.resolve();
+        }
+
+        // Build task graph (before any tasks are started)
+        let graph;
+
+        try {
+            graph = createGraph(Tasks, name);
+        } catch(err) {
+            Logger.error(`Invalid task graph: ${(err && err.message) ? err.message : err}`);
+            Process.exit(1);
+            return Promise.resolve();
+        }
+
+        Logger.info(`Tasks: ${Map(graph.order, (name) => Chalk.cyan(name)).join(' -> ')}`);
+
+        // Resolve browsers
+        return runSequential(Browser.getBrowsers(options.browser), (browser) =>
+            resolveTarget(browser, options)
+        ).then((targets) =>
+            // Run tasks for each browser
+            runTasks(graph, Filter(targets, (target) => !IsNil(target)), options, parseInt(options['jobs'], 10))
+        ).then(({nodes, results}) => {
+            // Watch task inputs for changes
+            if(options['watch']) {
+                watchNodes(nodes, parseInt(options['jobs'], 10));
+            }
+
+            return results;
+        }).catch((err) => {
             Logger.error(`Build failed: ${(err && err.stack) ? err.stack : err}`);
             Process.exit(1);
         });
     };
 }
 
-export function create({name, description, required, optional, command}, handler = null, defaultOptions = {}) {
+export function create({
+    name, description, required, optional, cache, watch, command
+}, handler = null, defaultOptions = {}) {
     let key = name.substring(0, name.indexOf(' ')) || name;
 
     // Create task
-    let task = createTask({
+    let task = createTask(key);
+
+    // Store task definition
+    Tasks[key] = {
         name: key,
 
-        required,
-        optional
-    }, handler);
+        required: required || [],
+        optional: optional || [],
+
+        cache: cache || null,
+        watch: watch || null,
+
+        handler,
+        run: task
+    };
 
     // Set defaults
     if(IsNil(command)) {
@@ -274,11 +427,10 @@ export function create({name, description, required, optional, command}, handler
         .option('--package-dir <package-dir>', 'Package Directory [default: ./]')
         .option('--browser <browser>', 'Browser [default: all]', Object.keys(Browsers))
         .option('--environment <environment>', 'Environment [default: development]', Object.keys(Environments))
+        .option('--jobs <jobs>', 'Maximum number of tasks to run concurrently [default: CPU count]')
+        .option('--incremental', 'Skip tasks with unchanged inputs')
         .option('--debug', 'Enable debug messages')
-        .action(createRunner(task, defaultOptions));
-
-    // Store task reference
-    Tasks[key] = task;
+        .action(createRunner(key, defaultOptions));
 
     return task;
 }
@@ -0,0 +1,55 @@
+import Chokidar from 'chokidar';
+import Debounce from 'lodash/debounce';
+import IsNil from 'lodash/isNil';
+
+
+export function createScheduler(target) {
+    let running = null;
+    let pending = false;
+
+    function run() {
+        // Wait until the current run has finished
+        if(!IsNil(running)) {
+            pending = true;
+            return running;
+        }
+
+        running = Promise.resolve().then(() => target()).catch(() => null).then(() => {
+            running = null;
+
+            // Run again (if changes were made during the previous run)
+            if(pending) {
+                pending = false;
+                return run();
+            }
+
+            return null;
+        });
+
+        return running;
+    }
+
+    return run;
+}
+
+export function watch(paths, target, options = null) {
+    options = {
+        delay: 250,
+
+        ...(options || {})
+    };
+
+    let watcher = Chokidar.watch(paths, {
+        ignoreInitial: true
+    });
+
+    // Run target after changes (grouping changes made within `delay`)
+    watcher.on('all', Debounce(createScheduler(target), options.delay));
+
+    return watcher;
+}
+
+export default {
+    createScheduler,
+    watch
+};
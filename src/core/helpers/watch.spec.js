@@ -0,0 +1,42 @@
+import {createScheduler} from './watch';
+
+
+describe('Helpers', () => {
+    describe('watch', () => {
+        describe('createScheduler', () => {
+            it('should run target again if triggered while running', () => {
+                let calls = 0;
+
+                let run = createScheduler(() => new Promise((resolve) => {
+                    calls++;
+
+                    setTimeout(resolve, 10);
+                }));
+
+                let promise = run();
+
+                // Trigger while running (only one additional run should be made)
+                run();
+                run();
+
+                return promise.then(() => {
+                    expect(calls).toBe(2);
+                });
+            });
+
+            it('should continue after target failures', () => {
+                let calls = 0;
+
+                let run = createScheduler(() => {
+                    calls++;
+
+                    return Promise.reject(new Error('Failed'));
+                });
+
+                return run().then(() => run()).then(() => {
+                    expect(calls).toBe(2);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import Crypto from 'crypto';
+import ForEach from 'lodash/forEach';
+import Http from 'http';
+import Https from 'https';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+
+
+export function request({method = 'GET', url, headers = {}, body = null, timeout = 60000}) {
+    return new Promise((resolve, reject) => {
+        let target = new URL(url);
+        let transport = target.protocol === 'https:' ? Https : Http;
+
+        let req = transport.request(target, { method, headers }, (res) => {
+            let chunks = [];
+
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('error', (err) => reject(err));
+
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks)
+            }));
+        });
+
+        // Abort stalled requests
+        req.setTimeout(timeout, () => {
+            req.destroy(new Error(`Request timed out after ${timeout}ms`));
+        });
+
+        req.on('error', (err) => reject(new Error(
+            `Unable to ${method} "${url}": ${err.message}`
+        )));
+
+        // Send request
+        req.end(IsNil(body) ? undefined : body);
+    });
+}
+
+export function isSuccess({status}) {
+    return status >= 200 && status < 300;
+}
+
+export function ensureSuccess(response, method, url) {
+    if(isSuccess(response)) {
+        return response;
+    }
+
+    let message = response.body.toString('utf-8').trim().substring(0, 500);
+
+    throw new Error(`Unable to ${method} "${url}" (status: ${response.status})${message ? `: ${message}` : ''}`);
+}
+
+export function readJson(response) {
+    try {
+        return JSON.parse(response.body.toString('utf-8'));
+    } catch(err) {
+        throw new Error(`Unable to parse response: ${err.message}`);
+    }
+}
+
+export function createMultipart(fields, boundary = `RadonFormBoundary${Crypto.randomBytes(12).toString('hex')}`) {
+    let parts = [];
+
+    ForEach(fields, (value, name) => {
+        let header = `--${boundary}\r\nContent-Disposition: form-data; name="${name}"`;
+
+        // File
+        if(IsPlainObject(value)) {
+            parts.push(
+                Buffer.from(`${header}; filename="${value.filename}"\r\n`),
+                Buffer.from(`Content-Type: ${value.contentType || 'application/octet-stream'}\r\n\r\n`),
+                value.data,
+                Buffer.from('\r\n')
+            );
+            return;
+        }
+
+        // Value
+        parts.push(Buffer.from(`${header}\r\n\r\n${value}\r\n`));
+    });
+
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+        contentType: `multipart/form-data; boundary=${boundary}`,
+        body: Buffer.concat(parts)
+    };
+}
+
+export default {
+    createMultipart,
+    ensureSuccess,
+    isSuccess,
+    readJson,
+    request
+};
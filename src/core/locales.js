@@ -0,0 +1,201 @@
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import Glob from 'glob';
+import IsPlainObject from 'lodash/isPlainObject';
+import Map from 'lodash/map';
+import MapValues from 'lodash/mapValues';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+import ZipObject from 'lodash/zipObject';
+
+
+// Matches i18next interpolation (e.g. "{{count}}") and nesting (e.g. "$t(key)") tokens
+export const PlaceholderRegex = /{{-?\s*[^{}]+?\s*}}|\$t\([^()]+\)/g;
+
+export function getLocalesPath(module) {
+    return Path.join(module.path, 'Locales');
+}
+
+export function getLanguages(path) {
+    if(!Filesystem.existsSync(path)) {
+        return [];
+    }
+
+    return Filesystem.readdirSync(path).filter((name) =>
+        Filesystem.statSync(Path.join(path, name)).isDirectory()
+    ).sort();
+}
+
+export function getNamespaces(path, language) {
+    return Glob.sync('**/*.json', {
+        cwd: Path.join(path, language),
+        nodir: true
+    }).map((name) =>
+        name.replace(/\.json$/, '')
+    ).sort();
+}
+
+export function readNamespaces(path, language) {
+    let namespaces = getNamespaces(path, language);
+
+    return Promise.all(Map(namespaces, (namespace) =>
+        Filesystem.readJson(Path.join(path, language, `${namespace}.json`)).catch((err) => Promise.reject(new Error(
+            `Unable to read "${Path.join(language, namespace)}" namespace: ${err.message}`
+        )))
+    )).then((data) =>
+        ZipObject(namespaces, data)
+    );
+}
+
+export function flatten(data, prefix = null, result = {}) {
+    ForEach(data, (value, key) => {
+        let path = prefix ? `${prefix}.${key}` : key;
+
+        if(IsPlainObject(value)) {
+            flatten(value, path, result);
+        } else {
+            result[path] = value;
+        }
+    });
+
+    return result;
+}
+
+export function getPlaceholders(value) {
+    if(typeof value !== 'string') {
+        return [];
+    }
+
+    return Uniq(Map(value.match(PlaceholderRegex), (token) => token.replace(/\s+/g, ''))).sort();
+}
+
+// Browser locale codes for languages that can't be mapped by format alone
+export const LocaleAliases = {
+    'zh-hans': 'zh_CN',
+    'zh-hant': 'zh_TW'
+};
+
+export const MessageReferenceRegex = /__MSG_([A-Za-z0-9_@]+)__/g;
+
+export function getLocaleCode(language) {
+    let alias = LocaleAliases[language.toLowerCase()];
+
+    if(alias) {
+        return alias;
+    }
+
+    let [code, ...regions] = language.split(/[-_]/);
+
+    // Browsers expect "<language>_<REGION>" codes (e.g. "pt-BR" -> "pt_BR")
+    return [code.toLowerCase(), ...regions.map((region) => region.toUpperCase())].join('_');
+}
+
+export function getMessageName(key) {
+    return key.replace(/[^A-Za-z0-9_@]/g, '_');
+}
+
+export function createMessages(data) {
+    let messages = {};
+
+    ForEach(flatten(data), (value, key) => {
+        if(typeof value !== 'string') {
+            return;
+        }
+
+        let placeholders = {};
+        let count = 0;
+
+        // Convert interpolation tokens to browser placeholders (e.g. "{{count}}" -> "$count$")
+        let message = value.replace(/\$/g, '$$$$').replace(/{{-?\s*([A-Za-z0-9_@]+)\s*}}/g, (token, name) => {
+            if(!placeholders[name]) {
+                placeholders[name] = { content: `$${++count}` };
+            }
+
+            return `$${name}$`;
+        });
+
+        messages[getMessageName(key)] = {
+            message,
+
+            ...(count > 0 && { placeholders })
+        };
+    });
+
+    return messages;
+}
+
+export function getMessageReferences(value, references = []) {
+    if(typeof value === 'string') {
+        let match;
+
+        MessageReferenceRegex.lastIndex = 0;
+
+        while((match = MessageReferenceRegex.exec(value)) !== null) {
+            references.push(match[1]);
+        }
+    } else if(Array.isArray(value) || IsPlainObject(value)) {
+        ForEach(value, (item) => getMessageReferences(item, references));
+    }
+
+    return Uniq(references).sort();
+}
+
+export const PseudoCharacters = {
+    'a': 'å', 'b': 'ƀ', 'c': 'ç', 'd': 'ð', 'e': 'é', 'f': 'ƒ', 'g': 'ĝ', 'h': 'ĥ', 'i': 'î', 'j': 'ĵ', 'k': 'ķ',
+    'l': 'ļ', 'm': 'ɱ', 'n': 'ñ', 'o': 'ö', 'p': 'þ', 'q': 'ǫ', 'r': 'ŕ', 's': 'š', 't': 'ţ', 'u': 'û', 'v': 'ṽ',
+    'w': 'ŵ', 'x': 'ẋ', 'y': 'ý', 'z': 'ž',
+
+    'A': 'Å', 'B': 'Ɓ', 'C': 'Ç', 'D': 'Ð', 'E': 'É', 'F': 'Ƒ', 'G': 'Ĝ', 'H': 'Ĥ', 'I': 'Î', 'J': 'Ĵ', 'K': 'Ķ',
+    'L': 'Ļ', 'M': 'Ṁ', 'N': 'Ñ', 'O': 'Ö', 'P': 'Þ', 'Q': 'Ǫ', 'R': 'Ŕ', 'S': 'Š', 'T': 'Ţ', 'U': 'Û', 'V': 'Ṽ',
+    'W': 'Ŵ', 'X': 'Ẋ', 'Y': 'Ý', 'Z': 'Ž'
+};
+
+export const PseudoLanguage = 'en-XA';
+
+export function pseudoLocalize(value) {
+    if(typeof value !== 'string' || value.length < 1) {
+        return value;
+    }
+
+    let length = 0;
+
+    // Accent characters (preserving placeholder tokens)
+    let result = value.split(new RegExp(`(${PlaceholderRegex.source})`)).map((part, i) => {
+        if(i % 2 === 1) {
+            return part;
+        }
+
+        length += part.length;
+
+        return part.replace(/[A-Za-z]/g, (character) => PseudoCharacters[character]);
+    }).join('');
+
+    // Pad length by ~40% (to expose truncated layouts)
+    return `[${result}${'~'.repeat(Math.ceil(length * 0.4))}]`;
+}
+
+export function pseudoLocalizeData(data) {
+    if(Array.isArray(data)) {
+        return data.map(pseudoLocalizeData);
+    }
+
+    if(IsPlainObject(data)) {
+        return MapValues(data, pseudoLocalizeData);
+    }
+
+    return pseudoLocalize(data);
+}
+
+export default {
+    createMessages,
+    flatten,
+    getLanguages,
+    getLocaleCode,
+    getLocalesPath,
+    getMessageReferences,
+    getNamespaces,
+    getPlaceholders,
+    pseudoLocalize,
+    pseudoLocalizeData,
+    readNamespaces
+};
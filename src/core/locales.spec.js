@@ -0,0 +1,91 @@
+import {
+    createMessages,
+    flatten,
+    getLocaleCode,
+    getMessageReferences,
+    getPlaceholders,
+    pseudoLocalize,
+    pseudoLocalizeData
+} from './locales';
+
+
+describe('Locales', () => {
+    describe('flatten', () => {
+        it('should flatten nested keys', () => {
+            expect(flatten({ a: { b: 'one', c: { d: 'two' } }, e: 'three' })).toEqual({
+                'a.b': 'one',
+                'a.c.d': 'two',
+                'e': 'three'
+            });
+        });
+    });
+
+    describe('getPlaceholders', () => {
+        it('should return interpolation and nesting tokens', () => {
+            expect(getPlaceholders('{{ count }} of {{total}} $t(common:tracks)')).toEqual([
+                '$t(common:tracks)',
+                '{{count}}',
+                '{{total}}'
+            ]);
+        });
+    });
+
+    describe('getLocaleCode', () => {
+        it('should map languages to browser locale codes', () => {
+            expect(getLocaleCode('en')).toBe('en');
+            expect(getLocaleCode('pt-BR')).toBe('pt_BR');
+            expect(getLocaleCode('es-419')).toBe('es_419');
+            expect(getLocaleCode('zh-Hans')).toBe('zh_CN');
+        });
+    });
+
+    describe('createMessages', () => {
+        it('should create browser messages', () => {
+            expect(createMessages({
+                'name': 'Radon',
+
+                'description': {
+                    'short': 'Scrobbles {{count}} services for $5'
+                }
+            })).toEqual({
+                'name': { message: 'Radon' },
+
+                'description_short': {
+                    message: 'Scrobbles $count$ services for $$5',
+
+                    placeholders: {
+                        'count': { content: '$1' }
+                    }
+                }
+            });
+        });
+    });
+
+    describe('getMessageReferences', () => {
+        it('should return referenced message names', () => {
+            expect(getMessageReferences({
+                'name': '__MSG_name__',
+                'description': '__MSG_description__ (__MSG_name__)',
+                'permissions': ['storage']
+            })).toEqual(['description', 'name']);
+        });
+    });
+
+    describe('pseudoLocalize', () => {
+        it('should accent, pad and bracket strings', () => {
+            expect(pseudoLocalize('Save')).toBe('[Šåṽé~~]');
+        });
+
+        it('should preserve placeholder tokens', () => {
+            expect(pseudoLocalize('{{count}} tracks')).toBe('[{{count}} ţŕåçķš~~~]');
+            expect(pseudoLocalize('$t(common:title)')).toBe('[$t(common:title)]');
+        });
+
+        it('should convert nested data', () => {
+            expect(pseudoLocalizeData({ 'a': { 'b': 'Hi' }, 'c': [''] })).toEqual({
+                'a': { 'b': '[Ĥî~]' },
+                'c': ['']
+            });
+        });
+    });
+});
@@ -17,7 +17,7 @@ import Uniq from 'lodash/uniq';
 import Util from 'util';
 
 import Git from './git';
-import Json from './json';
+import Schema from './schema';
 import Version from './version';
 import Vorpal from './vorpal';
 import {readPackageDetails} from './package';
@@ -156,7 +156,7 @@ export function getUniqueOrigins(origins) {
     return origins;
 }
 
-function parseModuleManifest(extension, data) {
+export function parseModuleManifest(extension, data) {
     let manifest = Merge({
         'title': data.name || null,
         'icons': {},
@@ -171,7 +171,7 @@ function parseModuleManifest(extension, data) {
         'optional_permissions': [],
 
         'webpack': {
-            'alias': [],
+            'alias': {},
             'babel': [],
             'modules': {}
         }
@@ -216,24 +216,13 @@ function readModuleManifest(path, browser = null) {
         name = `module.${browser}.json`;
     }
 
-    // Read manifest from file
-    return Json.read(Path.join(path, name), {}).then((manifest) => {
-        if(!IsPlainObject(manifest)) {
-            return Promise.reject(new Error(
-                'Expected manifest to be a plain object'
-            ));
-        }
-
-        return manifest;
-    }, () => (
-        {}
-    ));
+    // Read manifest from file (and validate against the schema)
+    return Schema.readManifest(Path.join(path, name), {}, 'module');
 }
 
 function getModuleManifest(extension, module) {
-    return readModuleManifest(module.path).then(
-        (manifest) => parseModuleManifest(extension, manifest),
-        () => parseModuleManifest(extension, {})
+    return readModuleManifest(module.path).then((manifest) =>
+        parseModuleManifest(extension, manifest)
     );
 }
 
@@ -310,6 +299,7 @@ export function resolve(browser, extension, path, type, id) {
 
                 branch: null,
                 commit: null,
+                date: null,
 
                 tag: null,
                 latestTag: null
@@ -391,6 +381,32 @@ export function resolve(browser, extension, path, type, id) {
         })));
 }
 
+export function reloadManifest(browser, extension, module) {
+    return getModuleManifest(extension, module)
+        .then((manifest) => ({
+            ...module,
+            ...manifest,
+
+            manifest
+        }))
+        // Resolve module manifest overlay
+        .then((module) => overlayModuleManifest(module, browser.name).then((manifest) => ({
+            ...module,
+            ...manifest,
+
+            // Manifest
+            manifest
+        })));
+}
+
+export function reloadManifests(browser) {
+    return runSequential(Object.keys(browser.modules), (key) =>
+        reloadManifest(browser, browser.extension, browser.modules[key]).then((module) => {
+            browser.modules[key] = module;
+        })
+    );
+}
+
 export function resolveMany(path, browser, extension) {
     Logger.info(`Resolving modules for "${browser.name}"`);
 
@@ -411,6 +427,8 @@ export function resolveMany(path, browser, extension) {
 }
 
 export default {
+    reloadManifest,
+    reloadManifests,
     resolve,
     resolveMany
 };
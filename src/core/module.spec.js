@@ -1,4 +1,5 @@
-import {getUniqueOrigins, isOriginMatch} from './module';
+import {getUniqueOrigins, isOriginMatch, parseModuleManifest} from './module';
+import {validate} from './schema';
 
 
 describe('core/module', () => {
@@ -48,4 +49,17 @@ describe('core/module', () => {
             )).toBeTruthy();
         });
     });
+
+    describe('parseModuleManifest', () => {
+        let extension = { features: { contentScripts: 'static' } };
+
+        it('should return manifests that pass the module schema', () => {
+            let manifest = parseModuleManifest(extension, {
+                name: 'Amazon Video'
+            });
+
+            expect(manifest.webpack.alias).toEqual({});
+            expect(validate('module', manifest)).toEqual([]);
+        });
+    });
 });
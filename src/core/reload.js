@@ -0,0 +1,68 @@
+import IsNil from 'lodash/isNil';
+import WebSocket from 'ws';
+
+import Vorpal from './vorpal';
+
+
+const Logger = Vorpal.logger;
+
+let server = null;
+
+export function isEnabled(environment) {
+    if(environment.release || !environment.webpack.reload) {
+        return false;
+    }
+
+    return environment.options['watch'] === true;
+}
+
+export function start(port) {
+    if(!IsNil(server)) {
+        return server;
+    }
+
+    server = new Promise((resolve, reject) => {
+        let wss = new WebSocket.Server({
+            host: 'localhost',
+            port
+        });
+
+        wss.once('listening', () => {
+            Logger.info(`Live reload server listening on port ${port}`);
+            resolve(wss);
+        });
+
+        wss.once('error', (err) => {
+            server = null;
+            reject(err);
+        });
+    });
+
+    return server;
+}
+
+export function reload(browser) {
+    if(IsNil(server)) {
+        return Promise.resolve();
+    }
+
+    return server.then((wss) => {
+        let message = JSON.stringify({
+            type: 'reload',
+            browser: browser.name
+        });
+
+        // Send reload message to connected extensions
+        wss.clients.forEach((client) => {
+            if(client.readyState === WebSocket.OPEN) {
+                client.send(message);
+            }
+        });
+    });
+}
+
+export default {
+    isEnabled,
+    reload,
+    start
+};
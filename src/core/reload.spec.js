@@ -0,0 +1,30 @@
+import {isEnabled} from './reload';
+
+
+describe('Reload', () => {
+    describe('isEnabled', () => {
+        it('should be enabled for development watch builds', () => {
+            expect(isEnabled({
+                release: false,
+                options: { watch: true },
+                webpack: { reload: true }
+            })).toBe(true);
+        });
+
+        it('should be disabled when not watching', () => {
+            expect(isEnabled({
+                release: false,
+                options: { watch: false },
+                webpack: { reload: true }
+            })).toBe(false);
+        });
+
+        it('should be disabled for release builds', () => {
+            expect(isEnabled({
+                release: true,
+                options: { watch: true },
+                webpack: { reload: true }
+            })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,337 @@
+import Ajv from 'ajv';
+import IsEqual from 'lodash/isEqual';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import MinBy from 'lodash/minBy';
+import Path from 'path';
+import UniqWith from 'lodash/uniqWith';
+
+import Json from './json';
+
+
+const StringArray = {
+    type: 'array',
+    items: { type: 'string' }
+};
+
+const StringMap = {
+    type: 'object',
+    additionalProperties: { type: 'string' }
+};
+
+const FeatureMode = {
+    enum: ['dynamic', 'static']
+};
+
+const WebAccessibleResources = {
+    type: 'array',
+    items: { type: ['string', 'object'] }
+};
+
+export const ExtensionSchema = {
+    type: 'object',
+    additionalProperties: false,
+
+    properties: {
+        'title': { type: 'string' },
+        'description': { type: 'string' },
+        'key': { type: 'string' },
+
+        'applications': { type: 'object' },
+        'icons': StringMap,
+
+        'action': { type: 'object' },
+        'browser_action': { type: 'object' },
+
+        'background': { type: 'object' },
+        'options_ui': { type: 'object' },
+        'web_accessible_resources': WebAccessibleResources,
+
+        'origins': StringArray,
+        'permissions': StringArray,
+
+        'optional_origins': StringArray,
+        'optional_permissions': StringArray,
+
+        'acknowledged_permissions': StringArray,
+
+        'features': {
+            type: 'object',
+            additionalProperties: false,
+
+            properties: {
+                'contentScripts': FeatureMode,
+                'permissions': FeatureMode
+            }
+        },
+
+        'modules': {
+            type: 'object',
+            additionalProperties: false,
+
+            properties: {
+                'destinations': StringArray,
+                'sources': StringArray
+            }
+        }
+    }
+};
+
+export const ModuleSchema = {
+    type: 'object',
+    additionalProperties: false,
+
+    properties: {
+        'title': { type: 'string' },
+        'name': { type: 'string' },
+        'icons': StringMap,
+
+        'content_scripts': {
+            type: 'array',
+
+            items: {
+                type: 'object',
+
+                properties: {
+                    'conditions': {
+                        type: 'array',
+
+                        items: {
+                            type: 'object',
+                            required: ['pattern'],
+
+                            properties: {
+                                'pattern': { type: 'string' }
+                            }
+                        }
+                    },
+
+                    'matches': StringArray,
+
+                    'css': StringArray,
+                    'js': StringArray
+                }
+            }
+        },
+
+        'web_accessible_resources': WebAccessibleResources,
+
+        'origins': StringArray,
+        'permissions': StringArray,
+
+        'optional_origins': StringArray,
+        'optional_permissions': StringArray,
+
+        'services': StringArray,
+
+        'webpack': {
+            type: 'object',
+            additionalProperties: false,
+
+            properties: {
+                'alias': StringMap,
+                'babel': StringArray,
+
+                'modules': {
+                    type: 'object',
+
+                    additionalProperties: {
+                        anyOf: [
+                            StringArray,
+                            {
+                                type: 'object',
+                                additionalProperties: false,
+
+                                properties: {
+                                    'entry': { type: 'boolean' },
+                                    'modules': StringArray
+                                }
+                            }
+                        ]
+                    }
+                }
+            }
+        }
+    }
+};
+
+export const BuildSchema = {
+    type: 'object',
+
+    additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+
+        properties: {
+            'repository': { type: 'object' },
+            'travis': { type: 'object' }
+        }
+    }
+};
+
+export const Schemas = {
+    build: BuildSchema,
+    extension: ExtensionSchema,
+    module: ModuleSchema
+};
+
+const Validators = {};
+
+function getValidator(name) {
+    if(IsNil(Schemas[name])) {
+        throw new Error(`Unknown schema: ${name}`);
+    }
+
+    if(IsNil(Validators[name])) {
+        Validators[name] = new Ajv({
+            allErrors: true,
+            jsonPointers: true,
+            verbose: true
+        }).compile(Schemas[name]);
+    }
+
+    return Validators[name];
+}
+
+export function getSchemaName(path) {
+    let match = /^(build|extension|module)(\.[\w\-]+)?\.json$/.exec(Path.basename(path));
+
+    if(IsNil(match) || (match[1] === 'build' && !IsNil(match[2]))) {
+        return null;
+    }
+
+    return match[1];
+}
+
+export function getDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for(let i = 1; i <= a.length; i++) {
+        let current = [i];
+
+        for(let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+export function getSuggestion(value, candidates) {
+    if(typeof value !== 'string' || IsNil(candidates) || candidates.length < 1) {
+        return null;
+    }
+
+    let best = MinBy(Map(candidates, (candidate) => ({
+        candidate,
+        distance: getDistance(value.toLowerCase(), String(candidate).toLowerCase())
+    })), 'distance');
+
+    // Only suggest candidates that are reasonably similar
+    if(best.distance > Math.max(2, Math.floor(value.length / 3))) {
+        return null;
+    }
+
+    return best.candidate;
+}
+
+function createError(pointer, message, suggestion = null) {
+    return {
+        pointer: pointer || '/',
+        message,
+        suggestion
+    };
+}
+
+function parseError(error) {
+    if(error.keyword === 'additionalProperties') {
+        let name = error.params.additionalProperty;
+        let properties = error.parentSchema.properties;
+
+        return createError(
+            `${error.dataPath}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`,
+            `unknown property "${name}"`,
+            getSuggestion(name, properties ? Object.keys(properties) : [])
+        );
+    }
+
+    if(error.keyword === 'enum') {
+        return createError(
+            error.dataPath,
+            `should be one of: ${error.params.allowedValues.join(', ')}`,
+            getSuggestion(error.data, error.params.allowedValues)
+        );
+    }
+
+    return createError(error.dataPath, error.message);
+}
+
+export function validate(name, data) {
+    let validator = getValidator(name);
+
+    if(validator(data)) {
+        return [];
+    }
+
+    // Ignore "anyOf" summaries (the individual errors are more useful)
+    let errors = Map(validator.errors.filter((error) => error.keyword !== 'anyOf'), parseError);
+
+    // Remove duplicate errors
+    return UniqWith(errors, IsEqual);
+}
+
+export function formatError({pointer, message, suggestion}, path = null) {
+    let location = pointer;
+
+    // Include file path (as a URI fragment)
+    if(!IsNil(path)) {
+        location = `${path}#${pointer}`;
+    }
+
+    if(IsNil(suggestion)) {
+        return `${location}: ${message}`;
+    }
+
+    return `${location}: ${message} (did you mean "${suggestion}"?)`;
+}
+
+export function formatErrors(path, errors) {
+    return `Invalid manifest "${path}":\n${
+        errors.map((error) => ` - ${formatError(error)}`).join('\n')
+    }`;
+}
+
+export function validateManifest(path, data, name = null) {
+    let errors = validate(name || getSchemaName(path), data);
+
+    if(errors.length > 0) {
+        throw new Error(formatErrors(path, errors));
+    }
+
+    return data;
+}
+
+export function readManifest(path, defaultValue = null, name = null) {
+    return Json.read(path, defaultValue).then((data) => {
+        if(data === defaultValue) {
+            return data;
+        }
+
+        return validateManifest(path, data, name);
+    });
+}
+
+export default {
+    formatError,
+    formatErrors,
+    getSchemaName,
+    readManifest,
+    validate,
+    validateManifest
+};
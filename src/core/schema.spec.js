@@ -0,0 +1,133 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {formatErrors, getSchemaName, getSuggestion, readManifest, validate, validateManifest} from './schema';
+
+
+describe('Schema', () => {
+    describe('getSchemaName', () => {
+        it('should match manifest names', () => {
+            expect(getSchemaName('/path/extension.json')).toBe('extension');
+            expect(getSchemaName('/path/extension.beta.json')).toBe('extension');
+            expect(getSchemaName('/path/module.firefox.json')).toBe('module');
+            expect(getSchemaName('/path/build.json')).toBe('build');
+        });
+
+        it('should return null for other files', () => {
+            expect(getSchemaName('/path/package.json')).toBeNull();
+            expect(getSchemaName('/path/build.chrome.json')).toBeNull();
+        });
+    });
+
+    describe('getSuggestion', () => {
+        it('should return the closest candidate', () => {
+            expect(getSuggestion('permisions', ['origins', 'permissions'])).toBe('permissions');
+        });
+
+        it('should return null when no candidates are similar', () => {
+            expect(getSuggestion('description', ['origins', 'permissions'])).toBeNull();
+        });
+    });
+
+    describe('validate', () => {
+        it('should accept valid manifests', () => {
+            expect(validate('extension', {
+                'title': 'Radon',
+                'permissions': ['storage'],
+
+                'features': {
+                    'contentScripts': 'dynamic'
+                }
+            })).toEqual([]);
+
+            expect(validate('module', {
+                'title': 'Last.fm',
+                'origins': ['*://*.last.fm/*'],
+
+                'webpack': {
+                    'modules': {
+                        'lastfm': ['lastfm-api'],
+                        'lastfm-core': { entry: true }
+                    }
+                }
+            })).toEqual([]);
+        });
+
+        it('should return errors with pointers and suggestions', () => {
+            expect(validate('module', {
+                'permisions': ['storage'],
+                'origins': [1],
+
+                'webpack': {
+                    'modules': {
+                        'lastfm': { entry: 'yes' }
+                    }
+                }
+            })).toEqual([
+                { pointer: '/permisions', message: 'unknown property "permisions"', suggestion: 'permissions' },
+                { pointer: '/origins/0', message: 'should be string', suggestion: null },
+                { pointer: '/webpack/modules/lastfm', message: 'should be array', suggestion: null },
+                { pointer: '/webpack/modules/lastfm/entry', message: 'should be boolean', suggestion: null }
+            ]);
+        });
+
+        it('should suggest enum values', () => {
+            expect(validate('extension', {
+                'features': {
+                    'permissions': 'dynamc'
+                }
+            })).toEqual([
+                {
+                    pointer: '/features/permissions',
+                    message: 'should be one of: dynamic, static',
+                    suggestion: 'dynamic'
+                }
+            ]);
+        });
+    });
+
+    describe('validateManifest', () => {
+        it('should throw errors that include the file path', () => {
+            expect(() => validateManifest('/path/build.json', {
+                '@radon-extension/build': { repositry: {} }
+            })).toThrowError(formatErrors('/path/build.json', [
+                {
+                    pointer: '/@radon-extension~1build/repositry',
+                    message: 'unknown property "repositry"',
+                    suggestion: 'repository'
+                }
+            ]));
+        });
+    });
+
+    describe('readManifest', () => {
+        let path;
+
+        beforeEach(() => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-schema-'));
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        it('should return the default value for missing manifests', (done) => {
+            readManifest(Path.join(path, 'module.json'), {}).then((manifest) => {
+                expect(manifest).toEqual({});
+                done();
+            }, done.fail);
+        });
+
+        it('should reject malformed manifests', (done) => {
+            Filesystem.writeFileSync(Path.join(path, 'module.json'), '{"title": ');
+
+            readManifest(Path.join(path, 'module.json'), {}).then(() => {
+                done.fail('Expected promise to be rejected');
+            }, (err) => {
+                expect(err.message).toContain('module.json');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import ChildProcess from 'child_process';
+import IsNil from 'lodash/isNil';
+
+
+// Detached signature tools (and the extension of the signature files they create)
+export const Tools = {
+    'gpg': '.asc',
+    'minisign': '.minisig'
+};
+
+export function getSignaturePath(path, tool) {
+    if(IsNil(Tools[tool])) {
+        throw new Error(`Unsupported signing tool: "${tool}" (expected one of: ${Object.keys(Tools).join(', ')})`);
+    }
+
+    return path + Tools[tool];
+}
+
+export function getSignArguments(path, {tool, key}) {
+    let signaturePath = getSignaturePath(path, tool);
+
+    if(tool === 'minisign') {
+        return [
+            '-S',
+            '-m', path,
+            '-x', signaturePath,
+
+            ...(!IsNil(key) ? ['-s', key] : [])
+        ];
+    }
+
+    return [
+        '--yes',
+        '--armor',
+        '--detach-sign',
+        '--output', signaturePath,
+
+        ...(!IsNil(key) ? ['--local-user', key] : []),
+
+        path
+    ];
+}
+
+export function sign(path, options) {
+    let signaturePath = getSignaturePath(path, options.tool);
+
+    return new Promise((resolve, reject) => {
+        // Inherit stdin (to support passphrase prompts)
+        let proc = ChildProcess.spawn(options.tool, getSignArguments(path, options), {
+            stdio: ['inherit', 'pipe', 'pipe']
+        });
+
+        let output = '';
+
+        proc.stdout.on('data', (data) => {
+            output += data;
+        });
+
+        proc.stderr.on('data', (data) => {
+            output += data;
+        });
+
+        // Listen for "error" events
+        proc.on('error', (err) => {
+            reject(new Error(`Unable to start "${options.tool}": ${(err && err.message) ? err.message : err}`));
+        });
+
+        // Listen for "close" events
+        proc.on('close', (code) => {
+            if(code === 0) {
+                resolve(signaturePath);
+            } else {
+                reject(new Error(
+                    `Unable to sign "${path}" (${options.tool} exited with code ${code}): ${output.trim()}`
+                ));
+            }
+        });
+    });
+}
+
+export default {
+    Tools,
+
+    getSignArguments,
+    getSignaturePath,
+    sign
+};
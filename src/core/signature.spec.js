@@ -0,0 +1,32 @@
+import {getSignArguments, getSignaturePath} from './signature';
+
+
+describe('Signature', () => {
+    describe('getSignaturePath', () => {
+        it('should return the detached signature path', () => {
+            expect(getSignaturePath('/build/SHA256SUMS', 'gpg')).toBe('/build/SHA256SUMS.asc');
+            expect(getSignaturePath('/build/SHA256SUMS', 'minisign')).toBe('/build/SHA256SUMS.minisig');
+        });
+    });
+
+    describe('getSignArguments', () => {
+        it('should return gpg arguments', () => {
+            expect(getSignArguments('/build/SHA256SUMS', { tool: 'gpg', key: 'ABCDEF' })).toEqual([
+                '--yes',
+                '--armor',
+                '--detach-sign',
+                '--output', '/build/SHA256SUMS.asc',
+                '--local-user', 'ABCDEF',
+                '/build/SHA256SUMS'
+            ]);
+        });
+
+        it('should return minisign arguments', () => {
+            expect(getSignArguments('/build/SHA256SUMS', { tool: 'minisign', key: null })).toEqual([
+                '-S',
+                '-m', '/build/SHA256SUMS',
+                '-x', '/build/SHA256SUMS.minisig'
+            ]);
+        });
+    });
+});
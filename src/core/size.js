@@ -0,0 +1,51 @@
+import IsNil from 'lodash/isNil';
+import IsNumber from 'lodash/isNumber';
+import IsString from 'lodash/isString';
+
+
+const SizeRegex = /^(\d+(?:\.\d+)?)\s*(B|KB|KiB|MB|MiB)?$/i;
+
+const SizeUnits = {
+    'b': 1,
+
+    'kb': 1000,
+    'kib': 1024,
+
+    'mb': 1000 * 1000,
+    'mib': 1024 * 1024
+};
+
+export function parseSize(value) {
+    if(IsNumber(value)) {
+        return value >= 0 ? value : null;
+    }
+
+    if(!IsString(value)) {
+        return null;
+    }
+
+    let match = SizeRegex.exec(value.trim());
+
+    if(IsNil(match)) {
+        return null;
+    }
+
+    return Math.round(parseFloat(match[1]) * SizeUnits[(match[2] || 'b').toLowerCase()]);
+}
+
+export function formatSize(size) {
+    if(size >= 1000 * 1000) {
+        return `${(size / (1000 * 1000)).toFixed(2)} MB`;
+    }
+
+    if(size >= 1000) {
+        return `${(size / 1000).toFixed(2)} KB`;
+    }
+
+    return `${size} B`;
+}
+
+export default {
+    formatSize,
+    parseSize
+};
@@ -0,0 +1,26 @@
+import {formatSize, parseSize} from './size';
+
+
+describe('Size', () => {
+    describe('parseSize', () => {
+        it('should parse sizes', () => {
+            expect(parseSize(1024)).toBe(1024);
+            expect(parseSize('250 KB')).toBe(250000);
+            expect(parseSize('1.5MiB')).toBe(1572864);
+        });
+
+        it('should return null for invalid sizes', () => {
+            expect(parseSize('large')).toBeNull();
+            expect(parseSize(-1)).toBeNull();
+            expect(parseSize(null)).toBeNull();
+        });
+    });
+
+    describe('formatSize', () => {
+        it('should format sizes', () => {
+            expect(formatSize(500)).toBe('500 B');
+            expect(formatSize(250000)).toBe('250.00 KB');
+            expect(formatSize(1500000)).toBe('1.50 MB');
+        });
+    });
+});
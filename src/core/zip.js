@@ -1,50 +1,218 @@
 import Filesystem from 'fs';
+import Filter from 'lodash/filter';
+import Find from 'lodash/find';
+import ForEach from 'lodash/forEach';
 import Glob from 'glob';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
 import Merge from 'lodash/merge';
+import Mkdirp from 'mkdirp';
 import Path from 'path';
 import Yazl from 'yazl';
+import Zlib from 'zlib';
 
 
+// Earliest date supported by zip archives (MS-DOS date format)
+export const MinimumDate = new Date(Date.UTC(1980, 0, 1));
+
+export const FileMode = 0o100644;
+
+export function getEntryDate(date) {
+    date = new Date(Math.max(new Date(date).getTime(), MinimumDate.getTime()));
+
+    // Zip archives store local dates, so shift the date to produce the same UTC values in every timezone
+    return new Date(
+        date.getUTCFullYear(),
+        date.getUTCMonth(),
+        date.getUTCDate(),
+        date.getUTCHours(),
+        date.getUTCMinutes(),
+        date.getUTCSeconds()
+    );
+}
+
+export function getEntries(source, files) {
+    return Map(files, (path) => ({
+        path,
+        name: Path.relative(source, path).replace(/\\/g, '/')
+    })).sort((a, b) => {
+        // Compare names by code point (independent of locale and glob ordering)
+        if(a.name < b.name) {
+            return -1;
+        }
+
+        if(a.name > b.name) {
+            return 1;
+        }
+
+        return 0;
+    });
+}
+
 export function createZip(options) {
     options = Merge({
-        mode: 100664,
-        mtime: new Date(2017, 0)
+        mode: FileMode,
+        mtime: null
     }, options || {});
 
+    if(IsNil(options.mtime)) {
+        return Promise.reject(new Error('No archive timestamp provided'));
+    }
+
+    let mtime = getEntryDate(options.mtime);
+
     return new Promise((resolve, reject) => {
-        Glob(`${options.source}/${options.pattern}`, (err, files) => {
+        Glob(`${options.source}/${options.pattern}`, { nodir: true }, (err, files) => {
             if(err) {
                 reject(err);
                 return;
             }
 
-            files.sort();
-
             // Create archive
             let zip = new Yazl.ZipFile();
 
-            for(let i = 0; i < files.length; i++) {
-                let file = Filesystem.lstatSync(files[i]);
-
-                if(file.isDirectory()) {
-                    continue;
-                }
+            let entries = getEntries(options.source, files);
 
-                zip.addFile(files[i], Path.relative(options.source, files[i]), {
-                    mode: parseInt(options.mode, 8),
-                    mtime: options.mtime
+            for(let i = 0; i < entries.length; i++) {
+                zip.addFile(entries[i].path, entries[i].name, {
+                    compress: true,
+                    mode: options.mode,
+                    mtime
                 });
             }
 
             // Save archive
             zip.end(() => {
                 let writeStream = Filesystem.createWriteStream(options.archive)
-                    .on('error', (err) => reject(err));
+                    .on('error', (err) => reject(err))
+                    .on('close', () => resolve());
 
                 // Write zip to file stream
-                zip.outputStream.on('finish', () => resolve());
                 zip.outputStream.pipe(writeStream);
             });
         });
     });
 }
+
+function findEndOfCentralDirectory(data) {
+    // Search backwards (the record is followed by a comment of up to 65535 bytes)
+    for(let offset = data.length - 22; offset >= Math.max(0, data.length - 65557); offset--) {
+        if(data.readUInt32LE(offset) === 0x06054b50) {
+            return offset;
+        }
+    }
+
+    return -1;
+}
+
+function readCentralDirectory(data) {
+    let end = findEndOfCentralDirectory(data);
+
+    if(end < 0) {
+        throw new Error('Invalid zip archive (no central directory found)');
+    }
+
+    let count = data.readUInt16LE(end + 10);
+    let offset = data.readUInt32LE(end + 16);
+
+    let entries = [];
+
+    for(let i = 0; i < count; i++) {
+        if(data.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('Invalid zip archive (malformed central directory)');
+        }
+
+        let nameLength = data.readUInt16LE(offset + 28);
+
+        entries.push({
+            name: data.toString('utf-8', offset + 46, offset + 46 + nameLength),
+
+            method: data.readUInt16LE(offset + 10),
+            compressedSize: data.readUInt32LE(offset + 20),
+            headerOffset: data.readUInt32LE(offset + 42)
+        });
+
+        // Move to the next entry
+        offset += 46 + nameLength + data.readUInt16LE(offset + 30) + data.readUInt16LE(offset + 32);
+    }
+
+    return entries;
+}
+
+function readEntryData(data, {name, method, compressedSize, headerOffset}) {
+    // Read entry data (from the local file header)
+    let start = headerOffset + 30 + data.readUInt16LE(headerOffset + 26) + data.readUInt16LE(headerOffset + 28);
+    let content = data.slice(start, start + compressedSize);
+
+    if(method === 0) {
+        return content;
+    }
+
+    if(method === 8) {
+        return Zlib.inflateRawSync(content);
+    }
+
+    throw new Error(`Unsupported compression method for "${name}": ${method}`);
+}
+
+export function extractEntry(data, name) {
+    let entry = Find(readCentralDirectory(data), (entry) => entry.name === name);
+
+    if(IsNil(entry)) {
+        return null;
+    }
+
+    return readEntryData(data, entry);
+}
+
+export function extractEntries(data) {
+    return Map(Filter(readCentralDirectory(data), ({name}) => !name.endsWith('/')), (entry) => ({
+        name: entry.name,
+        data: readEntryData(data, entry)
+    }));
+}
+
+function readArchive(archive, read) {
+    return new Promise((resolve, reject) => {
+        Filesystem.readFile(archive, (err, data) => {
+            if(err) {
+                reject(err);
+                return;
+            }
+
+            try {
+                resolve(read(data));
+            } catch(e) {
+                reject(new Error(`Unable to read "${archive}": ${e.message}`));
+            }
+        });
+    });
+}
+
+export function readEntry(archive, name) {
+    return readArchive(archive, (data) => extractEntry(data, name));
+}
+
+export function readEntries(archive) {
+    return readArchive(archive, (data) => extractEntries(data));
+}
+
+export function extractZip(archive, target) {
+    target = Path.resolve(target);
+
+    return readEntries(archive).then((entries) => {
+        ForEach(entries, ({name, data}) => {
+            let path = Path.resolve(target, name);
+
+            // Ensure entries stay within the target directory
+            if(path.indexOf(target + Path.sep) !== 0) {
+                throw new Error(`Invalid entry in "${archive}": "${name}"`);
+            }
+
+            Mkdirp.sync(Path.dirname(path));
+            Filesystem.writeFileSync(path, data);
+        });
+
+        return Map(entries, 'name');
+    });
+}
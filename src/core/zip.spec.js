@@ -0,0 +1,150 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import Yazl from 'yazl';
+
+import {createZip, extractZip, getEntries, getEntryDate, readEntries, readEntry} from './zip';
+
+
+describe('Zip', () => {
+    describe('getEntryDate', () => {
+        it('should return a local date matching the UTC date', () => {
+            let date = getEntryDate('2018-03-04T05:06:07Z');
+
+            expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2018, 2, 4]);
+            expect([date.getHours(), date.getMinutes(), date.getSeconds()]).toEqual([5, 6, 7]);
+        });
+
+        it('should clamp dates before 1980', () => {
+            expect(getEntryDate(0).getFullYear()).toBe(1980);
+        });
+    });
+
+    describe('getEntries', () => {
+        it('should sort entries by name', () => {
+            expect(getEntries('/app', [
+                '/app/b.js',
+                '/app/a/c.js',
+                '/app/B.js',
+                '/app/a.js'
+            ]).map(({name}) => name)).toEqual([
+                'B.js',
+                'a.js',
+                'a/c.js',
+                'b.js'
+            ]);
+        });
+    });
+
+    describe('createZip', () => {
+        let path;
+
+        beforeEach(() => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-zip-'));
+
+            Filesystem.outputFileSync(Path.join(path, 'source/a.json'), '{"a": 1}');
+            Filesystem.outputFileSync(Path.join(path, 'source/b/c.js'), 'console.log("c");');
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        function create(name) {
+            return createZip({
+                archive: Path.join(path, name),
+
+                source: Path.join(path, 'source'),
+                pattern: '**/*',
+
+                mtime: '2018-01-01T00:00:00Z'
+            });
+        }
+
+        it('should create identical archives', () => {
+            return create('a.zip')
+                // Update file modification times and permissions
+                .then(() => Filesystem.chmod(Path.join(path, 'source/a.json'), 0o755))
+                .then(() => Filesystem.utimes(Path.join(path, 'source/b/c.js'), 1000, 1000))
+                // Create another archive
+                .then(() => create('b.zip'))
+                .then(() => {
+                    expect(Filesystem.readFileSync(Path.join(path, 'a.zip')).equals(
+                        Filesystem.readFileSync(Path.join(path, 'b.zip'))
+                    )).toBe(true);
+                });
+        });
+
+        it('should read entries from created archives', () => {
+            return create('a.zip')
+                .then(() => Promise.all([
+                    readEntry(Path.join(path, 'a.zip'), 'a.json'),
+                    readEntry(Path.join(path, 'a.zip'), 'b/c.js'),
+                    readEntry(Path.join(path, 'a.zip'), 'missing.json')
+                ]))
+                .then(([a, c, missing]) => {
+                    expect(a.toString('utf-8')).toBe('{"a": 1}');
+                    expect(c.toString('utf-8')).toBe('console.log("c");');
+                    expect(missing).toBeNull();
+                });
+        });
+
+        it('should read every entry from created archives', () => {
+            return create('a.zip')
+                .then(() => readEntries(Path.join(path, 'a.zip')))
+                .then((entries) => {
+                    expect(entries.map(({name, data}) => [name, data.toString('utf-8')])).toEqual([
+                        ['a.json', '{"a": 1}'],
+                        ['b/c.js', 'console.log("c");']
+                    ]);
+                });
+        });
+
+        it('should extract created archives', () => {
+            return create('a.zip')
+                .then(() => extractZip(Path.join(path, 'a.zip'), Path.join(path, 'extracted')))
+                .then((names) => {
+                    expect(names).toEqual(['a.json', 'b/c.js']);
+
+                    expect(Filesystem.readFileSync(Path.join(path, 'extracted/b/c.js'), 'utf-8')).toBe(
+                        'console.log("c");'
+                    );
+                });
+        });
+
+        it('should reject entries outside the target directory', () => {
+            let zip = new Yazl.ZipFile();
+
+            zip.addBuffer(Buffer.from('invalid'), 'xx/a.js');
+            zip.end();
+
+            // Rename entry to a name of the same length (yazl rejects relative paths)
+            return new Promise((resolve) => {
+                let chunks = [];
+
+                zip.outputStream.on('data', (chunk) => chunks.push(chunk));
+                zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+            }).then((data) => {
+                let archive = Buffer.from(data.toString('binary').split('xx/a.js').join('../a.js'), 'binary');
+
+                Filesystem.writeFileSync(Path.join(path, 'invalid.zip'), archive);
+
+                return extractZip(Path.join(path, 'invalid.zip'), Path.join(path, 'extracted'));
+            }).then(() => {
+                fail('Expected an error');
+            }, (err) => {
+                expect(err.message).toBe(`Invalid entry in "${Path.join(path, 'invalid.zip')}": "../a.js"`);
+                expect(Filesystem.existsSync(Path.join(path, 'a.js'))).toBe(false);
+            });
+        });
+
+        it('should require a timestamp', () => {
+            return createZip({ source: path, pattern: '**/*' }).then(() => {
+                fail('Expected an error');
+            }, (err) => {
+                expect(err.message).toBe('No archive timestamp provided');
+            });
+        });
+    });
+});
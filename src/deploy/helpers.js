@@ -0,0 +1,48 @@
+import IsNil from 'lodash/isNil';
+import KebabCase from 'lodash/kebabCase';
+import MapKeys from 'lodash/mapKeys';
+import MapValues from 'lodash/mapValues';
+import Path from 'path';
+import PickBy from 'lodash/pickBy';
+
+
+export const ContentTypes = {
+    '.crx': 'application/x-chrome-extension',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.zip': 'application/zip'
+};
+
+export function getContentType(name) {
+    if(/SUMS$/.test(name)) {
+        return 'text/plain';
+    }
+
+    return ContentTypes[Path.extname(name)] || 'application/octet-stream';
+}
+
+export function encodePath(path) {
+    // Encode path segments (RFC 3986)
+    return path.split('/').map((segment) =>
+        encodeURIComponent(segment).replace(/[!'()*]/g, (character) =>
+            `%${character.charCodeAt(0).toString(16).toUpperCase()}`
+        )
+    ).join('/');
+}
+
+export function getUrl(base, name) {
+    return `${base.replace(/\/+$/, '')}/${encodePath(name)}`;
+}
+
+export function getAttributeHeaders(attributes, prefix) {
+    return MapValues(MapKeys(PickBy(attributes, (value) => !IsNil(value)), (value, key) =>
+        `${prefix}${KebabCase(key)}`
+    ), String);
+}
+
+export default {
+    encodePath,
+    getAttributeHeaders,
+    getContentType,
+    getUrl
+};
@@ -0,0 +1,49 @@
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+
+import Http from '../core/http';
+import {getAttributeHeaders, getContentType, getUrl} from './helpers';
+
+
+// Environment variable containing the bearer token sent with requests
+export const TokenVariable = 'DEPLOY_HTTP_TOKEN';
+
+export function create(options, {attributes, client = Http, env = process.env}) {
+    if(IsNil(options.url)) {
+        throw new Error('Missing required "url" option');
+    }
+
+    return {
+        getDestination(name) {
+            return getUrl(options.url, name);
+        },
+
+        upload({source, name}) {
+            let url = getUrl(options.url, name);
+
+            return Filesystem.readFile(source).then((data) => client.request({
+                method: 'PUT',
+                url,
+
+                headers: {
+                    'Content-Length': data.length,
+                    'Content-Type': getContentType(name),
+
+                    ...getAttributeHeaders(attributes, 'X-Radon-'),
+
+                    ...(env[TokenVariable] && { 'Authorization': `Bearer ${env[TokenVariable]}` }),
+
+                    ...(options.headers || {})
+                },
+
+                body: data
+            })).then((response) =>
+                Http.ensureSuccess(response, 'PUT', url)
+            );
+        }
+    };
+}
+
+export default {
+    create
+};
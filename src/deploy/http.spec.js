@@ -0,0 +1,79 @@
+import Filesystem from 'fs-extra';
+import Http from 'http';
+import Os from 'os';
+import Path from 'path';
+
+import {create} from './http';
+
+
+describe('Deploy', () => {
+    describe('HTTP', () => {
+        let path;
+        let requests;
+        let server;
+        let status;
+
+        beforeEach((done) => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-http-'));
+            requests = [];
+            status = 201;
+
+            Filesystem.outputFileSync(Path.join(path, 'SHA256SUMS'), 'sums');
+
+            // Start stand-in server
+            server = Http.createServer((req, res) => {
+                let body = '';
+
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+
+                req.on('end', () => {
+                    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+                    res.statusCode = status;
+                    res.end(status === 201 ? '' : 'Forbidden');
+                });
+            }).listen(0, '127.0.0.1', done);
+        });
+
+        afterEach((done) => {
+            Filesystem.removeSync(path);
+            server.close(done);
+        });
+
+        function upload() {
+            return create({
+                url: `http://127.0.0.1:${server.address().port}/releases/`,
+                headers: { 'X-Custom': 'value' }
+            }, {
+                attributes: { commit: 'abcdef0', versionName: '1.0.0' },
+                env: { 'DEPLOY_HTTP_TOKEN': 'token' }
+            }).upload({ source: Path.join(path, 'SHA256SUMS'), name: 'Radon-Chrome/SHA256SUMS' });
+        }
+
+        it('should upload files with version headers', () => {
+            return upload().then(() => {
+                let {method, url, headers, body} = requests[0];
+
+                expect([method, url, body]).toEqual(['PUT', '/releases/Radon-Chrome/SHA256SUMS', 'sums']);
+
+                expect(headers['authorization']).toBe('Bearer token');
+                expect(headers['content-type']).toBe('text/plain');
+                expect(headers['x-custom']).toBe('value');
+                expect(headers['x-radon-commit']).toBe('abcdef0');
+                expect(headers['x-radon-version-name']).toBe('1.0.0');
+            });
+        });
+
+        it('should reject failed uploads', () => {
+            status = 403;
+
+            return upload().then(() => {
+                fail('Expected an error');
+            }, (err) => {
+                expect(err.message).toMatch(/\(status: 403\): Forbidden$/);
+            });
+        });
+    });
+});
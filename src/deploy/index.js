@@ -0,0 +1,133 @@
+import Glob from 'glob';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+
+import Http from './http';
+import Local from './local';
+import S3 from './s3';
+import {runSequential} from '../core/helpers/promise';
+
+
+export const Providers = {
+    'http': Http,
+    'local': Local,
+    's3': S3
+};
+
+// Build files uploaded by default (archives, checksums and webpack artifacts)
+export const DefaultInclude = [
+    '*.{crx,zip}',
+    '*SUMS{,.asc,.minisig}',
+    'sbom.*',
+    'webpack.*'
+];
+
+export const DefaultPrefix = 'Radon-{browser}-{versionName}';
+
+export function getAttributes(browser) {
+    let extension = browser.extension;
+
+    return {
+        branch: extension.branch || null,
+        commit: extension.commit || null,
+        buildNumber: (extension.travis && extension.travis.number) || null,
+
+        version: browser.version,
+        versionName: browser.versionName
+    };
+}
+
+export function getPrefix(browser, environment, prefix = DefaultPrefix) {
+    let values = {
+        browser: browser.title,
+        environment: environment.title,
+
+        version: browser.version,
+        versionName: browser.versionName
+    };
+
+    return prefix.replace(/{(\w+)}/g, (token, name) => {
+        if(IsNil(values[name])) {
+            throw new Error(`Unknown prefix token: ${token}`);
+        }
+
+        return values[name];
+    });
+}
+
+export function findFiles(path, include = DefaultInclude) {
+    let names = [];
+
+    include.forEach((pattern) => {
+        names.push(...Glob.sync(pattern, {
+            cwd: path,
+            nodir: true
+        }));
+    });
+
+    return Uniq(names).sort();
+}
+
+export function getProvider(name) {
+    let provider = Providers[name];
+
+    if(IsNil(provider)) {
+        throw new Error(
+            `Unknown deploy provider: "${name}" (expected one of: ${Object.keys(Providers).join(', ')})`
+        );
+    }
+
+    return provider;
+}
+
+export function createProvider(target, context) {
+    return getProvider(target.provider).create(target, context);
+}
+
+export function deploy(log, provider, files, {prefix, dryRun = false}) {
+    let items = Map(files, ({source, name}) => ({
+        source,
+        name: `${prefix}/${name}`
+    }));
+
+    // List files (without uploading)
+    if(dryRun) {
+        items.forEach(({name}) => {
+            log.info(`[dry-run] ${name} -> ${provider.getDestination(name)}`);
+        });
+
+        return Promise.resolve(items);
+    }
+
+    // Upload files
+    return runSequential(items, (item) => {
+        log.info(`Uploading ${item.name} -> ${provider.getDestination(item.name)}`);
+
+        return provider.upload(item);
+    }).then(() => {
+        if(IsNil(provider.finish)) {
+            return items;
+        }
+
+        return Promise.resolve(provider.finish(prefix)).then(() => items);
+    });
+}
+
+export function getFiles(path, include) {
+    return Map(findFiles(path, include), (name) => ({
+        source: Path.join(path, name),
+        name
+    }));
+}
+
+export default {
+    createProvider,
+    deploy,
+    findFiles,
+    getAttributes,
+    getFiles,
+    getPrefix,
+    getProvider
+};
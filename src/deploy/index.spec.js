@@ -0,0 +1,126 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {createProvider, deploy, findFiles, getAttributes, getFiles, getPrefix} from './index';
+
+
+describe('Deploy', () => {
+    let browser = {
+        title: 'Chrome',
+        version: '1.2.0.34',
+        versionName: '1.2.0-pre-abcdef0',
+
+        extension: {
+            branch: 'master',
+            commit: 'abcdef0123456789',
+
+            travis: { number: '34' }
+        }
+    };
+
+    let environment = { title: 'Production' };
+
+    let log = {
+        info: () => {}
+    };
+
+    let path;
+
+    beforeEach(() => {
+        path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-deploy-'));
+
+        Filesystem.outputFileSync(Path.join(path, 'build/Radon-Chrome-1.2.0-pre-abcdef0.zip'), 'zip');
+        Filesystem.outputFileSync(Path.join(path, 'build/SHA256SUMS'), 'sums');
+        Filesystem.outputFileSync(Path.join(path, 'build/SHA256SUMS.asc'), 'signature');
+        Filesystem.outputFileSync(Path.join(path, 'build/webpack.stats.json'), '{}');
+        Filesystem.outputFileSync(Path.join(path, 'build/sbom.cdx.json'), '{}');
+        Filesystem.outputFileSync(Path.join(path, 'build/sbom.spdx'), 'SPDXVersion: SPDX-2.2');
+        Filesystem.outputFileSync(Path.join(path, 'build/browser.json'), '{}');
+        Filesystem.outputFileSync(Path.join(path, 'build/unpacked/manifest.json'), '{}');
+    });
+
+    afterEach(() => {
+        Filesystem.removeSync(path);
+    });
+
+    describe('getAttributes', () => {
+        it('should return version attributes', () => {
+            expect(getAttributes(browser)).toEqual({
+                branch: 'master',
+                commit: 'abcdef0123456789',
+                buildNumber: '34',
+
+                version: '1.2.0.34',
+                versionName: '1.2.0-pre-abcdef0'
+            });
+        });
+    });
+
+    describe('getPrefix', () => {
+        it('should replace tokens', () => {
+            expect(getPrefix(browser, environment)).toBe('Radon-Chrome-1.2.0-pre-abcdef0');
+            expect(getPrefix(browser, environment, '{environment}/{version}')).toBe('Production/1.2.0.34');
+        });
+
+        it('should reject unknown tokens', () => {
+            expect(() => getPrefix(browser, environment, '{branch}')).toThrowError('Unknown prefix token: {branch}');
+        });
+    });
+
+    describe('findFiles', () => {
+        it('should return archives, checksums, bills of materials and webpack artifacts', () => {
+            expect(findFiles(Path.join(path, 'build'))).toEqual([
+                'Radon-Chrome-1.2.0-pre-abcdef0.zip',
+                'SHA256SUMS',
+                'SHA256SUMS.asc',
+                'sbom.cdx.json',
+                'sbom.spdx',
+                'webpack.stats.json'
+            ]);
+        });
+    });
+
+    describe('createProvider', () => {
+        it('should reject unknown providers', () => {
+            expect(() => createProvider({ provider: 'bintray' }, {})).toThrowError(
+                'Unknown deploy provider: "bintray" (expected one of: http, local, s3)'
+            );
+        });
+    });
+
+    describe('deploy', () => {
+        function create() {
+            return createProvider({ provider: 'local', path: 'releases' }, {
+                attributes: getAttributes(browser),
+                basePath: path
+            });
+        }
+
+        it('should copy files to the local directory', () => {
+            return deploy(log, create(), getFiles(Path.join(path, 'build'), ['*.zip']), {
+                prefix: 'Radon-Chrome'
+            }).then(() => {
+                expect(Filesystem.readFileSync(
+                    Path.join(path, 'releases/Radon-Chrome/Radon-Chrome-1.2.0-pre-abcdef0.zip'), 'utf-8'
+                )).toBe('zip');
+
+                expect(Filesystem.readJsonSync(Path.join(path, 'releases/Radon-Chrome/deploy.json'))).toEqual({
+                    ...getAttributes(browser),
+
+                    files: ['Radon-Chrome/Radon-Chrome-1.2.0-pre-abcdef0.zip']
+                });
+            });
+        });
+
+        it('should only list files in dry-run mode', () => {
+            return deploy(log, create(), getFiles(Path.join(path, 'build')), {
+                prefix: 'Radon-Chrome',
+                dryRun: true
+            }).then((items) => {
+                expect(items.length).toBe(6);
+                expect(Filesystem.existsSync(Path.join(path, 'releases'))).toBe(false);
+            });
+        });
+    });
+});
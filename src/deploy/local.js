@@ -0,0 +1,40 @@
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+import Path from 'path';
+
+
+export function create(options, {attributes, basePath = process.cwd()}) {
+    if(IsNil(options.path)) {
+        throw new Error('Missing required "path" option');
+    }
+
+    let path = Path.resolve(basePath, options.path);
+    let uploaded = [];
+
+    return {
+        getDestination(name) {
+            return Path.join(path, name);
+        },
+
+        upload({source, name}) {
+            return Filesystem.copy(source, Path.join(path, name)).then(() => {
+                uploaded.push(name);
+            });
+        },
+
+        finish(prefix) {
+            // Write version attributes
+            return Filesystem.writeJson(Path.join(path, prefix, 'deploy.json'), {
+                ...attributes,
+
+                files: uploaded
+            }, {
+                spaces: 2
+            });
+        }
+    };
+}
+
+export default {
+    create
+};
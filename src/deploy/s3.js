@@ -0,0 +1,148 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+
+import Http from '../core/http';
+import {encodePath, getAttributeHeaders, getContentType} from './helpers';
+
+
+function hash(data) {
+    return Crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return Crypto.createHmac('sha256', key).update(data).digest();
+}
+
+export function getCredentials(env) {
+    if(IsNil(env['AWS_ACCESS_KEY_ID']) || IsNil(env['AWS_SECRET_ACCESS_KEY'])) {
+        throw new Error('No credentials provided (expected "AWS_ACCESS_KEY_ID" and "AWS_SECRET_ACCESS_KEY" variables)');
+    }
+
+    return {
+        accessKeyId: env['AWS_ACCESS_KEY_ID'],
+        secretAccessKey: env['AWS_SECRET_ACCESS_KEY'],
+        sessionToken: env['AWS_SESSION_TOKEN'] || null
+    };
+}
+
+export function getObjectUrl({endpoint, bucket, pathStyle = true}, name) {
+    let url = new URL(endpoint);
+    let base = url.pathname.replace(/\/+$/, '');
+
+    // Virtual-hosted style (e.g. "https://<bucket>.s3.amazonaws.com/<name>")
+    if(!pathStyle) {
+        return `${url.protocol}//${bucket}.${url.host}${base}/${encodePath(name)}`;
+    }
+
+    // Path style (e.g. "https://s3.amazonaws.com/<bucket>/<name>")
+    return `${url.protocol}//${url.host}${base}/${encodePath(bucket)}/${encodePath(name)}`;
+}
+
+export function signRequest({method, url, headers, payloadHash}, {region, credentials, date}) {
+    let target = new URL(url);
+
+    let timestamp = date.toISOString().replace(/[:\-]|\.\d{3}/g, '');
+    let scope = `${timestamp.substring(0, 8)}/${region}/s3/aws4_request`;
+
+    headers = {
+        ...headers,
+
+        'host': target.host,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': timestamp,
+
+        ...(!IsNil(credentials.sessionToken) && { 'x-amz-security-token': credentials.sessionToken })
+    };
+
+    // Build canonical request (see https://docs.aws.amazon.com/general/latest/gr/sigv4-create-canonical-request.html)
+    let names = Object.keys(headers).map((name) => name.toLowerCase()).sort();
+    let values = {};
+
+    Object.keys(headers).forEach((name) => {
+        values[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' ');
+    });
+
+    let canonicalRequest = [
+        method,
+        target.pathname,
+        target.search.substring(1),
+        ...names.map((name) => `${name}:${values[name]}`),
+        '',
+        names.join(';'),
+        payloadHash
+    ].join('\n');
+
+    // Calculate signature
+    let key = [timestamp.substring(0, 8), region, 's3', 'aws4_request'].reduce((result, value) =>
+        hmac(result, value), `AWS4${credentials.secretAccessKey}`
+    );
+
+    let signature = hmac(key, [
+        'AWS4-HMAC-SHA256',
+        timestamp,
+        scope,
+        hash(canonicalRequest)
+    ].join('\n')).toString('hex');
+
+    return {
+        ...headers,
+
+        'Authorization': `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+            `SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+}
+
+export function create(options, {attributes, client = Http, env = process.env}) {
+    if(IsNil(options.endpoint)) {
+        throw new Error('Missing required "endpoint" option');
+    }
+
+    if(IsNil(options.bucket)) {
+        throw new Error('Missing required "bucket" option');
+    }
+
+    let region = options.region || 'us-east-1';
+
+    return {
+        getDestination(name) {
+            return getObjectUrl(options, name);
+        },
+
+        upload({source, name}) {
+            let url = getObjectUrl(options, name);
+
+            return Filesystem.readFile(source).then((data) => client.request({
+                method: 'PUT',
+                url,
+
+                // Credentials are only required for uploads (not dry-runs)
+                headers: signRequest({
+                    method: 'PUT',
+                    url,
+
+                    headers: {
+                        'content-length': data.length,
+                        'content-type': getContentType(name),
+
+                        ...getAttributeHeaders(attributes, 'x-amz-meta-')
+                    },
+
+                    payloadHash: hash(data)
+                }, {
+                    region,
+                    credentials: getCredentials(env),
+                    date: new Date()
+                }),
+
+                body: data
+            })).then((response) =>
+                Http.ensureSuccess(response, 'PUT', url)
+            );
+        }
+    };
+}
+
+export default {
+    create
+};
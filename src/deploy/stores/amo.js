@@ -0,0 +1,170 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+
+import Http from '../../core/http';
+import {poll} from '../../core/helpers/promise';
+
+
+export const DefaultUrls = {
+    api: 'https://addons.mozilla.org/api/v5'
+};
+
+// Distribution channels (by build channel)
+export const Channels = {
+    'beta': 'unlisted',
+    'stable': 'listed'
+};
+
+export function getChannel(channel) {
+    if(IsNil(Channels[channel])) {
+        throw new Error(`Unable to submit "${channel}" builds (expected one of: beta, stable)`);
+    }
+
+    return Channels[channel];
+}
+
+export function getCredentials(env) {
+    if(IsNil(env['AMO_JWT_ISSUER']) || IsNil(env['AMO_JWT_SECRET'])) {
+        throw new Error('No credentials provided (expected "AMO_JWT_ISSUER" and "AMO_JWT_SECRET" variables)');
+    }
+
+    return {
+        issuer: env['AMO_JWT_ISSUER'],
+        secret: env['AMO_JWT_SECRET']
+    };
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+export function createToken({issuer, secret}, date = new Date(), id = Crypto.randomBytes(16).toString('hex')) {
+    let issuedAt = Math.floor(date.getTime() / 1000);
+
+    // Build token (see https://addons-server.readthedocs.io/en/latest/topics/api/auth.html)
+    let content = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({
+        iss: issuer,
+        jti: id,
+        iat: issuedAt,
+        exp: issuedAt + 60
+    })}`;
+
+    let signature = Crypto.createHmac('sha256', secret).update(content).digest('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+
+    return `${content}.${signature}`;
+}
+
+function getValidationError({validation}) {
+    let messages = Map((validation && validation.messages) || [], ({type, message}) => `[${type}] ${message}`);
+
+    return new Error(`Validation failed: ${messages.join(', ') || 'unknown error'}`);
+}
+
+export function submit(log, {addonId, channel, path, sourcePath = null}, options = null) {
+    options = {
+        client: Http,
+        env: process.env,
+        urls: DefaultUrls,
+
+        interval: 5000,
+        timeout: 10 * 60 * 1000,
+
+        ...(options || {})
+    };
+
+    let {client, urls} = options;
+
+    let credentials;
+    let distribution;
+
+    try {
+        credentials = getCredentials(options.env);
+        distribution = getChannel(channel);
+    } catch(err) {
+        return Promise.reject(err);
+    }
+
+    function request(method, url, {headers = {}, ...params} = {}) {
+        return client.request({
+            method,
+            url,
+
+            headers: {
+                ...headers,
+
+                // Tokens expire quickly, so create a new token for each request
+                'Authorization': `JWT ${createToken(credentials)}`
+            },
+
+            ...params
+        }).then((response) =>
+            Http.readJson(Http.ensureSuccess(response, method, url))
+        );
+    }
+
+    function upload(method, url, fields) {
+        let {contentType, body} = Http.createMultipart(fields);
+
+        return request(method, url, {
+            headers: { 'Content-Type': contentType, 'Content-Length': body.length },
+            body
+        });
+    }
+
+    let versionsUrl = `${urls.api}/addons/addon/${encodeURIComponent(addonId)}/versions/`;
+
+    return Filesystem.readFile(path).then((data) => {
+        log.info(`Uploading "${path}" (${distribution})...`);
+
+        // Upload package
+        return upload('POST', `${urls.api}/addons/upload/`, {
+            upload: { filename: Path.basename(path), contentType: 'application/zip', data },
+            channel: distribution
+        });
+    }).then(({uuid}) => {
+        log.info('Waiting for upload to be validated...');
+
+        // Wait for upload to be processed
+        return poll(() => request('GET', `${urls.api}/addons/upload/${uuid}/`).then((result) =>
+            result.processed ? result : null
+        ), options);
+    }).then((result) => {
+        if(!result.valid) {
+            return Promise.reject(getValidationError(result));
+        }
+
+        log.info(`Creating version of "${addonId}"...`);
+
+        // Create version
+        let body = JSON.stringify({ upload: result.uuid });
+
+        return request('POST', versionsUrl, {
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+            body
+        });
+    }).then((version) => {
+        if(IsNil(sourcePath)) {
+            return version;
+        }
+
+        log.info(`Uploading source archive "${sourcePath}"...`);
+
+        // Upload source archive
+        return Filesystem.readFile(sourcePath).then((data) => upload('PATCH', `${versionsUrl}${version.id}/`, {
+            source: { filename: Path.basename(sourcePath), contentType: 'application/zip', data }
+        }));
+    });
+}
+
+export default {
+    submit
+};
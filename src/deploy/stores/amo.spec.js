@@ -0,0 +1,153 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import Http from 'http';
+import Os from 'os';
+import Path from 'path';
+
+import {createToken, getChannel, submit} from './amo';
+
+
+describe('Deploy', () => {
+    describe('AMO', () => {
+        let log = { info: () => {} };
+
+        let env = {
+            'AMO_JWT_ISSUER': 'user:1:2',
+            'AMO_JWT_SECRET': 'secret'
+        };
+
+        let path;
+        let requests;
+        let routes;
+        let server;
+
+        beforeEach((done) => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-amo-'));
+            requests = [];
+
+            Filesystem.outputFileSync(Path.join(path, 'release.zip'), 'release');
+            Filesystem.outputFileSync(Path.join(path, 'sources.zip'), 'sources');
+
+            let processed = false;
+
+            routes = {
+                'POST /addons/upload/': () => ({ uuid: 'abc', processed: false }),
+                'GET /addons/upload/abc/': () => {
+                    let result = { uuid: 'abc', processed, valid: true };
+
+                    processed = true;
+                    return result;
+                },
+                'POST /addons/addon/radon%40example.com/versions/': () => ({ id: 10, version: '1.0.0' }),
+                'PATCH /addons/addon/radon%40example.com/versions/10/': () => ({ id: 10, version: '1.0.0' })
+            };
+
+            // Start stand-in server
+            server = Http.createServer((req, res) => {
+                let body = '';
+
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+
+                req.on('end', () => {
+                    let key = `${req.method} ${req.url}`;
+
+                    requests.push({ key, headers: req.headers, body });
+
+                    if(!routes[key]) {
+                        res.statusCode = 404;
+                        res.end('Not Found');
+                        return;
+                    }
+
+                    res.end(JSON.stringify(routes[key]()));
+                });
+            }).listen(0, '127.0.0.1', done);
+        });
+
+        afterEach((done) => {
+            Filesystem.removeSync(path);
+            server.close(done);
+        });
+
+        function run(channel = 'stable') {
+            return submit(log, {
+                addonId: 'radon@example.com',
+                channel,
+
+                path: Path.join(path, 'release.zip'),
+                sourcePath: Path.join(path, 'sources.zip')
+            }, {
+                env,
+                urls: { api: `http://127.0.0.1:${server.address().port}` },
+
+                interval: 1
+            });
+        }
+
+        describe('getChannel', () => {
+            it('should return the distribution channel', () => {
+                expect(getChannel('beta')).toBe('unlisted');
+                expect(getChannel('stable')).toBe('listed');
+            });
+        });
+
+        describe('createToken', () => {
+            it('should create a signed token', () => {
+                let token = createToken({ issuer: 'user:1:2', secret: 'secret' }, new Date(1000000), 'id');
+                let [header, payload, signature] = token.split('.');
+
+                expect(JSON.parse(Buffer.from(payload, 'base64').toString())).toEqual({
+                    iss: 'user:1:2',
+                    jti: 'id',
+                    iat: 1000,
+                    exp: 1060
+                });
+
+                expect(signature).toBe(Crypto.createHmac('sha256', 'secret').update(`${header}.${payload}`)
+                    .digest('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+            });
+        });
+
+        describe('submit', () => {
+            it('should upload the package, create a version and upload sources', () => {
+                return run().then((version) => {
+                    expect(version).toEqual({ id: 10, version: '1.0.0' });
+
+                    expect(requests.map(({key}) => key)).toEqual([
+                        'POST /addons/upload/',
+                        'GET /addons/upload/abc/',
+                        'GET /addons/upload/abc/',
+                        'POST /addons/addon/radon%40example.com/versions/',
+                        'PATCH /addons/addon/radon%40example.com/versions/10/'
+                    ]);
+
+                    expect(requests[0].headers['authorization']).toMatch(/^JWT [\w-]+\.[\w-]+\.[\w-]+$/);
+                    expect(requests[0].body).toContain('name="channel"\r\n\r\nlisted');
+                    expect(requests[0].body).toContain('filename="release.zip"');
+                    expect(JSON.parse(requests[3].body)).toEqual({ upload: 'abc' });
+                    expect(requests[4].body).toContain('name="source"; filename="sources.zip"');
+                });
+            });
+
+            it('should reject invalid uploads', () => {
+                routes['GET /addons/upload/abc/'] = () => ({
+                    uuid: 'abc',
+                    processed: true,
+                    valid: false,
+
+                    validation: {
+                        messages: [{ type: 'error', message: 'Invalid manifest' }]
+                    }
+                });
+
+                return run().then(() => {
+                    fail('Expected an error');
+                }, (err) => {
+                    expect(err.message).toBe('Validation failed: [error] Invalid manifest');
+                });
+            });
+        });
+    });
+});
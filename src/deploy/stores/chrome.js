@@ -0,0 +1,146 @@
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+
+import Http from '../../core/http';
+import {poll} from '../../core/helpers/promise';
+
+
+export const DefaultUrls = {
+    api: 'https://www.googleapis.com',
+    token: 'https://oauth2.googleapis.com/token'
+};
+
+// Publish targets (by build channel)
+export const PublishTargets = {
+    'beta': 'trustedTesters',
+    'stable': 'default'
+};
+
+export function getPublishTarget(channel) {
+    if(IsNil(PublishTargets[channel])) {
+        throw new Error(`Unable to publish "${channel}" builds (expected one of: beta, stable)`);
+    }
+
+    return PublishTargets[channel];
+}
+
+export function getCredentials(env) {
+    let credentials = {
+        clientId: env['CHROME_WEB_STORE_CLIENT_ID'],
+        clientSecret: env['CHROME_WEB_STORE_CLIENT_SECRET'],
+        refreshToken: env['CHROME_WEB_STORE_REFRESH_TOKEN']
+    };
+
+    if(IsNil(credentials.clientId) || IsNil(credentials.clientSecret) || IsNil(credentials.refreshToken)) {
+        throw new Error(
+            'No credentials provided (expected "CHROME_WEB_STORE_CLIENT_ID", "CHROME_WEB_STORE_CLIENT_SECRET" ' +
+            'and "CHROME_WEB_STORE_REFRESH_TOKEN" variables)'
+        );
+    }
+
+    return credentials;
+}
+
+function getUploadError(item) {
+    let messages = Map(item.itemError, ({error_code: code, error_detail: detail}) => `${detail} (${code})`);
+
+    return new Error(`Upload failed: ${messages.join(', ') || 'unknown error'}`);
+}
+
+export function submit(log, {itemId, channel, path}, options = null) {
+    options = {
+        client: Http,
+        env: process.env,
+        urls: DefaultUrls,
+
+        interval: 5000,
+        timeout: 10 * 60 * 1000,
+
+        ...(options || {})
+    };
+
+    let {client, urls} = options;
+
+    let credentials;
+    let target;
+
+    try {
+        credentials = getCredentials(options.env);
+        target = getPublishTarget(channel);
+    } catch(err) {
+        return Promise.reject(err);
+    }
+
+    function request(method, url, params = {}) {
+        return client.request({ method, url, ...params }).then((response) =>
+            Http.readJson(Http.ensureSuccess(response, method, url))
+        );
+    }
+
+    let itemUrl = `${urls.api}/chromewebstore/v1.1/items/${encodeURIComponent(itemId)}`;
+    let headers;
+
+    // Request access token
+    return request('POST', urls.token, {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+
+        body: new URLSearchParams({
+            'client_id': credentials.clientId,
+            'client_secret': credentials.clientSecret,
+            'refresh_token': credentials.refreshToken,
+            'grant_type': 'refresh_token'
+        }).toString()
+    }).then(({access_token: token}) => {
+        headers = {
+            'Authorization': `Bearer ${token}`,
+            'x-goog-api-version': '2'
+        };
+
+        return Filesystem.readFile(path);
+    }).then((data) => {
+        log.info(`Uploading "${path}" to item ${itemId}...`);
+
+        // Upload package
+        return request('PUT', `${urls.api}/upload/chromewebstore/v1.1/items/${encodeURIComponent(itemId)}`, {
+            headers: { ...headers, 'Content-Length': data.length },
+            body: data
+        });
+    }).then((item) => {
+        if(item.uploadState !== 'IN_PROGRESS') {
+            return item;
+        }
+
+        log.info('Waiting for upload to be processed...');
+
+        // Wait for upload to be processed
+        return poll(() => request('GET', `${itemUrl}?projection=DRAFT`, { headers }).then((item) =>
+            item.uploadState === 'IN_PROGRESS' ? null : item
+        ), options);
+    }).then((item) => {
+        if(item.uploadState !== 'SUCCESS') {
+            return Promise.reject(getUploadError(item));
+        }
+
+        log.info(`Publishing item ${itemId} to "${target}"...`);
+
+        // Publish item
+        return request('POST', `${itemUrl}/publish?publishTarget=${target}`, {
+            headers: { ...headers, 'Content-Length': 0 }
+        });
+    }).then((result) => {
+        let status = result.status || [];
+
+        if(status.indexOf('OK') < 0 && status.indexOf('ITEM_PENDING_REVIEW') < 0) {
+            return Promise.reject(new Error(
+                `Publish failed: ${(result.statusDetail || status).join(', ')}`
+            ));
+        }
+
+        return result;
+    });
+}
+
+export default {
+    submit
+};
@@ -0,0 +1,112 @@
+import Filesystem from 'fs-extra';
+import Http from 'http';
+import Os from 'os';
+import Path from 'path';
+
+import {getPublishTarget, submit} from './chrome';
+
+
+describe('Deploy', () => {
+    describe('Chrome Web Store', () => {
+        let log = { info: () => {} };
+
+        let env = {
+            'CHROME_WEB_STORE_CLIENT_ID': 'client',
+            'CHROME_WEB_STORE_CLIENT_SECRET': 'secret',
+            'CHROME_WEB_STORE_REFRESH_TOKEN': 'refresh'
+        };
+
+        let path;
+        let requests;
+        let routes;
+        let server;
+
+        beforeEach((done) => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-chrome-'));
+            requests = [];
+
+            Filesystem.outputFileSync(Path.join(path, 'release.zip'), 'zip');
+
+            routes = {
+                'POST /token': () => ({ 'access_token': 'access' }),
+                'PUT /upload/chromewebstore/v1.1/items/item': () => ({ uploadState: 'IN_PROGRESS' }),
+                'GET /chromewebstore/v1.1/items/item?projection=DRAFT': () => ({ uploadState: 'SUCCESS' }),
+                'POST /chromewebstore/v1.1/items/item/publish?publishTarget=trustedTesters': () => ({ status: ['OK'] })
+            };
+
+            // Start stand-in server
+            server = Http.createServer((req, res) => {
+                let body = '';
+
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+
+                req.on('end', () => {
+                    let key = `${req.method} ${req.url}`;
+
+                    requests.push({ key, headers: req.headers, body });
+
+                    if(!routes[key]) {
+                        res.statusCode = 404;
+                        res.end('Not Found');
+                        return;
+                    }
+
+                    res.end(JSON.stringify(routes[key]()));
+                });
+            }).listen(0, '127.0.0.1', done);
+        });
+
+        afterEach((done) => {
+            Filesystem.removeSync(path);
+            server.close(done);
+        });
+
+        function run(channel = 'beta') {
+            let base = `http://127.0.0.1:${server.address().port}`;
+
+            return submit(log, { itemId: 'item', channel, path: Path.join(path, 'release.zip') }, {
+                env,
+                urls: { api: base, token: `${base}/token` },
+
+                interval: 1
+            });
+        }
+
+        describe('getPublishTarget', () => {
+            it('should return the publish target for the channel', () => {
+                expect(getPublishTarget('beta')).toBe('trustedTesters');
+                expect(getPublishTarget('stable')).toBe('default');
+                expect(() => getPublishTarget('develop')).toThrowError(
+                    'Unable to publish "develop" builds (expected one of: beta, stable)'
+                );
+            });
+        });
+
+        describe('submit', () => {
+            it('should upload, wait for processing and publish the item', () => {
+                return run().then(() => {
+                    expect(requests.map(({key}) => key)).toEqual(Object.keys(routes));
+
+                    expect(requests[0].body).toContain('refresh_token=refresh');
+                    expect(requests[1].headers['authorization']).toBe('Bearer access');
+                    expect(requests[1].body).toBe('zip');
+                });
+            });
+
+            it('should reject failed uploads', () => {
+                routes['GET /chromewebstore/v1.1/items/item?projection=DRAFT'] = () => ({
+                    uploadState: 'FAILURE',
+                    itemError: [{ 'error_code': 'PKG_INVALID_VERSION_NUMBER', 'error_detail': 'Invalid version' }]
+                });
+
+                return run().then(() => {
+                    fail('Expected an error');
+                }, (err) => {
+                    expect(err.message).toBe('Upload failed: Invalid version (PKG_INVALID_VERSION_NUMBER)');
+                });
+            });
+        });
+    });
+});
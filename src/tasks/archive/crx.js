@@ -0,0 +1,99 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+import Path from 'path';
+
+import Crx from '../../core/crx';
+import {Task} from '../../core/helpers';
+import {getReleaseArchivePath} from './release';
+
+
+// Environment variable containing the private key (PEM), used when no key path is provided
+export const PrivateKeyVariable = 'CRX_PRIVATE_KEY';
+
+export const UpdateManifestName = 'updates.xml';
+
+export function isChromiumBrowser(browser) {
+    return browser.name !== 'firefox' && browser.base !== 'firefox';
+}
+
+export function getCrxName(browser) {
+    return `Radon-${browser.title}-${browser.versionName}.crx`;
+}
+
+export function getCodebase(base, name) {
+    return `${base.replace(/\/+$/, '')}/${encodeURIComponent(name)}`;
+}
+
+export function readPrivateKey(path = null, env = process.env) {
+    // Read private key from file
+    if(!IsNil(path)) {
+        return Filesystem.readFile(path).catch((err) => Promise.reject(new Error(
+            `Unable to read private key "${path}": ${err.message}`
+        ))).then((data) =>
+            Crx.readPrivateKey(data)
+        );
+    }
+
+    // Read private key from the environment
+    if(!IsNil(env[PrivateKeyVariable]) && env[PrivateKeyVariable].length > 0) {
+        return Promise.resolve().then(() =>
+            Crx.readPrivateKey(env[PrivateKeyVariable].replace(/\\n/g, '\n'))
+        );
+    }
+
+    return Promise.reject(new Error(
+        `No private key provided (expected the "--key" option, or the "${PrivateKeyVariable}" environment variable)`
+    ));
+}
+
+export const CrxArchiveTask = Task.create({
+    name: 'archive:crx',
+    description: 'Create signed CRX package of the built extension.',
+
+    required: [
+        'archive:release'
+    ],
+
+    command: (cmd) => cmd
+        .option('--key <path>', `Private key path [default: $${PrivateKeyVariable}]`)
+        .option('--codebase <url>', 'Base URL the CRX package will be hosted at (required for "updates.xml")')
+}, (log, browser, environment, options) => {
+    if(!isChromiumBrowser(browser)) {
+        return Promise.reject(new Error(`CRX packages aren't supported for ${browser.title}`));
+    }
+
+    let name = getCrxName(browser);
+
+    return Promise.all([
+        Filesystem.readFile(getReleaseArchivePath(browser, environment)),
+        readPrivateKey(options['key'])
+    ]).then(([zip, privateKey]) => {
+        let crx = Crx.createCrx(zip, privateKey);
+        let id = Crx.getExtensionId(privateKey.publicKey);
+
+        log.info(`Extension ID: ${id}`);
+
+        // Write package
+        return Filesystem.writeFile(Path.join(environment.buildPath, name), crx).then(() => {
+            if(IsNil(options['codebase'])) {
+                log.warn(`No codebase provided, "${UpdateManifestName}" won't be written`);
+                return Promise.resolve();
+            }
+
+            // Write update manifest
+            return Filesystem.writeFile(Path.join(environment.buildPath, UpdateManifestName), Crx.createUpdateManifest({
+                id,
+                version: browser.version,
+
+                codebase: getCodebase(options['codebase'], name),
+                hash: Crypto.createHash('sha256').update(crx).digest('hex')
+            }));
+        });
+    });
+}, {
+    'codebase': null,
+    'key': null
+});
+
+export default CrxArchiveTask;
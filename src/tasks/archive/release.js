@@ -1,9 +1,26 @@
+import Filesystem from 'fs-extra';
 import Path from 'path';
 
 import {Task} from '../../core/helpers';
 import {createZip} from '../../core/zip';
 
 
+export function getReleaseArchivePath(browser, environment) {
+    return Path.join(environment.buildPath, `Radon-${browser.title}-${browser.versionName}.zip`);
+}
+
+export function ensureArchives(paths) {
+    let missing = paths.filter((path) => !Filesystem.existsSync(path));
+
+    if(missing.length > 0) {
+        return Promise.reject(new Error(
+            `Unable to find archive(s): ${missing.map((path) => `"${path}"`).join(', ')} (run "build" first)`
+        ));
+    }
+
+    return Promise.resolve();
+}
+
 export const ReleaseArchiveTask = Task.create({
     name: 'archive:release',
     description: 'Create release archive of the built extension.',
@@ -16,10 +33,12 @@ export const ReleaseArchiveTask = Task.create({
     ]
 }, (log, browser, environment) => {
     return createZip({
-        archive: Path.join(environment.buildPath, `Radon-${browser.title}-${browser.versionName}.zip`),
+        archive: getReleaseArchivePath(browser, environment),
 
         source: environment.outputPath,
-        pattern: '**/*'
+        pattern: '**/*',
+
+        mtime: environment.sourceDate
     });
 });
 
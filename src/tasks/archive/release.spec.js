@@ -0,0 +1,37 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {ensureArchives} from './release';
+
+
+describe('Tasks', () => {
+    describe('archive:release', () => {
+        let path;
+
+        beforeEach(() => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-release-'));
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        describe('ensureArchives', () => {
+            it('should reject when archives are missing', () => {
+                Filesystem.outputFileSync(Path.join(path, 'release.zip'), '');
+
+                return ensureArchives([
+                    Path.join(path, 'release.zip'),
+                    Path.join(path, 'sources.zip')
+                ]).then(() => {
+                    fail('Expected an error');
+                }, (err) => {
+                    expect(err.message).toBe(
+                        `Unable to find archive(s): "${Path.join(path, 'sources.zip')}" (run "build" first)`
+                    );
+                });
+            });
+        });
+    });
+});
@@ -6,12 +6,14 @@ import Pick from 'lodash/pick';
 
 import Copy from '../../core/copy';
 import Json from '../../core/json';
+import {ConfigName} from '../../core/config';
 import {Task} from '../../core/helpers';
 import {createZip} from '../../core/zip';
 import {writePackage, writePackageLocks} from '../../core/package';
 
 
-const Pattern = '{Assets/**/*,*.json,*.md,.*}';
+// Browser package files (including the project configuration, required to rebuild the extension)
+const Pattern = `{Assets/**/*,*.json,*.md,.*,${ConfigName}}`;
 
 export function getModuleVersions(browser) {
     return MapValues(MapKeys(browser.modules, (module) =>
@@ -57,7 +59,7 @@ function writeBuildDetails(browser, environment) {
     let path = Path.join(environment.output.source, 'build.json');
 
     // Write build details
-    Json.write(path, MapValues(MapKeys(browser.modules, (module) =>
+    return Json.write(path, MapValues(MapKeys(browser.modules, (module) =>
         module.name
     ), (module) => {
         if(module.type === 'package') {
@@ -70,6 +72,10 @@ function writeBuildDetails(browser, environment) {
     });
 }
 
+export function getSourceArchivePath(browser, environment) {
+    return Path.join(environment.buildPath, `Radon-${browser.title}-${browser.versionName}-sources.zip`);
+}
+
 export const SourceArchiveTask = Task.create({
     name: 'archive:source',
     description: 'Create source archive of the browser package.',
@@ -90,10 +96,12 @@ export const SourceArchiveTask = Task.create({
         .then(() => writeBuildDetails(browser, environment))
         // Create an archive of browser sources
         .then(() => createZip({
-            archive: Path.join(environment.buildPath, `Radon-${browser.title}-${browser.versionName}-sources.zip`),
+            archive: getSourceArchivePath(browser, environment),
 
             source: environment.output.source,
-            pattern: '{Assets/**/*,*.json,*.md,.*}'
+            pattern: Pattern,
+
+            mtime: environment.sourceDate
         }));
 });
 
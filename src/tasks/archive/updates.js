@@ -0,0 +1,162 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+import Path from 'path';
+
+import {Task} from '../../core/helpers';
+import {getCodebase} from './crx';
+import {getReleaseArchivePath} from './release';
+
+
+export const UpdateManifestName = 'updates.json';
+
+export function isFirefoxBrowser(browser) {
+    return browser.name === 'firefox' || browser.base === 'firefox';
+}
+
+export function getGeckoSettings(manifest) {
+    let settings = manifest['browser_specific_settings'] || manifest['applications'] || {};
+
+    return settings.gecko || {};
+}
+
+export function compareVersions(a, b) {
+    let left = String(a).split('.');
+    let right = String(b).split('.');
+
+    for(let i = 0; i < Math.max(left.length, right.length); i++) {
+        let delta = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+
+        if(delta !== 0) {
+            return delta;
+        }
+    }
+
+    return 0;
+}
+
+export function createUpdate(gecko, {version, link, hash}) {
+    let update = {
+        'version': version,
+        'update_link': link,
+        'update_hash': `sha256:${hash}`
+    };
+
+    if(!IsNil(gecko['strict_min_version'])) {
+        update['applications'] = {
+            'gecko': { 'strict_min_version': gecko['strict_min_version'] }
+        };
+    }
+
+    return update;
+}
+
+export function mergeUpdates(previous, id, update) {
+    if(!IsPlainObject(previous) || !IsPlainObject(previous.addons)) {
+        throw new Error('Invalid update manifest (expected an "addons" object)');
+    }
+
+    let updates = (previous.addons[id] && previous.addons[id].updates) || [];
+
+    if(!Array.isArray(updates)) {
+        throw new Error(`Invalid update manifest (expected "addons.${id}.updates" to be an array)`);
+    }
+
+    // Ensure version increases
+    let latest = null;
+
+    ForEach(updates, ({version}) => {
+        if(IsNil(latest) || compareVersions(version, latest) > 0) {
+            latest = version;
+        }
+    });
+
+    if(!IsNil(latest) && compareVersions(update.version, latest) <= 0) {
+        throw new Error(`Version ${update.version} should be greater than the latest version (${latest})`);
+    }
+
+    return {
+        ...previous,
+
+        addons: {
+            ...previous.addons,
+
+            [id]: {
+                ...previous.addons[id],
+
+                updates: [...updates, update]
+            }
+        }
+    };
+}
+
+function readPrevious(path) {
+    if(IsNil(path)) {
+        return Promise.resolve({ addons: {} });
+    }
+
+    return Filesystem.readJson(path).catch((err) => Promise.reject(new Error(
+        `Unable to read update manifest "${path}": ${err.message}`
+    )));
+}
+
+export const UpdatesArchiveTask = Task.create({
+    name: 'archive:updates',
+    description: 'Write update manifest (updates.json) for self-hosted Firefox builds.',
+
+    required: [
+        'archive:release'
+    ],
+
+    command: (cmd) => cmd
+        .option('--codebase <url>', 'Base URL the package will be hosted at')
+        .option('--previous <path>', 'Previous update manifest (to merge update history from)')
+        .option('--xpi <path>', 'Signed package to publish [default: release archive]')
+}, (log, browser, environment, options) => {
+    if(!isFirefoxBrowser(browser)) {
+        return Promise.reject(new Error(`Update manifests aren't supported for ${browser.title}`));
+    }
+
+    if(IsNil(options['codebase'])) {
+        return Promise.reject(new Error('No codebase provided'));
+    }
+
+    let path = options['xpi'] ? Path.resolve(options['xpi']) : getReleaseArchivePath(browser, environment);
+
+    return Promise.all([
+        Filesystem.readJson(Path.join(environment.outputPath, 'manifest.json')),
+        Filesystem.readFile(path),
+        readPrevious(options['previous'])
+    ]).then(([manifest, data, previous]) => {
+        let gecko = getGeckoSettings(manifest);
+
+        if(IsNil(gecko.id)) {
+            return Promise.reject(new Error('No "applications.gecko.id" defined in the extension manifest'));
+        }
+
+        let update = createUpdate(gecko, {
+            version: browser.version,
+            link: getCodebase(options['codebase'], Path.basename(path)),
+            hash: Crypto.createHash('sha256').update(data).digest('hex')
+        });
+
+        log.info(`Adding ${browser.versionName} (${update.version}) to "${gecko.id}" updates`);
+
+        // Write update manifest
+        return Filesystem.writeJson(Path.join(environment.buildPath, UpdateManifestName), mergeUpdates(
+            previous,
+            gecko.id,
+            update
+        ), {
+            spaces: 2
+        });
+    });
+}, {
+    'codebase': null,
+    'previous': null,
+    'xpi': null
+});
+
+export default UpdatesArchiveTask;
@@ -0,0 +1,75 @@
+import {compareVersions, createUpdate, getGeckoSettings, mergeUpdates} from './updates';
+
+
+describe('Tasks', () => {
+    describe('archive:updates', () => {
+        let update = createUpdate({ id: 'radon@example.com', 'strict_min_version': '57.0' }, {
+            version: '1.1.0.12',
+            link: 'https://example.com/Radon-Firefox-1.1.0-pre.zip',
+            hash: 'abc'
+        });
+
+        describe('compareVersions', () => {
+            it('should compare version parts numerically', () => {
+                expect(compareVersions('1.10.0', '1.9.0')).toBeGreaterThan(0);
+                expect(compareVersions('1.1.0', '1.1.0.1')).toBeLessThan(0);
+                expect(compareVersions('1.1', '1.1.0')).toBe(0);
+            });
+        });
+
+        describe('getGeckoSettings', () => {
+            it('should return gecko settings', () => {
+                expect(getGeckoSettings({ applications: { gecko: { id: 'a' } } })).toEqual({ id: 'a' });
+                expect(getGeckoSettings({ 'browser_specific_settings': { gecko: { id: 'b' } } })).toEqual({ id: 'b' });
+                expect(getGeckoSettings({})).toEqual({});
+            });
+        });
+
+        describe('createUpdate', () => {
+            it('should include the hash and minimum version', () => {
+                expect(update).toEqual({
+                    'version': '1.1.0.12',
+                    'update_link': 'https://example.com/Radon-Firefox-1.1.0-pre.zip',
+                    'update_hash': 'sha256:abc',
+                    'applications': {
+                        'gecko': { 'strict_min_version': '57.0' }
+                    }
+                });
+            });
+        });
+
+        describe('mergeUpdates', () => {
+            let previous = {
+                addons: {
+                    'other@example.com': { updates: [] },
+                    'radon@example.com': {
+                        updates: [
+                            { version: '1.0.0.10', 'update_link': 'https://example.com/a.zip' }
+                        ]
+                    }
+                }
+            };
+
+            it('should append updates to the history', () => {
+                let result = mergeUpdates(previous, 'radon@example.com', update);
+
+                expect(Object.keys(result.addons)).toEqual(['other@example.com', 'radon@example.com']);
+                expect(result.addons['radon@example.com'].updates.map(({version}) => version)).toEqual([
+                    '1.0.0.10',
+                    '1.1.0.12'
+                ]);
+            });
+
+            it('should reject versions that do not increase', () => {
+                expect(() => mergeUpdates(previous, 'radon@example.com', { ...update, version: '1.0.0.10' }))
+                    .toThrowError('Version 1.0.0.10 should be greater than the latest version (1.0.0.10)');
+            });
+
+            it('should reject invalid manifests', () => {
+                expect(() => mergeUpdates({}, 'radon@example.com', update)).toThrowError(
+                    'Invalid update manifest (expected an "addons" object)'
+                );
+            });
+        });
+    });
+});
@@ -1,5 +1,7 @@
 import Chalk from 'chalk';
 import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import Glob from 'glob';
 import Map from 'lodash/map';
 import Mkdirp from 'mkdirp';
 import PadEnd from 'lodash/padEnd';
@@ -11,6 +13,18 @@ import {Task} from '../../core/helpers';
 
 const Pattern = '**/*.{css,eot,html,js,png,svg,ttf,woff}';
 
+function getAssetPaths(environment, module) {
+    let src = Path.join(module.path, 'Assets');
+    let dest = environment.outputPath;
+
+    // Add module name suffix to output directory
+    if(['core', 'package', 'tool'].indexOf(module.type) < 0) {
+        dest = Path.join(dest, `Plugins/${module.id}`);
+    }
+
+    return { src, dest };
+}
+
 export const Assets = Task.create({
     name: 'build:assets',
     description: 'Build extension assets.',
@@ -18,26 +32,47 @@ export const Assets = Task.create({
     required: [
         'clean',
         'module:validate'
-    ]
+    ],
+
+    cache: (browser, environment) => {
+        let inputs = [];
+        let outputs = [];
+
+        ForEach(browser.modules, (module) => {
+            let {src, dest} = getAssetPaths(environment, module);
+
+            inputs.push(Path.join(src, Pattern));
+
+            // Output paths (webpack also writes to the output directory, so a pattern can't be used here)
+            outputs.push(...Map(Glob.sync(Pattern, { cwd: src, nodir: true }), (path) =>
+                Path.join(dest, path)
+            ));
+        });
+
+        return {
+            key: Object.keys(browser.modules),
+
+            inputs,
+            outputs
+        };
+    },
+
+    watch: (browser, environment) => Map(browser.modules, (module) =>
+        getAssetPaths(environment, module).src
+    )
 }, function(log, browser, environment) {
     // Ensure output directory exists
     Mkdirp.sync(environment.outputPath);
 
     // Copy assets to build directory
     return Promise.all(Map(browser.modules, (module) => {
-        let src = Path.join(module.path, 'Assets');
-        let dest = environment.outputPath;
+        let {src, dest} = getAssetPaths(environment, module);
 
         // Ensure source path exists
         if(!Filesystem.existsSync(src)) {
             return Promise.resolve();
         }
 
-        // Add module name suffix to output directory
-        if(['core', 'package', 'tool'].indexOf(module.type) < 0) {
-            dest = Path.join(dest, `Plugins/${module.id}`);
-        }
-
         // Copy module assets to build directory
         return Copy(Pattern, src, dest).then((files) => {
             log.info(Chalk.green(
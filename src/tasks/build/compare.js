@@ -0,0 +1,316 @@
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Max from 'lodash/max';
+import PadEnd from 'lodash/padEnd';
+import PadStart from 'lodash/padStart';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+
+import Checksum from '../../core/checksum';
+import Config from '../../core/config';
+import Json from '../../core/json';
+import {Task} from '../../core/helpers';
+import {formatSize} from '../../core/size';
+import {getChunkSizes} from '../../webpack/budgets';
+
+
+export const PermissionKeys = [
+    'permissions',
+    'optional_permissions',
+    'host_permissions',
+    'optional_host_permissions'
+];
+
+export function parseChecksums(data) {
+    let hashes = {};
+
+    ForEach(data.split(/\r?\n/), (line) => {
+        let match = /^([0-9a-f]+)\s+\*?(.+)$/i.exec(line.trim());
+
+        if(IsNil(match)) {
+            return;
+        }
+
+        hashes[match[2]] = match[1];
+    });
+
+    return hashes;
+}
+
+function getModules(stats) {
+    let modules = {};
+
+    ForEach(stats.modules, (module) => {
+        if(IsNil(module.name)) {
+            return;
+        }
+
+        modules[module.name] = module.size || 0;
+    });
+
+    return modules;
+}
+
+function getDifference(previous, current) {
+    return {
+        added: current.filter((value) => previous.indexOf(value) < 0).sort(),
+        removed: previous.filter((value) => current.indexOf(value) < 0).sort()
+    };
+}
+
+export function compareModules(previous, current) {
+    let a = getModules(previous);
+    let b = getModules(current);
+
+    let {added, removed} = getDifference(Object.keys(a), Object.keys(b));
+
+    return {
+        added: Map(added, (name) => ({ name, size: b[name] })),
+        removed: Map(removed, (name) => ({ name, size: a[name] }))
+    };
+}
+
+export function compareChunks(previous, current) {
+    let a = getChunkSizes(previous);
+    let b = getChunkSizes(current);
+
+    return Map(Uniq([...Object.keys(a), ...Object.keys(b)]).sort(), (name) => ({
+        name,
+
+        previous: a[name] || 0,
+        current: b[name] || 0,
+
+        delta: (b[name] || 0) - (a[name] || 0)
+    }));
+}
+
+export function compareFiles(previous, current) {
+    let a = Object.keys(previous).filter((name) => name.indexOf('unpacked/') === 0);
+    let b = Object.keys(current).filter((name) => name.indexOf('unpacked/') === 0);
+
+    return {
+        ...getDifference(a, b),
+
+        changed: b.filter((name) => !IsNil(previous[name]) && previous[name] !== current[name]).sort()
+    };
+}
+
+export function comparePermissions(previous, current) {
+    let result = {};
+
+    ForEach(PermissionKeys, (key) => {
+        let difference = getDifference(previous[key] || [], current[key] || []);
+
+        if(difference.added.length < 1 && difference.removed.length < 1) {
+            return;
+        }
+
+        result[key] = difference;
+    });
+
+    return result;
+}
+
+function formatDelta(delta) {
+    if(delta > 0) {
+        return `+${formatSize(delta)}`;
+    }
+
+    if(delta < 0) {
+        return `-${formatSize(-delta)}`;
+    }
+
+    return '0 B';
+}
+
+export function formatTable(report) {
+    let lines = [];
+
+    // Chunks
+    let chunks = report.chunks.filter(({delta}) => delta !== 0);
+    let nameLength = Max([5, ...Map(chunks, ({name}) => name.length)]);
+
+    lines.push(`${PadEnd('Chunk', nameLength)}  ${PadStart('Previous', 12)}  ${PadStart('Current', 12)}  ${
+        PadStart('Delta', 12)
+    }`);
+
+    ForEach(chunks, ({name, previous, current, delta}) => {
+        lines.push(`${PadEnd(name, nameLength)}  ${PadStart(formatSize(previous), 12)}  ${
+            PadStart(formatSize(current), 12)
+        }  ${PadStart(formatDelta(delta), 12)}`);
+    });
+
+    // Modules
+    lines.push(`Modules: ${report.modules.added.length} added, ${report.modules.removed.length} removed`);
+
+    ForEach(report.modules.added, ({name, size}) => lines.push(` + ${name} (${formatSize(size)})`));
+    ForEach(report.modules.removed, ({name, size}) => lines.push(` - ${name} (${formatSize(size)})`));
+
+    // Files
+    lines.push(
+        `Files: ${report.files.added.length} added, ${report.files.removed.length} removed, ` +
+        `${report.files.changed.length} changed`
+    );
+
+    ForEach(report.files.added, (name) => lines.push(` + ${name}`));
+    ForEach(report.files.removed, (name) => lines.push(` - ${name}`));
+    ForEach(report.files.changed, (name) => lines.push(` ~ ${name}`));
+
+    // Permissions
+    lines.push(`Permissions: ${Object.keys(report.permissions).length < 1 ? 'unchanged' : 'changed'}`);
+
+    ForEach(report.permissions, ({added, removed}, key) => {
+        ForEach(added, (name) => lines.push(` + ${name} (${key})`));
+        ForEach(removed, (name) => lines.push(` - ${name} (${key})`));
+    });
+
+    return lines;
+}
+
+export function formatMarkdown(report) {
+    let lines = [
+        `## Build Comparison (${report.browser} / ${report.environment})`,
+        '',
+        '### Chunks',
+        '',
+        '| Chunk | Previous | Current | Delta |',
+        '| --- | ---: | ---: | ---: |',
+
+        ...Map(report.chunks.filter(({delta}) => delta !== 0), ({name, previous, current, delta}) =>
+            `| \`${name}\` | ${formatSize(previous)} | ${formatSize(current)} | ${formatDelta(delta)} |`
+        ),
+
+        '',
+        '### Modules',
+        '',
+
+        ...Map(report.modules.added, ({name, size}) => `- Added \`${name}\` (${formatSize(size)})`),
+        ...Map(report.modules.removed, ({name, size}) => `- Removed \`${name}\` (${formatSize(size)})`),
+
+        '',
+        '### Files',
+        '',
+
+        ...Map(report.files.added, (name) => `- Added \`${name}\``),
+        ...Map(report.files.removed, (name) => `- Removed \`${name}\``),
+        ...Map(report.files.changed, (name) => `- Changed \`${name}\``),
+
+        '',
+        '### Permissions',
+        ''
+    ];
+
+    if(Object.keys(report.permissions).length < 1) {
+        lines.push('No permission changes.');
+    }
+
+    ForEach(report.permissions, ({added, removed}, key) => {
+        lines.push(...Map(added, (name) => `- Added \`${name}\` (${key})`));
+        lines.push(...Map(removed, (name) => `- Removed \`${name}\` (${key})`));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+export function findBuildPath(browser, environment, path) {
+    let candidates = [
+        path,
+        Path.join(path, browser.title, environment.title),
+        Path.join(path, environment.title)
+    ];
+
+    for(let i = 0; i < candidates.length; i++) {
+        if(Filesystem.existsSync(Path.join(candidates[i], 'webpack.stats.json'))) {
+            return candidates[i];
+        }
+    }
+
+    throw new Error(`Unable to find a build in "${path}" (expected a directory containing "webpack.stats.json")`);
+}
+
+export function findSumsName(paths, algorithms) {
+    for(let i = 0; i < algorithms.length; i++) {
+        let name = Checksum.getSumsName(algorithms[i]);
+
+        if(paths.every((path) => Filesystem.existsSync(Path.join(path, name)))) {
+            return name;
+        }
+    }
+
+    throw new Error(
+        `Unable to find a checksum file present in both builds (expected one of: ${
+            Map(algorithms, (algorithm) => Checksum.getSumsName(algorithm)).join(', ')
+        })`
+    );
+}
+
+function readBuild(path, sumsName) {
+    return Promise.all([
+        Filesystem.readJson(Path.join(path, 'webpack.stats.json')),
+        Filesystem.readFile(Path.join(path, sumsName), 'utf-8'),
+        Json.read(Path.join(path, 'unpacked', 'manifest.json'), {})
+    ]).then(([stats, checksums, manifest]) => ({
+        path,
+
+        stats,
+        checksums: parseChecksums(checksums),
+        manifest
+    }));
+}
+
+export function createReport(browser, environment, previous, current) {
+    return {
+        browser: browser.name,
+        environment: environment.name,
+
+        previous: previous.path,
+        current: current.path,
+
+        chunks: compareChunks(previous.stats, current.stats),
+        modules: compareModules(previous.stats, current.stats),
+        files: compareFiles(previous.checksums, current.checksums),
+        permissions: comparePermissions(previous.manifest, current.manifest)
+    };
+}
+
+export const Compare = Task.create({
+    name: 'build:compare <previous-build-dir>',
+    description: 'Compare the current build with a previous build.'
+}, (log, browser, environment, options) => {
+    let previousPath;
+    let sumsName;
+
+    try {
+        previousPath = findBuildPath(browser, environment, Path.resolve(options['previous-build-dir']));
+
+        // Find checksum file (from the configured algorithms)
+        sumsName = findSumsName([previousPath, environment.buildPath], Config.get().checksums.algorithms);
+    } catch(e) {
+        return Promise.reject(e);
+    }
+
+    return Promise.all([readBuild(previousPath, sumsName), readBuild(environment.buildPath, sumsName)])
+        .then(([previous, current]) => createReport(browser, environment, previous, current))
+        // Display report
+        .then((report) => {
+            ForEach(formatTable(report), (line) => {
+                log.info(line);
+            });
+
+            return report;
+        })
+        // Write reports
+        .then((report) => Promise.all([
+            Filesystem.writeJson(Path.join(environment.buildPath, 'compare.json'), report, {
+                spaces: 2
+            }),
+
+            Filesystem.writeFile(Path.join(environment.buildPath, 'compare.md'), formatMarkdown(report))
+        ]));
+}, {
+    'previous-build-dir': null
+});
+
+export default Compare;
@@ -0,0 +1,131 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {
+    compareChunks,
+    compareFiles,
+    compareModules,
+    comparePermissions,
+    findSumsName,
+    parseChecksums
+} from './compare';
+
+
+describe('Tasks', () => {
+    describe('build:compare', () => {
+        describe('parseChecksums', () => {
+            it('should parse checksum lines', () => {
+                expect(parseChecksums(
+                    'd41d8cd98f00b204e9800998ecf8427e  unpacked/manifest.json\n' +
+                    '0cc175b9c0f1b6a831c399e269772661  Radon-Chrome-1.0.0.zip\n'
+                )).toEqual({
+                    'unpacked/manifest.json': 'd41d8cd98f00b204e9800998ecf8427e',
+                    'Radon-Chrome-1.0.0.zip': '0cc175b9c0f1b6a831c399e269772661'
+                });
+            });
+        });
+
+        describe('findSumsName', () => {
+            let previous;
+            let current;
+
+            beforeEach(() => {
+                previous = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-compare-'));
+                current = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-compare-'));
+            });
+
+            afterEach(() => {
+                Filesystem.removeSync(previous);
+                Filesystem.removeSync(current);
+            });
+
+            it('should return the first configured checksum file present in both builds', () => {
+                Filesystem.writeFileSync(Path.join(previous, 'SHA256SUMS'), '');
+                Filesystem.writeFileSync(Path.join(previous, 'SHA512SUMS'), '');
+                Filesystem.writeFileSync(Path.join(current, 'SHA512SUMS'), '');
+
+                expect(findSumsName([previous, current], ['sha256', 'sha512'])).toBe('SHA512SUMS');
+            });
+
+            it('should throw an error if no configured checksum file exists', () => {
+                Filesystem.writeFileSync(Path.join(previous, 'MD5SUMS'), '');
+                Filesystem.writeFileSync(Path.join(current, 'MD5SUMS'), '');
+
+                expect(() => findSumsName([previous, current], ['sha256'])).toThrowError(
+                    'Unable to find a checksum file present in both builds (expected one of: SHA256SUMS)'
+                );
+            });
+        });
+
+        describe('compareModules', () => {
+            it('should return added and removed modules', () => {
+                expect(compareModules({
+                    modules: [
+                        { name: './node_modules/lodash-es/map.js', size: 100 },
+                        { name: './node_modules/whatwg-fetch/fetch.js', size: 200 }
+                    ]
+                }, {
+                    modules: [
+                        { name: './node_modules/lodash/lodash.js', size: 500 },
+                        { name: './node_modules/whatwg-fetch/fetch.js', size: 200 }
+                    ]
+                })).toEqual({
+                    added: [{ name: './node_modules/lodash/lodash.js', size: 500 }],
+                    removed: [{ name: './node_modules/lodash-es/map.js', size: 100 }]
+                });
+            });
+        });
+
+        describe('compareChunks', () => {
+            it('should return chunk size deltas', () => {
+                expect(compareChunks({
+                    assets: [{ name: 'Common.js', size: 100, chunkNames: ['Common'] }]
+                }, {
+                    assets: [
+                        { name: 'Common.js', size: 250, chunkNames: ['Common'] },
+                        { name: 'Application.js', size: 50, chunkNames: ['Application'] }
+                    ]
+                })).toEqual([
+                    { name: 'Application', previous: 0, current: 50, delta: 50 },
+                    { name: 'Common', previous: 100, current: 250, delta: 150 }
+                ]);
+            });
+        });
+
+        describe('compareFiles', () => {
+            it('should return added, removed and changed files', () => {
+                expect(compareFiles({
+                    'unpacked/Common.js': 'a',
+                    'unpacked/Removed.js': 'b',
+                    'Radon-Chrome-1.0.0.zip': 'c'
+                }, {
+                    'unpacked/Common.js': 'd',
+                    'unpacked/Added.js': 'e',
+                    'Radon-Chrome-1.0.1.zip': 'f'
+                })).toEqual({
+                    added: ['unpacked/Added.js'],
+                    removed: ['unpacked/Removed.js'],
+                    changed: ['unpacked/Common.js']
+                });
+            });
+        });
+
+        describe('comparePermissions', () => {
+            it('should only return changed permission keys', () => {
+                expect(comparePermissions({
+                    'permissions': ['storage'],
+                    'host_permissions': ['*://www.last.fm/*']
+                }, {
+                    'permissions': ['storage', 'notifications'],
+                    'host_permissions': ['*://www.last.fm/*']
+                })).toEqual({
+                    'permissions': {
+                        added: ['notifications'],
+                        removed: []
+                    }
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import Filesystem from 'fs-extra';
+import Filter from 'lodash/filter';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+import Map from 'lodash/map';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+
+import {readEntry} from '../../../core/zip';
+
+
+export function parseBaseline(manifest) {
+    if(!IsPlainObject(manifest)) {
+        throw new Error('Expected previous manifest to be a plain object');
+    }
+
+    // Include host permissions (Manifest V3)
+    return {
+        'permissions': Uniq([
+            ...(manifest.permissions || []),
+            ...(manifest.host_permissions || [])
+        ]),
+
+        'optional_permissions': Uniq([
+            ...(manifest.optional_permissions || []),
+            ...(manifest.optional_host_permissions || [])
+        ])
+    };
+}
+
+export function getPermissionSources(entries) {
+    let sources = {};
+
+    ForEach(entries, ({name, permissions}) => {
+        ForEach(permissions, (permission) => {
+            sources[permission] = Uniq([...(sources[permission] || []), name]);
+        });
+    });
+
+    return sources;
+}
+
+export function getPermissionChanges(baseline, manifest, sources, acknowledged) {
+    let current = manifest.permissions || [];
+
+    return {
+        added: Map(Filter(current, (permission) => baseline.permissions.indexOf(permission) < 0), (permission) => ({
+            permission,
+
+            modules: sources[permission] || [],
+            acknowledged: acknowledged.indexOf(permission) >= 0
+        })),
+
+        removed: Filter(baseline.permissions, (permission) => current.indexOf(permission) < 0)
+    };
+}
+
+function readArchiveManifest(path) {
+    return readEntry(path, 'manifest.json').then((data) => {
+        if(IsNil(data)) {
+            return Promise.reject(new Error(`No "manifest.json" found in "${path}"`));
+        }
+
+        return JSON.parse(data.toString('utf-8'));
+    });
+}
+
+function readDirectoryManifest(path) {
+    let candidates = [
+        Path.join(path, 'manifest.json'),
+        Path.join(path, 'unpacked', 'manifest.json')
+    ];
+
+    for(let i = 0; i < candidates.length; i++) {
+        if(Filesystem.existsSync(candidates[i])) {
+            return Filesystem.readJson(candidates[i]);
+        }
+    }
+
+    return Promise.reject(new Error(
+        `No "manifest.json" found in "${path}" (expected an unpacked extension, or a build directory)`
+    ));
+}
+
+export function readPreviousManifest(path) {
+    // Release archive
+    if(/\.(zip|xpi)$/i.test(path)) {
+        return readArchiveManifest(path);
+    }
+
+    return readDirectoryManifest(path);
+}
+
+export function readBaseline(environment) {
+    let path = environment.options['previous-release'];
+
+    if(IsNil(path)) {
+        return Promise.resolve(null);
+    }
+
+    path = Path.resolve(path);
+
+    // Read manifest from the previous release
+    return readPreviousManifest(path).then((manifest) => ({
+        ...parseBaseline(manifest),
+
+        source: path
+    }), (err) => Promise.reject(new Error(
+        `Unable to read previous release manifest: ${err.message}`
+    )));
+}
+
+export function checkPermissions(log, browser, environment, manifest, sources) {
+    return readBaseline(environment).then((baseline) => {
+        if(IsNil(baseline) && environment.permissions.enforce) {
+            return Promise.reject(new Error(
+                `Unable to check permissions, no previous release provided (required by the "${environment.name}" ` +
+                'environment, see "--previous-release")'
+            ));
+        }
+
+        if(IsNil(baseline)) {
+            log.info('Skipped permission check (no previous release provided, see "--previous-release")');
+            return Promise.resolve();
+        }
+
+        let acknowledged = browser.extension.manifest['acknowledged_permissions'] || [];
+        let {added, removed} = getPermissionChanges(baseline, manifest, sources, acknowledged);
+
+        log.debug(`Comparing permissions with: ${baseline.source}`);
+
+        // Display permission changes
+        ForEach(added, ({permission, modules, acknowledged}) => {
+            let message = `New required permission: "${permission}" (introduced by: ${
+                modules.length > 0 ? modules.join(', ') : 'unknown'
+            })`;
+
+            if(acknowledged) {
+                log.info(`${message} [acknowledged]`);
+            } else {
+                log.warn(message);
+            }
+        });
+
+        ForEach(removed, (permission) => {
+            log.info(`Removed required permission: "${permission}"`);
+        });
+
+        // Ensure new permissions have been acknowledged (if enforced by the environment)
+        let unacknowledged = Filter(added, ({acknowledged}) => !acknowledged);
+
+        if(unacknowledged.length > 0 && environment.permissions.enforce) {
+            return Promise.reject(new Error(
+                `${unacknowledged.length} new required permission(s) haven't been acknowledged ` +
+                `(add them to "acknowledged_permissions" in extension.json): ${
+                    Map(unacknowledged, 'permission').join(', ')
+                }`
+            ));
+        }
+
+        return Promise.resolve();
+    });
+}
+
+export default {
+    checkPermissions,
+    getPermissionChanges,
+    getPermissionSources,
+    readBaseline,
+    readPreviousManifest
+};
@@ -0,0 +1,208 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {createZip} from '../../../core/zip';
+import Environments from '../../../core/constants/environments';
+import {
+    checkPermissions,
+    getPermissionChanges,
+    getPermissionSources,
+    parseBaseline,
+    readBaseline,
+    readPreviousManifest
+} from './permissions';
+
+
+describe('Tasks', () => {
+    describe('build:manifest', () => {
+        describe('permissions', () => {
+            describe('parseBaseline', () => {
+                it('should include host permissions', () => {
+                    expect(parseBaseline({
+                        'permissions': ['storage'],
+                        'host_permissions': ['*://www.last.fm/*'],
+                        'optional_host_permissions': ['*://*/*']
+                    })).toEqual({
+                        'permissions': ['storage', '*://www.last.fm/*'],
+                        'optional_permissions': ['*://*/*']
+                    });
+                });
+
+                it('should reject invalid manifests', () => {
+                    expect(() => parseBaseline(['storage'])).toThrow();
+                });
+            });
+
+            describe('readPreviousManifest', () => {
+                let path;
+
+                beforeEach(() => {
+                    path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-permissions-'));
+
+                    Filesystem.outputJsonSync(Path.join(path, 'build/unpacked/manifest.json'), {
+                        permissions: ['storage']
+                    });
+                });
+
+                afterEach(() => {
+                    Filesystem.removeSync(path);
+                });
+
+                it('should read manifests from release archives', () => {
+                    return createZip({
+                        archive: Path.join(path, 'Radon-Chrome-1.0.0.zip'),
+
+                        source: Path.join(path, 'build/unpacked'),
+                        pattern: '**/*',
+
+                        mtime: '2018-01-01T00:00:00Z'
+                    }).then(() => readPreviousManifest(Path.join(path, 'Radon-Chrome-1.0.0.zip'))).then((manifest) => {
+                        expect(manifest).toEqual({ permissions: ['storage'] });
+                    });
+                });
+
+                it('should read manifests from build directories', () => {
+                    return readPreviousManifest(Path.join(path, 'build')).then((manifest) => {
+                        expect(manifest).toEqual({ permissions: ['storage'] });
+                    });
+                });
+
+                it('should reject directories without a manifest', () => {
+                    return readPreviousManifest(path).then(() => {
+                        fail('Expected an error');
+                    }, (err) => {
+                        expect(err.message).toContain('No "manifest.json" found');
+                    });
+                });
+            });
+
+            describe('readBaseline', () => {
+                it('should return null when no previous release is provided', () => {
+                    return readBaseline({ options: { 'previous-release': null } }).then((baseline) => {
+                        expect(baseline).toBeNull();
+                    });
+                });
+            });
+
+            describe('getPermissionSources', () => {
+                it('should return the modules that request each permission', () => {
+                    expect(getPermissionSources([
+                        { name: '@radon-extension/chrome', permissions: ['storage'] },
+                        { name: '@radon-extension/plugin-lastfm', permissions: ['*://www.last.fm/*', 'storage'] }
+                    ])).toEqual({
+                        'storage': ['@radon-extension/chrome', '@radon-extension/plugin-lastfm'],
+                        '*://www.last.fm/*': ['@radon-extension/plugin-lastfm']
+                    });
+                });
+            });
+
+            describe('getPermissionChanges', () => {
+                it('should return added and removed permissions', () => {
+                    expect(getPermissionChanges({
+                        permissions: ['notifications', 'storage']
+                    }, {
+                        permissions: ['*://www.last.fm/*', 'storage', 'tabs']
+                    }, {
+                        '*://www.last.fm/*': ['@radon-extension/plugin-lastfm']
+                    }, [
+                        'tabs'
+                    ])).toEqual({
+                        added: [
+                            {
+                                permission: '*://www.last.fm/*',
+
+                                modules: ['@radon-extension/plugin-lastfm'],
+                                acknowledged: false
+                            },
+                            {
+                                permission: 'tabs',
+
+                                modules: [],
+                                acknowledged: true
+                            }
+                        ],
+
+                        removed: ['notifications']
+                    });
+                });
+            });
+
+            describe('checkPermissions', () => {
+                let browser = {
+                    extension: {
+                        manifest: { 'acknowledged_permissions': ['storage'] }
+                    }
+                };
+
+                let manifest = {
+                    permissions: ['*://www.last.fm/*', 'storage', 'tabs']
+                };
+
+                let log;
+                let path;
+
+                beforeEach(() => {
+                    log = jasmine.createSpyObj('log', ['debug', 'info', 'warn']);
+                    path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-permissions-'));
+
+                    Filesystem.outputJsonSync(Path.join(path, 'manifest.json'), {
+                        permissions: ['*://www.last.fm/*']
+                    });
+                });
+
+                afterEach(() => {
+                    Filesystem.removeSync(path);
+                });
+
+                function createEnvironment(name, previous = path) {
+                    return {
+                        ...Environments[name],
+
+                        options: { 'previous-release': previous }
+                    };
+                }
+
+                it('should reject unacknowledged permissions in enforced environments', () => {
+                    return checkPermissions(log, browser, createEnvironment('staging'), manifest, {}).then(() => {
+                        fail('Expected an error');
+                    }, (err) => {
+                        expect(err.message).toContain('1 new required permission(s) haven\'t been acknowledged');
+                        expect(err.message).toContain(': tabs');
+                    });
+                });
+
+                it('should reject enforced environments without a previous release', () => {
+                    let environment = createEnvironment('production', null);
+
+                    return checkPermissions(log, browser, environment, manifest, {}).then(() => {
+                        fail('Expected an error');
+                    }, (err) => {
+                        expect(err.message).toBe(
+                            'Unable to check permissions, no previous release provided (required by the "production" ' +
+                            'environment, see "--previous-release")'
+                        );
+                    });
+                });
+
+                it('should skip the check in other environments without a previous release', () => {
+                    let environment = createEnvironment('development', null);
+
+                    return checkPermissions(log, browser, environment, manifest, {}).then(() => {
+                        expect(log.info).toHaveBeenCalledWith(
+                            'Skipped permission check (no previous release provided, see "--previous-release")'
+                        );
+                    });
+                });
+
+                it('should only warn in other environments', () => {
+                    return checkPermissions(log, browser, createEnvironment('development'), manifest, {}).then(() => {
+                        expect(log.warn).toHaveBeenCalledWith(
+                            'New required permission: "tabs" (introduced by: unknown)'
+                        );
+                    });
+                });
+            });
+        });
+    });
+});
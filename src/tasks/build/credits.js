@@ -2,6 +2,7 @@ import CloneDeep from 'lodash/cloneDeep';
 import Credits from '@fuzeman/credits';
 import Filesystem from 'fs-extra';
 import Filter from 'lodash/filter';
+import ForEach from 'lodash/forEach';
 import Get from 'lodash/get';
 import IsNil from 'lodash/isNil';
 import IsNumber from 'lodash/isNumber';
@@ -19,6 +20,7 @@ import Uniq from 'lodash/uniq';
 
 import Json from '../../core/json';
 import {Task} from '../../core/helpers';
+import {getBundledPackageIds, getBundledPackages} from '../../webpack/packages';
 import {sortKey} from '../../core/helpers/value';
 
 
@@ -249,33 +251,150 @@ function fetchCredits(name, path) {
     });
 }
 
+export const NoticesName = 'THIRD_PARTY_NOTICES';
+
+const NoticesSeparator = '='.repeat(80);
+
+export function formatNotices(packages) {
+    let lines = [
+        'THIRD-PARTY SOFTWARE NOTICES',
+        '',
+        'This extension includes the following third-party packages:',
+        '',
+
+        ...Map(packages, ({name, version, license}) => ` - ${name} ${version} (${license || 'UNKNOWN'})`)
+    ];
+
+    ForEach(packages, ({name, version, license, homepage, repository, licenseText}) => {
+        lines.push(
+            '',
+            NoticesSeparator,
+            `${name} ${version}`,
+            `License: ${license || 'UNKNOWN'}`
+        );
+
+        if(!IsNil(homepage || repository)) {
+            lines.push(`Homepage: ${homepage || repository}`);
+        }
+
+        lines.push(
+            NoticesSeparator,
+            '',
+            IsNil(licenseText) ? 'No license text was found in this package.' : licenseText.trim()
+        );
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+function readLicenseTexts(packages) {
+    return Promise.all(Map(packages, (pkg) => {
+        if(IsNil(pkg.licenseFile)) {
+            return { ...pkg, licenseText: null };
+        }
+
+        return Filesystem.readFile(pkg.licenseFile, 'utf-8').then((licenseText) => ({
+            ...pkg,
+
+            licenseText
+        }));
+    }));
+}
+
+function writeNotices(log, environment) {
+    return Json.read(Path.join(environment.buildPath, 'webpack.stats.json'), null).then((stats) => {
+        if(IsNil(stats)) {
+            return Promise.reject(new Error('No webpack stats available'));
+        }
+
+        return getBundledPackages(stats);
+    }).then((packages) => readLicenseTexts(packages).then((packages) => {
+        let unknown = packages.filter(({license}) => IsNil(license));
+
+        if(unknown.length > 0) {
+            log.warn(`No license defined for ${unknown.length} package(s): ${Map(unknown, 'name').join(', ')}`);
+        }
+
+        log.debug(`Writing notices for ${packages.length} bundled package(s)`);
+
+        // Write notices to the build directory
+        return Filesystem.writeFile(Path.join(environment.outputPath, NoticesName), formatNotices(packages))
+            .then(() => packages);
+    }));
+}
+
+function setLibraryLicenses(libraries, packages) {
+    let licenses = Reduce(packages, (result, {name, license}) => {
+        if(!IsNil(license)) {
+            result[name] = Uniq([...(result[name] || []), license]);
+        }
+
+        return result;
+    }, {});
+
+    return Map(libraries, (library) => {
+        if(IsNil(licenses[library.name])) {
+            return library;
+        }
+
+        return {
+            ...library,
+
+            license: licenses[library.name].join(', ')
+        };
+    });
+}
+
 export const CreditsTask = Task.create({
     name: 'build:credits',
     description: 'Build extension credits.',
 
     required: [
         'clean',
-        'module:validate'
-    ]
+        'module:validate',
+
+        'build:extension'
+    ],
+
+    cache: (browser, environment) => ({
+        key: {
+            modules: Object.keys(browser.modules),
+
+            // Bundled packages (webpack statistics change on every run, so they can't be used as an input)
+            packages: getBundledPackageIds(
+                Filesystem.readJsonSync(Path.join(environment.buildPath, 'webpack.stats.json'), { throws: false }) || {}
+            )
+        },
+
+        inputs: Map(browser.modules, (module) =>
+            Path.join(module.path, '{contributors.json,package.json,package-lock.json}')
+        ),
+
+        outputs: [
+            Path.join(environment.outputPath, 'Resources/credits.json'),
+            Path.join(environment.outputPath, NoticesName)
+        ]
+    })
 }, (log, browser, environment) => {
     let basePath = Path.join(environment.outputPath, 'Resources');
 
     // Ensure output directory exists
     Mkdirp.sync(basePath);
 
-    // Fetch module credits
-    return Promise.all(Map(browser.modules, (pkg) => {
-        log.debug(`Fetching credits for "${pkg.name}"...`);
+    // Write third-party notices
+    return writeNotices(log, environment).then((packages) =>
+        // Fetch module credits
+        Promise.all(Map(browser.modules, (pkg) => {
+            log.debug(`Fetching credits for "${pkg.name}"...`);
 
-        return fetchCredits(pkg.name, pkg.path);
-    })).then((modules) => {
-        let credits = {
-            libraries: getLibraries(modules),
+            return fetchCredits(pkg.name, pkg.path);
+        })).then((modules) => ({
+            libraries: setLibraryLicenses(getLibraries(modules), packages),
             people: getPeople(modules)
-        };
-
+        }))
+    ).then((credits) => {
         log.debug(
-            `Writing credits for ${modules.length} module(s) ` +
+            `Writing credits for ${Object.keys(browser.modules).length} module(s) ` +
             `[${credits.libraries.length} libraries, ${credits.people.length} people]`
         );
 
@@ -10,7 +10,9 @@ import Reduce from 'lodash/reduce';
 import Util from 'util';
 import Webpack from 'webpack';
 
+import Reload from '../../core/reload';
 import Validator from '../../webpack/validator';
+import {validateBudgets} from '../../webpack/budgets';
 import {Task} from '../../core/helpers';
 import {createConfiguration} from '../../webpack';
 import {runSequential} from '../../core/helpers/promise';
@@ -89,6 +91,48 @@ function writeStats(environment, stats) {
     );
 }
 
+function watchCompiler(log, browser, environment, compiler) {
+    let initial = true;
+
+    return new Promise((resolve, reject) => {
+        compiler.watch({}, (err, stats) => {
+            // Resolve promise with the initial compilation result
+            if(initial) {
+                initial = false;
+
+                if(!IsNil(err)) {
+                    reject(err);
+                } else {
+                    resolve(stats);
+                }
+
+                return;
+            }
+
+            // Display rebuild result
+            if(!IsNil(err)) {
+                log.error(`Unable to rebuild extension: ${(err && err.stack) ? err.stack : err}`);
+                return;
+            }
+
+            log.info(stats.toString('normal'));
+
+            // Check chunk size budgets
+            validateBudgets(log, environment, stats.toJson({ assets: true }));
+
+            // Write statistics to file
+            writeStats(environment, stats).then(() => {
+                // Reload extension
+                if(Reload.isEnabled(environment) && !stats.hasErrors()) {
+                    Reload.reload(browser);
+                }
+            }, (err) => {
+                log.error(`Unable to write statistics: ${(err && err.stack) ? err.stack : err}`);
+            });
+        });
+    });
+}
+
 export const Extension = Task.create({
     name: 'build:extension',
     description: 'Build extension modules.',
@@ -112,15 +156,30 @@ export const Extension = Task.create({
         .then(() => Promise.all(Map(browser.modules, (module) =>
             registerLinks(browser, environment, Path.join(module.path, 'node_modules'))
         )))
+        // Start live reload server
+        .then(() => {
+            if(!Reload.isEnabled(environment)) {
+                return Promise.resolve();
+            }
+
+            return Reload.start(parseInt(environment.options['reload-port'], 10));
+        })
         // Run compiler
-        .then(() => runCompiler(compiler))
+        .then(() => {
+            if(environment.options['watch']) {
+                return watchCompiler(log, browser, environment, compiler);
+            }
+
+            return runCompiler(compiler);
+        })
         // Display statistics
         .then((stats) => {
             log.info(stats.toString('normal'));
 
             // Write statistics to file
-            writeStats(environment, stats);
-
+            return writeStats(environment, stats).then(() => stats);
+        })
+        .then((stats) => {
             // Exit if there is any errors
             if(stats.hasErrors()) {
                 return Promise.reject(new Error('Build failed'));
@@ -128,6 +187,18 @@ export const Extension = Task.create({
 
             return stats;
         })
+        // Check chunk size budgets
+        .then((stats) => {
+            let exceeded = validateBudgets(log, environment, stats.toJson({ assets: true }));
+
+            if(exceeded.length > 0) {
+                return Promise.reject(new Error(
+                    `Size budget exceeded for ${exceeded.length} chunk(s): ${Map(exceeded, 'name').join(', ')}`
+                ));
+            }
+
+            return stats;
+        })
         // Display extracted modules
         .then(() => {
             let extracted = environment.webpack.extracted;
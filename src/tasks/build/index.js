@@ -1,11 +1,37 @@
 import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
 import Path from 'path';
 
 import Import from '../../core/helpers/import';
 import Checksum from '../../core/checksum';
+import Config from '../../core/config';
+import Signature from '../../core/signature';
 import {Task} from '../../core/helpers';
+import {runSequential} from '../../core/helpers/promise';
 
 
+function writeChecksums(log, environment) {
+    let {algorithms, signing} = Config.get().checksums;
+
+    // Write checksum files
+    return runSequential(algorithms, (algorithm) =>
+        Checksum.writeMany(environment.buildPath, Checksum.BuildPattern, algorithm)
+    ).then((names) => {
+        if(IsNil(signing.tool)) {
+            return names;
+        }
+
+        // Sign checksum files
+        return runSequential(names, (name) =>
+            Signature.sign(Path.join(environment.buildPath, name), signing).then((path) => {
+                log.info(`Signed ${name} (${Path.basename(path)})`);
+            })
+        ).then(() =>
+            names
+        );
+    });
+}
+
 function writeState(browser, environment) {
     return Promise.resolve()
         .then(() => Filesystem.writeJson(Path.join(environment.buildPath, 'browser.json'), browser, {
@@ -24,21 +50,33 @@ export const Build = Task.create({
         'build:assets',
         'build:credits',
         'build:extension',
+        'build:licenses',
         'build:locales',
         'build:manifest',
+        'build:sbom',
 
         'archive:release',
         'archive:source'
     ],
 
     optional: [
-        'deploy:bintray'
-    ]
+        'build:lint'
+    ],
+
+    command: (cmd) => cmd
+        .option('--watch', 'Rebuild extension when module files change')
+        .option('--reload-port <port>', 'Live reload server port (development watch builds) [default: 35729]')
+        .option('--pseudo-locale [language]', 'Generate a pseudo-localized language [default: en-XA]')
+        .option('--previous-release <path>', 'Previous release (archive or directory) to compare permissions with')
 }, (log, browser, environment) => {
     // Write checksums
-    return Checksum.writeMany(environment.buildPath, '{unpacked/**/*,*.zip}')
+    return writeChecksums(log, environment)
         // Write state
         .then(() => writeState(browser, environment));
+}, {
+    'previous-release': null,
+    'pseudo-locale': false,
+    'reload-port': 35729
 });
 
 // Import children
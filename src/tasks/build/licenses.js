@@ -0,0 +1,68 @@
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+
+import Config from '../../core/config';
+import Json from '../../core/json';
+import {Task} from '../../core/helpers';
+import {checkLicenses, formatLicenseResult, getPackageModules, isPolicyEnabled} from '../../webpack/licenses';
+import {getBundledPackages} from '../../webpack/packages';
+
+
+export function validateLicenses(log, browser, environment, policy) {
+    return Json.read(Path.join(environment.buildPath, 'webpack.stats.json'), null).then((stats) => {
+        if(IsNil(stats)) {
+            return Promise.reject(new Error('No webpack stats available'));
+        }
+
+        let modules = getPackageModules(browser, environment, stats);
+
+        return getBundledPackages(stats).then((packages) => Map(packages, (pkg) => ({
+            ...pkg,
+
+            modules: modules[pkg.path] || []
+        })));
+    }).then((packages) => {
+        let results = checkLicenses(policy, packages);
+        let failed = results.filter(({status}) => status !== 'allowed');
+
+        ForEach(results, (result) => {
+            if(result.status === 'allowed') {
+                log.debug(`License: ${formatLicenseResult(result)}`);
+            } else {
+                log.error(`License: ${formatLicenseResult(result)}`);
+            }
+        });
+
+        log.info(`Checked licenses of ${results.length} package(s)`);
+
+        if(failed.length > 0) {
+            return Promise.reject(new Error(
+                `License policy failed for ${failed.length} package(s): ${Map(failed, 'name').join(', ')}`
+            ));
+        }
+
+        return results;
+    });
+}
+
+export const Licenses = Task.create({
+    name: 'build:licenses',
+    description: 'Check bundled package licenses against the license policy.',
+
+    required: [
+        'build:extension'
+    ]
+}, (log, browser, environment) => {
+    let policy = Config.get().licenses;
+
+    if(!isPolicyEnabled(policy)) {
+        log.debug('No license policy defined');
+        return Promise.resolve();
+    }
+
+    return validateLicenses(log, browser, environment, policy);
+});
+
+export default Licenses;
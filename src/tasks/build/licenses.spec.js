@@ -0,0 +1,110 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import Environments from '../../core/constants/environments';
+import {validateLicenses} from './licenses';
+
+
+describe('Tasks', () => {
+    describe('build:licenses', () => {
+        let policy = {
+            allow: ['MIT'],
+            deny: ['AGPL-3.0'],
+
+            overrides: {}
+        };
+
+        let log;
+        let path;
+
+        let browser;
+        let environment;
+
+        beforeEach(() => {
+            log = jasmine.createSpyObj('log', ['debug', 'error', 'info']);
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-licenses-'));
+
+            browser = {
+                modules: {
+                    '@radon-extension/plugin-example': {
+                        name: '@radon-extension/plugin-example',
+                        path: Path.join(path, 'plugin-example')
+                    }
+                }
+            };
+
+            // Production settings (webpack validator disabled)
+            environment = {
+                ...Environments.production,
+
+                buildPath: Path.join(path, 'build')
+            };
+
+            expect(environment.webpack.validate).toBe(false);
+
+            Filesystem.outputJsonSync(Path.join(path, 'node_modules/lodash/package.json'), {
+                name: 'lodash',
+                version: '4.17.4',
+                license: 'MIT'
+            });
+
+            Filesystem.outputJsonSync(Path.join(path, 'node_modules/copyleft/package.json'), {
+                name: 'copyleft',
+                version: '1.0.0',
+                license: 'AGPL-3.0'
+            });
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        function writeStats(names) {
+            Filesystem.outputJsonSync(Path.join(environment.buildPath, 'webpack.stats.json'), {
+                modules: names.map((name) => ({
+                    identifier: Path.join(path, 'node_modules', name, 'index.js'),
+
+                    reasons: [
+                        { moduleIdentifier: Path.join(path, 'plugin-example/src/index.js') }
+                    ]
+                }))
+            });
+        }
+
+        it('should resolve when every bundled package is allowed', (done) => {
+            writeStats(['lodash']);
+
+            validateLicenses(log, browser, environment, policy).then((results) => {
+                expect(results.length).toBe(1);
+                expect(results[0].status).toBe('allowed');
+                done();
+            }, done.fail);
+        });
+
+        it('should reject when a bundled package is denied', (done) => {
+            writeStats(['copyleft', 'lodash']);
+
+            validateLicenses(log, browser, environment, policy).then(() => {
+                done.fail('Expected promise to be rejected');
+            }, (err) => {
+                expect(err.message).toBe('License policy failed for 1 package(s): copyleft');
+
+                expect(log.error).toHaveBeenCalledWith(
+                    'License: [copyleft@1.0.0] AGPL-3.0 (denied) required by: @radon-extension/plugin-example'
+                );
+
+                done();
+            });
+        });
+
+        it('should reject when no webpack stats are available', (done) => {
+            validateLicenses(log, browser, environment, policy).then(() => {
+                done.fail('Expected promise to be rejected');
+            }, (err) => {
+                expect(err.message).toBe('No webpack stats available');
+                done();
+            });
+        });
+    });
+});
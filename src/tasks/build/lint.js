@@ -0,0 +1,259 @@
+import Chalk from 'chalk';
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import Glob from 'glob';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+import IsString from 'lodash/isString';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+import Values from 'lodash/values';
+
+import {Task} from '../../core/helpers';
+
+
+export const CommonKeys = [
+    'manifest_version',
+
+    'name',
+    'short_name',
+    'version',
+    'description',
+    'author',
+    'homepage_url',
+
+    'default_locale',
+    'icons',
+
+    'background',
+    'browser_action',
+    'page_action',
+    'commands',
+    'content_scripts',
+    'content_security_policy',
+    'options_ui',
+    'web_accessible_resources',
+
+    'permissions',
+    'optional_permissions'
+];
+
+const ChromiumKeys = [
+    ...CommonKeys,
+
+    'action',
+    'key',
+    'minimum_chrome_version',
+    'options_page',
+    'update_url',
+    'version_name',
+
+    'host_permissions',
+    'optional_host_permissions'
+];
+
+const ChromiumRules = {
+    keys: ChromiumKeys,
+
+    forbidden: [
+        'applications',
+        'browser_specific_settings'
+    ],
+
+    icons: {
+        required: ['128'],
+        recommended: ['16', '48', '128']
+    }
+};
+
+export const Rules = {
+    chrome: ChromiumRules,
+    opera: ChromiumRules,
+
+    firefox: {
+        keys: [
+            ...CommonKeys,
+
+            'action',
+            'applications',
+            'browser_specific_settings',
+            'sidebar_action',
+
+            'host_permissions',
+            'optional_host_permissions'
+        ],
+
+        forbidden: [],
+
+        icons: {
+            required: [],
+            recommended: ['16', '48', '128']
+        }
+    }
+};
+
+export function getRules(browser) {
+    return Rules[browser.name] || Rules[browser.base] || ChromiumRules;
+}
+
+function getIconPaths(icons) {
+    if(IsString(icons)) {
+        return [icons];
+    }
+
+    if(IsPlainObject(icons)) {
+        return Values(icons).filter(IsString);
+    }
+
+    return [];
+}
+
+export function getReferencedFiles(manifest) {
+    let files = [];
+
+    function add(key, paths) {
+        ForEach(paths, (path) => {
+            if(IsString(path) && path.length > 0) {
+                files.push({ key, path });
+            }
+        });
+    }
+
+    // Icons
+    add('icons', getIconPaths(manifest['icons']));
+
+    // Actions
+    ForEach(['action', 'browser_action', 'page_action'], (key) => {
+        let action = manifest[key];
+
+        if(!IsPlainObject(action)) {
+            return;
+        }
+
+        add(`${key}.default_icon`, getIconPaths(action['default_icon']));
+        add(`${key}.default_popup`, [action['default_popup']]);
+    });
+
+    // Background
+    if(IsPlainObject(manifest['background'])) {
+        add('background.page', [manifest['background']['page']]);
+        add('background.scripts', manifest['background']['scripts']);
+        add('background.service_worker', [manifest['background']['service_worker']]);
+    }
+
+    // Content scripts
+    ForEach(manifest['content_scripts'], (contentScript, i) => {
+        add(`content_scripts[${i}].css`, contentScript['css']);
+        add(`content_scripts[${i}].js`, contentScript['js']);
+    });
+
+    // Options
+    if(IsPlainObject(manifest['options_ui'])) {
+        add('options_ui.page', [manifest['options_ui']['page']]);
+    }
+
+    // Web accessible resources
+    ForEach(manifest['web_accessible_resources'], (resource) => {
+        if(IsPlainObject(resource)) {
+            add('web_accessible_resources', resource['resources']);
+        } else {
+            add('web_accessible_resources', [resource]);
+        }
+    });
+
+    return files;
+}
+
+export function isFileAvailable(basePath, path) {
+    // Match patterns against the output directory
+    if(Glob.hasMagic(path)) {
+        return Glob.sync(path, { cwd: basePath, nodir: true }).length > 0;
+    }
+
+    return Filesystem.existsSync(Path.join(basePath, path));
+}
+
+export function lintManifest(browser, manifest, isAvailable = () => true) {
+    let rules = getRules(browser);
+    let results = [];
+
+    function error(message) {
+        results.push({ level: 'error', message });
+    }
+
+    function warning(message) {
+        results.push({ level: 'warning', message });
+    }
+
+    // Keys
+    ForEach(Object.keys(manifest), (key) => {
+        if(rules.forbidden.indexOf(key) >= 0) {
+            error(`"${key}" isn't supported by ${browser.title}`);
+        } else if(rules.keys.indexOf(key) < 0) {
+            warning(`Unknown key "${key}"`);
+        }
+    });
+
+    // Icons
+    let icons = manifest['icons'] || {};
+
+    ForEach(Uniq([...rules.icons.required, ...rules.icons.recommended]), (size) => {
+        if(!IsNil(icons[size])) {
+            return;
+        }
+
+        if(rules.icons.required.indexOf(size) >= 0) {
+            error(`No ${size}x${size} icon defined`);
+        } else {
+            warning(`No ${size}x${size} icon defined`);
+        }
+    });
+
+    // Referenced files
+    ForEach(getReferencedFiles(manifest), ({key, path}) => {
+        if(!isAvailable(path)) {
+            error(`"${key}" references a file that doesn't exist: ${path}`);
+        }
+    });
+
+    return results;
+}
+
+export const Lint = Task.create({
+    name: 'build:lint',
+    description: 'Lint the generated extension manifest.',
+
+    required: [
+        'build:assets',
+        'build:extension',
+        'build:locales',
+        'build:manifest'
+    ]
+}, (log, browser, environment) => {
+    let path = Path.join(environment.outputPath, 'manifest.json');
+
+    return Filesystem.readJson(path).then((manifest) => {
+        let results = lintManifest(browser, manifest, (file) => isFileAvailable(environment.outputPath, file));
+        let errors = results.filter(({level}) => level === 'error');
+
+        // Display results
+        ForEach(results, ({level, message}) => {
+            if(level === 'error') {
+                log.error(Chalk.red(message));
+            } else {
+                log.warn(Chalk.yellow(message));
+            }
+        });
+
+        if(errors.length > 0) {
+            return Promise.reject(new Error(
+                `Manifest has ${errors.length} error(s) and ${results.length - errors.length} warning(s)`
+            ));
+        }
+
+        log.info(`Manifest valid (${results.length} warning(s))`);
+        return results;
+    });
+});
+
+export default Lint;
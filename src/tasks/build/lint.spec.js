@@ -0,0 +1,82 @@
+import {getReferencedFiles, getRules, lintManifest} from './lint';
+
+
+describe('Tasks', () => {
+    describe('build:lint', () => {
+        let icons = {
+            '16': 'Images/Icon/16.png',
+            '48': 'Images/Icon/48.png',
+            '128': 'Images/Icon/128.png'
+        };
+
+        describe('getRules', () => {
+            it('should use the rules of the base browser', () => {
+                expect(getRules({ name: 'edge', base: 'firefox' })).toBe(getRules({ name: 'firefox' }));
+            });
+        });
+
+        describe('getReferencedFiles', () => {
+            it('should return files referenced by the manifest', () => {
+                expect(getReferencedFiles({
+                    'icons': { '128': 'Images/Icon/128.png' },
+
+                    'options_ui': { 'page': 'Options/index.html' },
+
+                    'web_accessible_resources': [
+                        'Images/*.png',
+                        { 'resources': ['Messaging/index.html'] }
+                    ]
+                })).toEqual([
+                    { key: 'icons', path: 'Images/Icon/128.png' },
+                    { key: 'options_ui.page', path: 'Options/index.html' },
+                    { key: 'web_accessible_resources', path: 'Images/*.png' },
+                    { key: 'web_accessible_resources', path: 'Messaging/index.html' }
+                ]);
+            });
+        });
+
+        describe('lintManifest', () => {
+            it('should accept valid manifests', () => {
+                expect(lintManifest({ name: 'chrome', title: 'Chrome' }, {
+                    'manifest_version': 3,
+                    'name': 'Radon',
+                    'version': '1.0.0',
+
+                    'icons': icons
+                })).toEqual([]);
+            });
+
+            it('should report unsupported and unknown keys', () => {
+                expect(lintManifest({ name: 'chrome', title: 'Chrome' }, {
+                    'applications': {},
+                    'icon': {},
+                    'icons': icons
+                })).toEqual([
+                    { level: 'error', message: '"applications" isn\'t supported by Chrome' },
+                    { level: 'warning', message: 'Unknown key "icon"' }
+                ]);
+            });
+
+            it('should report missing icons', () => {
+                expect(lintManifest({ name: 'chrome', title: 'Chrome' }, {
+                    'icons': { '48': 'Images/Icon/48.png' }
+                })).toEqual([
+                    { level: 'error', message: 'No 128x128 icon defined' },
+                    { level: 'warning', message: 'No 16x16 icon defined' }
+                ]);
+            });
+
+            it('should report missing files', () => {
+                expect(lintManifest({ name: 'firefox', title: 'Firefox' }, {
+                    'icons': icons,
+                    'options_ui': { 'page': 'Options/index.html' }
+                }, (path) => path !== 'Options/index.html')).toEqual([
+                    {
+                        level: 'error',
+                        message: '"options_ui.page" references a file that doesn\'t exist: Options/index.html'
+                    }
+                ]);
+            });
+        });
+    });
+});
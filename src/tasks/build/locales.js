@@ -1,12 +1,26 @@
 import Chalk from 'chalk';
 import Filesystem from 'fs-extra';
+import Flatten from 'lodash/flatten';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
 import Map from 'lodash/map';
 import Mkdirp from 'mkdirp';
 import PadEnd from 'lodash/padEnd';
 import Path from 'path';
+import Values from 'lodash/values';
 
+import Config from '../../core/config';
 import Copy from '../../core/copy';
 import {Task} from '../../core/helpers';
+import {
+    PseudoLanguage,
+    createMessages,
+    getLanguages,
+    getLocaleCode,
+    getLocalesPath,
+    pseudoLocalizeData,
+    readNamespaces
+} from '../../core/locales';
 
 
 function copyLocaleNamespaces(log, module, language, destinationPath) {
@@ -29,6 +43,110 @@ function copyLocaleNamespaces(log, module, language, destinationPath) {
     });
 }
 
+export function getPseudoLocale(environment) {
+    let language = environment.options['pseudo-locale'];
+
+    if(language === true) {
+        language = PseudoLanguage;
+    }
+
+    if(typeof language !== 'string' || language.length < 1) {
+        return null;
+    }
+
+    return {
+        source: Config.get().locales.default,
+        language
+    };
+}
+
+function writePseudoNamespaces(log, module, pseudo, destinationPath) {
+    let path = getLocalesPath(module);
+
+    if(!Filesystem.existsSync(Path.join(path, pseudo.source))) {
+        return Promise.resolve();
+    }
+
+    // Generate pseudo-localized namespaces from the source language
+    return readNamespaces(path, pseudo.source).then((namespaces) => Promise.all(Map(namespaces, (data, namespace) =>
+        Filesystem.outputJson(
+            Path.join(destinationPath, pseudo.language, module.key, `${namespace}.json`),
+            pseudoLocalizeData(data),
+            { spaces: 2 }
+        )
+    )).then(() => {
+        log.info(Chalk.green(
+            `[${PadEnd(module.name, 40)}](${pseudo.language}) Generated ${Object.keys(namespaces).length} namespace(s)`
+        ));
+    }));
+}
+
+function readModuleMessages(module, namespace, pseudo = null) {
+    let path = getLocalesPath(module);
+
+    return Promise.all(Map(getLanguages(path), (language) => {
+        let messagesPath = Path.join(path, language, `${namespace}.json`);
+
+        if(!Filesystem.existsSync(messagesPath)) {
+            return [];
+        }
+
+        return Filesystem.readJson(messagesPath).then((data) => {
+            let items = [{ language, messages: createMessages(data) }];
+
+            // Generate pseudo-localized messages from the source language
+            if(!IsNil(pseudo) && language === pseudo.source) {
+                items.push({ language: pseudo.language, messages: createMessages(pseudoLocalizeData(data)) });
+            }
+
+            return items;
+        });
+    })).then((items) =>
+        Flatten(items)
+    );
+}
+
+export function buildMessages(browser, namespace, pseudo = null) {
+    return Promise.all(Map(Values(browser.modules), (module) =>
+        readModuleMessages(module, namespace, pseudo)
+    )).then((modules) => {
+        let result = {};
+
+        // Merge module messages (in module order)
+        ForEach(modules, (items) => {
+            ForEach(items, ({language, messages}) => {
+                let code = getLocaleCode(language);
+
+                result[code] = {
+                    ...(result[code] || {}),
+                    ...messages
+                };
+            });
+        });
+
+        return result;
+    });
+}
+
+function writeMessages(log, browser, environment, pseudo) {
+    let {messages: namespace} = Config.get().locales;
+
+    return buildMessages(browser, namespace, pseudo).then((locales) => Promise.all(Map(locales, (messages, code) =>
+        Filesystem.outputJson(Path.join(environment.outputPath, '_locales', code, 'messages.json'), messages, {
+            spaces: 2
+        })
+    )).then(() => {
+        let codes = Object.keys(locales).sort();
+
+        if(codes.length < 1) {
+            log.debug(`No "${namespace}" namespaces found, browser messages won't be generated`);
+            return;
+        }
+
+        log.info(Chalk.green(`Generated browser messages for ${codes.length} locale(s): ${codes.join(', ')}`));
+    }));
+}
+
 export const Locales = Task.create({
     name: 'build:locales',
     description: 'Build extension locales.',
@@ -36,15 +154,36 @@ export const Locales = Task.create({
     required: [
         'clean',
         'module:validate'
-    ]
+    ],
+
+    cache: (browser, environment) => ({
+        key: [Object.keys(browser.modules), Config.get().locales, getPseudoLocale(environment)],
+
+        inputs: Map(browser.modules, (module) =>
+            Path.join(module.path, 'Locales/*/**/*.json')
+        ),
+
+        outputs: [
+            Path.join(environment.outputPath, 'Locales/**/*'),
+            Path.join(environment.outputPath, '_locales/**/*')
+        ]
+    }),
+
+    watch: (browser) => Map(browser.modules, (module) =>
+        Path.join(module.path, 'Locales')
+    ),
+
+    command: (cmd) => cmd
+        .option('--pseudo-locale [language]', `Generate a pseudo-localized language [default: ${PseudoLanguage}]`)
 }, function(log, browser, environment) {
     let destinationPath = Path.join(environment.outputPath, 'Locales');
+    let pseudo = getPseudoLocale(environment);
 
     // Ensure output directory exists
     Mkdirp.sync(destinationPath);
 
     // Copy locales to the build directory
-    return Promise.all(Map(browser.modules, (module) => {
+    let copyLocales = Promise.all(Map(browser.modules, (module) => {
         let localesPath = Path.join(module.path, 'Locales');
 
         if(!Filesystem.existsSync(localesPath)) {
@@ -58,6 +197,22 @@ export const Locales = Task.create({
             ))
         );
     }));
+
+    return copyLocales
+        // Generate pseudo-localized namespaces
+        .then(() => {
+            if(IsNil(pseudo)) {
+                return Promise.resolve();
+            }
+
+            return Promise.all(Map(browser.modules, (module) =>
+                writePseudoNamespaces(log, module, pseudo, destinationPath)
+            ));
+        })
+        // Generate browser messages
+        .then(() => writeMessages(log, browser, environment, pseudo));
+}, {
+    'pseudo-locale': false
 });
 
 export default Locales;
@@ -1,18 +1,40 @@
 import CloneDeep from 'lodash/cloneDeep';
 import Filesystem from 'fs-extra';
 import Filter from 'lodash/filter';
+import ForEach from 'lodash/forEach';
 import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
 import Map from 'lodash/map';
+import Omit from 'lodash/omit';
 import OmitBy from 'lodash/omitBy';
+import Partition from 'lodash/partition';
 import Path from 'path';
 import Pick from 'lodash/pick';
+import Reduce from 'lodash/reduce';
 import Remove from 'lodash/remove';
 import Uniq from 'lodash/uniq';
 
+import Config from '../../core/config';
+import Json from '../../core/json';
 import {Task} from '../../core/helpers';
+import {checkPermissions, getPermissionSources} from './core/permissions';
+import {getLocaleCode, getMessageReferences} from '../../core/locales';
+import {getUniqueOrigins, reloadManifests} from '../../core/module';
 
 
+export const ManifestVersions = [2, 3];
+
+export const ServiceWorkerPath = 'Background/ServiceWorker.js';
+
+export function isOriginPermission(permission) {
+    return permission === '<all_urls>' || permission.indexOf('://') >= 0;
+}
+
 function getExtensionManifest(browser) {
+    if(ManifestVersions.indexOf(browser.manifestVersion) < 0) {
+        throw new Error(`Unsupported manifest version: ${browser.manifestVersion}`);
+    }
+
     let permissions = [
         ...browser.extension.manifest.origins,
         ...browser.extension.manifest.permissions
@@ -24,7 +46,7 @@ function getExtensionManifest(browser) {
     ];
 
     return {
-        'manifest_version': 2,
+        'manifest_version': browser.manifestVersion,
 
         'name': browser.extension.title,
         'version': browser.version,
@@ -56,6 +78,9 @@ function getExtensionManifest(browser) {
             'description',
             'icons',
 
+            'action',
+            'browser_action',
+
             'background',
             'options_ui',
             'web_accessible_resources'
@@ -117,6 +142,133 @@ function buildManifest(browser, environment, manifests) {
     return OmitBy(current, IsNil);
 }
 
+function getResourceOrigins(manifest) {
+    let origins = [];
+
+    // Content script origins
+    ForEach(manifest.content_scripts, (contentScript) => {
+        origins.push(...(contentScript.matches || []));
+    });
+
+    // Host permissions
+    origins.push(...Filter(manifest.permissions, isOriginPermission));
+    origins.push(...Filter(manifest.optional_permissions, isOriginPermission));
+
+    return getUniqueOrigins(origins).sort();
+}
+
+function createResourcesV3(manifest) {
+    let resources = Filter(manifest.web_accessible_resources, (resource) => !IsPlainObject(resource));
+
+    // Include resources already defined in the object form
+    let result = Filter(manifest.web_accessible_resources, IsPlainObject);
+
+    if(resources.length < 1) {
+        return result;
+    }
+
+    // Retrieve origins that resources can be accessed from
+    let matches = getResourceOrigins(manifest);
+
+    // Resources are accessible from every page in Manifest V2, so keep that when no origins are available
+    if(matches.length < 1) {
+        matches = ['<all_urls>'];
+    }
+
+    return [
+        ...result,
+
+        {
+            'resources': resources,
+            'matches': matches
+        }
+    ];
+}
+
+function createBackgroundV3(background) {
+    if(IsNil(background) || !IsNil(background.service_worker)) {
+        return background;
+    }
+
+    // Ensure background scripts have been defined
+    if(IsNil(background.scripts) || background.scripts.length < 1) {
+        return null;
+    }
+
+    // Use service worker that imports the background scripts
+    return {
+        ...Omit(background, ['persistent', 'scripts']),
+
+        'service_worker': ServiceWorkerPath
+    };
+}
+
+export function createManifestV3(manifest) {
+    let [hostPermissions, permissions] = Partition(manifest.permissions, isOriginPermission);
+    let [optionalHostPermissions, optionalPermissions] = Partition(manifest.optional_permissions, isOriginPermission);
+
+    return OmitBy({
+        ...Omit(manifest, [
+            'browser_action'
+        ]),
+
+        'manifest_version': 3,
+
+        'action': manifest.action || manifest.browser_action,
+        'background': createBackgroundV3(manifest.background),
+
+        'permissions': permissions,
+        'optional_permissions': optionalPermissions,
+
+        'host_permissions': hostPermissions,
+        'optional_host_permissions': optionalHostPermissions,
+
+        'web_accessible_resources': createResourcesV3(manifest)
+    }, IsNil);
+}
+
+export function createServiceWorker(scripts) {
+    return [
+        // Background scripts are compiled for a window target (the webpack runtime, and "global" references use
+        // "window"), so alias it to the worker global scope. DOM APIs (e.g. "document", "localStorage") are still
+        // unavailable, background modules must avoid them in Manifest V3 builds.
+        'self.window = self;',
+        '',
+
+        // Import background scripts (in order)
+        ...Map(scripts, (path) => `importScripts(${JSON.stringify(`/${path}`)});`),
+        ''
+    ].join('\n');
+}
+
+function writeServiceWorker(environment, background) {
+    if(IsNil(background) || IsNil(background.scripts) || background.scripts.length < 1) {
+        return Promise.resolve();
+    }
+
+    // Write service worker to the build directory
+    return Filesystem.outputFile(
+        Path.join(environment.outputPath, ServiceWorkerPath),
+        createServiceWorker(background.scripts)
+    );
+}
+
+export function transformManifest(browser, environment, manifest) {
+    if(IsNil(browser.transformManifest)) {
+        return Promise.resolve(manifest);
+    }
+
+    return Promise.resolve(browser.transformManifest(CloneDeep(manifest), browser, environment)).then((result) => {
+        if(!IsPlainObject(result)) {
+            return Promise.reject(new Error(
+                `Expected the "${browser.name}" manifest transform to return a plain object`
+            ));
+        }
+
+        return result;
+    });
+}
+
 function buildModulePermissions(browser, module) {
     let permissions = [
         ...module.manifest.origins,
@@ -203,12 +355,87 @@ function buildModuleManifest(browser, environment, module) {
     return manifest;
 }
 
+function buildPermissionSources(browser) {
+    return getPermissionSources([
+        // Extension
+        {
+            name: browser.extension.name,
+
+            permissions: [
+                ...browser.extension.manifest.origins,
+                ...browser.extension.manifest.permissions
+            ]
+        },
+
+        // Modules
+        ...Map(Filter(browser.modules, (module) => module.type !== 'package'), (module) => ({
+            name: module.name,
+            permissions: buildModulePermissions(browser, module).permissions
+        }))
+    ]);
+}
+
 function buildModuleManifests(browser, environment) {
     return Promise.all(Map(Filter(browser.modules, (module) => module.type !== 'package'), (module) =>
         buildModuleManifest(browser, environment, module)
     ));
 }
 
+export function applyDefaultLocale(manifest, code, messages, languages = []) {
+    let references = getMessageReferences(manifest);
+
+    if(IsNil(messages)) {
+        // Browsers reject extensions with "_locales" that don't define a default locale
+        if(languages.length > 0) {
+            throw new Error(
+                `No messages exist for the default locale "${code}" (available: ${languages.join(', ')}), ` +
+                'update "locales.default" in the project configuration'
+            );
+        }
+
+        if(references.length > 0) {
+            throw new Error(`Manifest references messages (${references.join(', ')}), but no "${code}" messages exist`);
+        }
+
+        return manifest;
+    }
+
+    // Ensure referenced messages exist (message names are case-insensitive)
+    let names = Map(Object.keys(messages), (name) => name.toLowerCase());
+    let missing = references.filter((name) => names.indexOf(name.toLowerCase()) < 0);
+
+    if(missing.length > 0) {
+        throw new Error(`Unknown message(s) referenced in manifest: ${missing.join(', ')}`);
+    }
+
+    return {
+        ...manifest,
+
+        'default_locale': code
+    };
+}
+
+function getLocaleLanguages(environment) {
+    let path = Path.join(environment.outputPath, '_locales');
+
+    if(!Filesystem.existsSync(path)) {
+        return Promise.resolve([]);
+    }
+
+    return Filesystem.readdir(path).then((names) => names.sort());
+}
+
+function setDefaultLocale(environment, manifest) {
+    let code = getLocaleCode(Config.get().locales.default);
+
+    return Promise.all([
+        Json.read(Path.join(environment.outputPath, '_locales', code, 'messages.json'), null),
+        getLocaleLanguages(environment)
+    ]).then(([messages, languages]) =>
+        applyDefaultLocale(manifest, code, messages, languages)
+    );
+}
+
 export const Manifest = Task.create({
     name: 'build:manifest',
     description: 'Build extension manifest.',
@@ -217,15 +444,57 @@ export const Manifest = Task.create({
         'clean',
         'module:validate',
 
-        'build:extension'
-    ]
+        'build:extension',
+        'build:locales'
+    ],
+
+    watch: (browser) => Reduce(browser.modules, (paths, module) => {
+        paths.push(
+            Path.join(module.path, 'module.json'),
+            Path.join(module.path, `module.${browser.name}.json`)
+        );
+
+        return paths;
+    }, []),
+
+    command: (cmd) => cmd
+        .option('--previous-release <path>', 'Previous release (archive or directory) to compare permissions with')
 }, function(log, browser, environment) {
-    // Build manifest from modules
-    return buildModuleManifests(browser, environment)
+    return Promise.resolve()
+        // Reload module manifests (to include any changes made while watching)
+        .then(() => {
+            if(!environment.options['watch']) {
+                return Promise.resolve();
+            }
+
+            return reloadManifests(browser);
+        })
+        // Build manifest from modules
+        .then(() => buildModuleManifests(browser, environment))
         .then((manifests) => buildManifest(browser, environment, manifests))
+        // Compare permissions with the previous release
+        .then((manifest) => checkPermissions(log, browser, environment, manifest, buildPermissionSources(browser))
+            .then(() => manifest)
+        )
+        // Convert manifest to the browser manifest version
+        .then((manifest) => {
+            if(manifest['manifest_version'] !== 3) {
+                return manifest;
+            }
+
+            return writeServiceWorker(environment, manifest.background).then(() =>
+                createManifestV3(manifest)
+            );
+        })
+        // Apply browser manifest transform
+        .then((manifest) => transformManifest(browser, environment, manifest))
+        // Set default locale (and validate message references)
+        .then((manifest) => setDefaultLocale(environment, manifest))
         .then((manifest) => Filesystem.writeJson(Path.join(environment.outputPath, 'manifest.json'), manifest, {
             spaces: 2
         }));
+}, {
+    'previous-release': null
 });
 
 export default Manifest;
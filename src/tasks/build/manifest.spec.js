@@ -0,0 +1,271 @@
+import Filesystem from 'fs-extra';
+import FunctionModulePlugin from 'webpack/lib/FunctionModulePlugin';
+import Os from 'os';
+import Path from 'path';
+import Vm from 'vm';
+import Webpack from 'webpack';
+
+import {
+    ServiceWorkerPath,
+    applyDefaultLocale,
+    createManifestV3,
+    createServiceWorker,
+    isOriginPermission,
+    transformManifest
+} from './manifest';
+
+
+describe('Tasks', () => {
+    describe('build:manifest', () => {
+        describe('isOriginPermission', () => {
+            it('should match origins', () => {
+                expect(isOriginPermission('*://www.last.fm/*')).toBeTruthy();
+                expect(isOriginPermission('<all_urls>')).toBeTruthy();
+            });
+
+            it('should not match API permissions', () => {
+                expect(isOriginPermission('storage')).toBeFalsy();
+                expect(isOriginPermission('declarativeContent')).toBeFalsy();
+            });
+        });
+
+        describe('createManifestV3', () => {
+            it('should move origins to host permissions', () => {
+                expect(createManifestV3({
+                    'manifest_version': 3,
+
+                    'permissions': ['*://www.last.fm/*', 'storage'],
+                    'optional_permissions': ['*://www.netflix.com/*', 'notifications']
+                })).toEqual({
+                    'manifest_version': 3,
+
+                    'permissions': ['storage'],
+                    'optional_permissions': ['notifications'],
+
+                    'host_permissions': ['*://www.last.fm/*'],
+                    'optional_host_permissions': ['*://www.netflix.com/*'],
+
+                    'web_accessible_resources': []
+                });
+            });
+
+            it('should replace "browser_action" with "action"', () => {
+                let manifest = createManifestV3({
+                    'browser_action': {
+                        'default_popup': 'Popup.html'
+                    }
+                });
+
+                expect(manifest['browser_action']).toBeUndefined();
+                expect(manifest['action']).toEqual({
+                    'default_popup': 'Popup.html'
+                });
+            });
+
+            it('should use the generated service worker for background scripts', () => {
+                expect(createManifestV3({
+                    'background': {
+                        'persistent': true,
+                        'scripts': ['Common.js', 'Background/Messaging.js']
+                    }
+                })['background']).toEqual({
+                    'service_worker': ServiceWorkerPath
+                });
+            });
+
+            it('should convert web accessible resources to the object form', () => {
+                expect(createManifestV3({
+                    'content_scripts': [
+                        { 'matches': ['*://www.netflix.com/*'] }
+                    ],
+
+                    'permissions': ['*://www.last.fm/*'],
+
+                    'web_accessible_resources': [
+                        'Plugins/netflix/Shim.js'
+                    ]
+                })['web_accessible_resources']).toEqual([
+                    {
+                        'resources': ['Plugins/netflix/Shim.js'],
+                        'matches': ['*://www.last.fm/*', '*://www.netflix.com/*']
+                    }
+                ]);
+            });
+
+            it('should allow web accessible resources from every page when no origins are available', () => {
+                expect(createManifestV3({
+                    'web_accessible_resources': [
+                        'Plugins/netflix/Shim.js'
+                    ]
+                })['web_accessible_resources']).toEqual([
+                    {
+                        'resources': ['Plugins/netflix/Shim.js'],
+                        'matches': ['<all_urls>']
+                    }
+                ]);
+            });
+        });
+
+        describe('createServiceWorker', () => {
+            let path;
+
+            beforeEach(() => {
+                path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-manifest-'));
+
+                Filesystem.outputFileSync(Path.join(path, 'src/Shared.js'), 'module.exports = global;');
+
+                Filesystem.outputFileSync(Path.join(path, 'src/Messaging.js'), [
+                    'require(\'./Shared\').loaded = (self.loaded || []).concat(\'Messaging\');',
+                    ''
+                ].join('\n'));
+
+                Filesystem.outputFileSync(Path.join(path, 'src/Scrobble.js'), [
+                    'require(\'./Shared\').loaded = (self.loaded || []).concat(\'Scrobble\');',
+                    ''
+                ].join('\n'));
+            });
+
+            afterEach(() => {
+                Filesystem.removeSync(path);
+            });
+
+            function compile() {
+                let output = {
+                    filename: '[name].js',
+                    path: Path.join(path, 'unpacked')
+                };
+
+                // Compile chunks with the same templates as the extension configuration
+                let compiler = Webpack({
+                    target: () => undefined,
+
+                    entry: {
+                        'Background/Messaging': Path.join(path, 'src/Messaging.js'),
+                        'Background/Scrobble': Path.join(path, 'src/Scrobble.js')
+                    },
+
+                    output,
+
+                    plugins: [
+                        new Webpack.JsonpTemplatePlugin(output),
+                        new FunctionModulePlugin(output),
+                        new Webpack.LoaderTargetPlugin('web'),
+
+                        new Webpack.optimize.CommonsChunkPlugin({
+                            name: 'Common',
+                            minChunks: 2
+                        }),
+
+                        new Webpack.DefinePlugin({
+                            'global': 'window'
+                        })
+                    ]
+                });
+
+                return new Promise((resolve, reject) => {
+                    compiler.run((err, stats) => {
+                        if(err || stats.hasErrors()) {
+                            reject(err || new Error(stats.toString('errors-only')));
+                            return;
+                        }
+
+                        resolve();
+                    });
+                });
+            }
+
+            it('should load background scripts in a worker global scope', () => {
+                return compile().then(() => {
+                    let scope = {};
+
+                    // Emulate a service worker global scope (no "window" or "document")
+                    scope.self = scope;
+
+                    scope.importScripts = (...paths) => paths.forEach((name) => {
+                        Vm.runInContext(Filesystem.readFileSync(Path.join(path, 'unpacked', name), 'utf-8'), scope);
+                    });
+
+                    Vm.createContext(scope);
+
+                    Vm.runInContext(createServiceWorker([
+                        'Common.js',
+                        'Background/Messaging.js',
+                        'Background/Scrobble.js'
+                    ]), scope);
+
+                    expect(scope.loaded).toEqual(['Messaging', 'Scrobble']);
+                });
+            });
+        });
+
+        describe('transformManifest', () => {
+            it('should apply the browser manifest transform', () => {
+                return transformManifest({
+                    name: 'edge',
+
+                    transformManifest: (manifest) => ({
+                        ...manifest,
+
+                        'minimum_edge_version': '79'
+                    })
+                }, {}, { 'name': 'Radon' }).then((manifest) => {
+                    expect(manifest).toEqual({
+                        'name': 'Radon',
+                        'minimum_edge_version': '79'
+                    });
+                });
+            });
+
+            it('should reject invalid transform results', (done) => {
+                transformManifest({
+                    name: 'edge',
+
+                    transformManifest: () => null
+                }, {}, {}).then(() => {
+                    done.fail('Expected transform to be rejected');
+                }, (err) => {
+                    expect(err.message).toContain('"edge"');
+                    done();
+                });
+            });
+        });
+
+        describe('applyDefaultLocale', () => {
+            let messages = {
+                'name': { message: 'Radon' }
+            };
+
+            it('should set the default locale', () => {
+                expect(applyDefaultLocale({ 'name': '__MSG_Name__' }, 'en', messages)).toEqual({
+                    'name': '__MSG_Name__',
+                    'default_locale': 'en'
+                });
+            });
+
+            it('should reject unknown message references', () => {
+                expect(() => applyDefaultLocale({ 'description': '__MSG_description__' }, 'en', messages)).toThrowError(
+                    'Unknown message(s) referenced in manifest: description'
+                );
+            });
+
+            it('should reject generated locales without the default locale', () => {
+                expect(() => applyDefaultLocale({ 'name': 'Radon' }, 'en', null, ['de', 'fr'])).toThrowError(
+                    'No messages exist for the default locale "en" (available: de, fr), ' +
+                    'update "locales.default" in the project configuration'
+                );
+            });
+
+            it('should allow manifests without generated locales', () => {
+                expect(applyDefaultLocale({ 'name': 'Radon' }, 'en', null, [])).toEqual({
+                    'name': 'Radon'
+                });
+            });
+
+            it('should reject message references without messages', () => {
+                expect(() => applyDefaultLocale({ 'name': '__MSG_name__' }, 'en', null)).toThrowError(
+                    'Manifest references messages (name), but no "en" messages exist'
+                );
+            });
+        });
+    });
+});
@@ -0,0 +1,369 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import Filter from 'lodash/filter';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+import Values from 'lodash/values';
+
+import Json from '../../core/json';
+import {Task} from '../../core/helpers';
+import {getBundledPackages} from '../../webpack/packages';
+import {isLicenseExpression} from '../../webpack/licenses';
+import {getDependencyTree} from '../../core/package';
+
+
+export const CycloneDxName = 'sbom.cdx.json';
+export const SpdxName = 'sbom.spdx';
+
+const HashAlgorithms = {
+    'sha1': { cyclonedx: 'SHA-1', spdx: 'SHA1' },
+    'sha256': { cyclonedx: 'SHA-256', spdx: 'SHA256' },
+    'sha384': { cyclonedx: 'SHA-384', spdx: 'SHA384' },
+    'sha512': { cyclonedx: 'SHA-512', spdx: 'SHA512' }
+};
+
+export function getPackageUrl(name, version) {
+    return `pkg:npm/${name.replace(/^@/, '%40')}@${version}`;
+}
+
+export function parseIntegrity(integrity) {
+    if(IsNil(integrity)) {
+        return [];
+    }
+
+    return Filter(Map(integrity.split(/\s+/), (value) => {
+        let index = value.indexOf('-');
+
+        let algorithm = value.substring(0, index);
+        let digest = value.substring(index + 1);
+
+        if(IsNil(HashAlgorithms[algorithm]) || digest.length < 1) {
+            return null;
+        }
+
+        return {
+            algorithm,
+            content: Buffer.from(digest, 'base64').toString('hex')
+        };
+    }), (hash) => !IsNil(hash));
+}
+
+export function findLockDependency(tree, basePath, pkg) {
+    if(IsNil(tree)) {
+        return null;
+    }
+
+    // Find dependency by installed path (e.g. "node_modules/a/node_modules/b")
+    let relative = Path.relative(basePath, pkg.path).split(Path.sep);
+
+    if(relative[0] === 'node_modules') {
+        let node = tree;
+
+        for(let i = 0; i < relative.length && !IsNil(node); i++) {
+            if(relative[i] === 'node_modules') {
+                continue;
+            }
+
+            // Scoped package
+            if(relative[i].indexOf('@') === 0) {
+                node = node.get(`${relative[i]}/${relative[++i]}`);
+            } else {
+                node = node.get(relative[i]);
+            }
+        }
+
+        if(!IsNil(node) && node.version === pkg.version) {
+            return node;
+        }
+    }
+
+    // Find dependency by name (for packages outside the browser package)
+    let node = tree.resolve(pkg.name);
+
+    if(!IsNil(node) && node.version === pkg.version) {
+        return node;
+    }
+
+    return null;
+}
+
+export function createComponents(browser, packages, tree) {
+    return Map(packages, (pkg) => {
+        let dependency = findLockDependency(tree, browser.path, pkg);
+
+        return {
+            name: pkg.name,
+            version: pkg.version,
+
+            license: pkg.license,
+            repository: pkg.repository,
+
+            hashes: parseIntegrity(dependency ? dependency.integrity : null)
+        };
+    });
+}
+
+function getModuleDetails(module) {
+    return {
+        name: module.name,
+        version: module.version,
+
+        commit: (module.repository && module.repository.commit) || null,
+        tag: (module.repository && module.repository.tag) || null
+    };
+}
+
+export function getModules(browser) {
+    return Map(Filter(Values(browser.modules), (module) => ['package', 'tool'].indexOf(module.type) < 0), (module) =>
+        getModuleDetails(module)
+    );
+}
+
+function getModuleProperties({commit, tag}) {
+    return [
+        { 'name': 'radon:commit', 'value': commit },
+        { 'name': 'radon:tag', 'value': tag }
+    ].filter(({value}) => !IsNil(value));
+}
+
+function getModuleComment({commit, tag}) {
+    return `Commit: ${commit || 'unknown'}, Tag: ${tag || 'none'}`;
+}
+
+export function getSerialNumber(browser, components, modules) {
+    let hash = Crypto.createHash('sha1').update(JSON.stringify([
+        browser.package,
+        browser.version,
+
+        components,
+        modules
+    ])).digest('hex');
+
+    // Format hash as a (name-based) UUID
+    return [
+        hash.substring(0, 8),
+        hash.substring(8, 12),
+        `5${hash.substring(13, 16)}`,
+        ((parseInt(hash.substring(16, 18), 16) & 0x3f) | 0x80).toString(16) + hash.substring(18, 20),
+        hash.substring(20, 32)
+    ].join('-');
+}
+
+function isDownloadLocation(value) {
+    return !IsNil(value) && /^(git|https?):\/\//.test(value);
+}
+
+function isLicenseId(license) {
+    return /^[A-Za-z0-9.\-+]+$/.test(license);
+}
+
+function getCycloneDxLicense(license) {
+    if(!isLicenseExpression(license)) {
+        return { 'license': { 'name': license } };
+    }
+
+    if(isLicenseId(license)) {
+        return { 'license': { 'id': license } };
+    }
+
+    return { 'expression': license };
+}
+
+export function createCycloneDx(browser, {source, components, modules, serialNumber, timestamp, tool}) {
+    return {
+        'bomFormat': 'CycloneDX',
+        'specVersion': '1.3',
+        'serialNumber': `urn:uuid:${serialNumber}`,
+        'version': 1,
+
+        'metadata': {
+            'timestamp': timestamp,
+
+            'tools': [
+                { 'vendor': 'RadonApp', 'name': tool.name, 'version': tool.version }
+            ],
+
+            'component': {
+                'type': 'application',
+                'bom-ref': getPackageUrl(browser.package, browser.version),
+
+                'name': browser.package,
+                'version': browser.version,
+
+                'properties': getModuleProperties(source)
+            }
+        },
+
+        'components': [
+            ...Map(modules, (module) => ({
+                'type': 'library',
+                'bom-ref': getPackageUrl(module.name, module.version),
+
+                'name': module.name,
+                'version': module.version,
+                'purl': getPackageUrl(module.name, module.version),
+
+                'properties': getModuleProperties(module)
+            })),
+
+            ...Map(components, (component) => ({
+                'type': 'library',
+                'bom-ref': getPackageUrl(component.name, component.version),
+
+                'name': component.name,
+                'version': component.version,
+                'purl': getPackageUrl(component.name, component.version),
+
+                ...(!IsNil(component.license) && {
+                    'licenses': [
+                        getCycloneDxLicense(component.license)
+                    ]
+                }),
+
+                ...(component.hashes.length > 0 && {
+                    'hashes': Map(component.hashes, ({algorithm, content}) => ({
+                        'alg': HashAlgorithms[algorithm].cyclonedx,
+                        'content': content
+                    }))
+                })
+            }))
+        ]
+    };
+}
+
+export function createSpdx(browser, {source, components, modules, serialNumber, timestamp, tool}) {
+    let lines = [
+        'SPDXVersion: SPDX-2.2',
+        'DataLicense: CC0-1.0',
+        'SPDXID: SPDXRef-DOCUMENT',
+        `DocumentName: ${browser.package}-${browser.version}`,
+        `DocumentNamespace: https://spdx.org/spdxdocs/${browser.package.replace(/^@/, '')}-${serialNumber}`,
+        `Creator: Tool: ${tool.name}-${tool.version}`,
+        `Created: ${timestamp.replace(/\.\d+Z$/, 'Z')}`,
+        '',
+        `PackageName: ${browser.package}`,
+        'SPDXID: SPDXRef-Package-0',
+        `PackageVersion: ${browser.version}`,
+        'PackageDownloadLocation: NOASSERTION',
+        'FilesAnalyzed: false',
+        'PackageLicenseConcluded: NOASSERTION',
+        'PackageLicenseDeclared: NOASSERTION',
+        'PackageCopyrightText: NOASSERTION',
+        `PackageComment: <text>${getModuleComment(source)}</text>`,
+        'Relationship: SPDXRef-DOCUMENT DESCRIBES SPDXRef-Package-0'
+    ];
+
+    let index = 1;
+
+    function addPackage({name, version, license = null, repository = null, hashes = [], comment = null}) {
+        let id = `SPDXRef-Package-${index++}`;
+
+        lines.push(
+            '',
+            `PackageName: ${name}`,
+            `SPDXID: ${id}`,
+            `PackageVersion: ${version}`,
+            `PackageDownloadLocation: ${isDownloadLocation(repository) ? repository : 'NOASSERTION'}`,
+            'FilesAnalyzed: false'
+        );
+
+        ForEach(hashes, ({algorithm, content}) => {
+            lines.push(`PackageChecksum: ${HashAlgorithms[algorithm].spdx}: ${content}`);
+        });
+
+        lines.push(
+            'PackageLicenseConcluded: NOASSERTION',
+            `PackageLicenseDeclared: ${isLicenseExpression(license) ? license : 'NOASSERTION'}`
+        );
+
+        // Include licenses that aren't valid SPDX expressions as a comment
+        if(!IsNil(license) && !isLicenseExpression(license)) {
+            lines.push(`PackageLicenseComments: <text>Declared license: ${license}</text>`);
+        }
+
+        lines.push('PackageCopyrightText: NOASSERTION');
+
+        if(!IsNil(comment)) {
+            lines.push(`PackageComment: <text>${comment}</text>`);
+        }
+
+        lines.push(
+            `ExternalRef: PACKAGE-MANAGER purl ${getPackageUrl(name, version)}`,
+            `Relationship: SPDXRef-Package-0 CONTAINS ${id}`
+        );
+    }
+
+    // Modules
+    ForEach(modules, (module) => addPackage({
+        ...module,
+
+        comment: getModuleComment(module)
+    }));
+
+    // Bundled packages
+    ForEach(components, (component) => addPackage(component));
+
+    return `${lines.join('\n')}\n`;
+}
+
+function getTool(browser) {
+    let module = browser.modules['build'];
+
+    return {
+        name: 'radon-extension-build',
+        version: (module && module.version) || 'unknown'
+    };
+}
+
+export const Sbom = Task.create({
+    name: 'build:sbom',
+    description: 'Write software bill of materials (CycloneDX and SPDX).',
+
+    required: [
+        'build:extension'
+    ]
+}, (log, browser, environment) => {
+    return Json.read(Path.join(environment.buildPath, 'webpack.stats.json'), null).then((stats) => {
+        if(IsNil(stats)) {
+            return Promise.reject(new Error('No webpack stats available'));
+        }
+
+        return Promise.all([
+            getBundledPackages(stats),
+            getDependencyTree(browser.path).catch(() => null)
+        ]);
+    }).then(([packages, tree]) => {
+        if(IsNil(tree)) {
+            log.warn('No "package-lock.json" found, integrity hashes won\'t be included');
+        }
+
+        let components = createComponents(browser, packages, tree);
+        let modules = getModules(browser);
+
+        let options = {
+            source: getModuleDetails(browser.extension),
+
+            components,
+            modules,
+
+            serialNumber: getSerialNumber(browser, components, modules),
+            timestamp: environment.sourceDate,
+            tool: getTool(browser)
+        };
+
+        log.debug(`Writing bill of materials for ${modules.length} module(s) and ${components.length} package(s)`);
+
+        // Write bill of materials
+        return Promise.all([
+            Filesystem.writeJson(Path.join(environment.buildPath, CycloneDxName), createCycloneDx(browser, options), {
+                spaces: 2
+            }),
+
+            Filesystem.writeFile(Path.join(environment.buildPath, SpdxName), createSpdx(browser, options))
+        ]);
+    });
+});
+
+export default Sbom;
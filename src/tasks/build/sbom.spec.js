@@ -0,0 +1,179 @@
+import {createDependencyTree} from '../../core/package';
+import {createCycloneDx, createSpdx, findLockDependency, getPackageUrl, parseIntegrity} from './sbom';
+
+
+describe('Tasks', () => {
+    describe('build:sbom', () => {
+        let browser = { package: '@radon-extension/package-chrome', version: '1.0.0' };
+
+        let options = {
+            source: { name: '@radon-extension/package', version: '1.0.0', commit: 'abc123', tag: 'v1.0.0' },
+
+            components: [
+                {
+                    name: 'lodash',
+                    version: '4.17.4',
+
+                    license: 'MIT',
+                    repository: 'https://github.com/lodash/lodash.git',
+
+                    hashes: [
+                        { algorithm: 'sha1', content: '78203a4d1c328ae1d86dca6460e369b57f4055ae' }
+                    ]
+                }
+            ],
+
+            modules: [
+                { name: '@radon-extension/framework', version: '1.0.0', commit: 'def456', tag: null }
+            ],
+
+            serialNumber: '9a4a5d6e-2f5e-5b38-8f21-1c3b0b3c2d1e',
+            timestamp: '2018-01-01T00:00:00.000Z',
+            tool: { name: 'radon-extension-build', version: '2.0.0' }
+        };
+
+        describe('getPackageUrl', () => {
+            it('should encode package scopes', () => {
+                expect(getPackageUrl('lodash', '4.17.4')).toBe('pkg:npm/lodash@4.17.4');
+                expect(getPackageUrl('@babel/runtime', '7.0.0')).toBe('pkg:npm/%40babel/runtime@7.0.0');
+            });
+        });
+
+        describe('parseIntegrity', () => {
+            it('should return hexadecimal digests', () => {
+                expect(parseIntegrity('sha1-eCA6TRwyiuHYbcpkYONptX9AVa4= md5-abc')).toEqual([
+                    { algorithm: 'sha1', content: '78203a4d1c328ae1d86dca6460e369b57f4055ae' }
+                ]);
+
+                expect(parseIntegrity(null)).toEqual([]);
+            });
+        });
+
+        describe('findLockDependency', () => {
+            let tree = createDependencyTree({
+                name: 'app',
+                version: '1.0.0',
+
+                dependencies: {
+                    'a': {
+                        version: '1.0.0',
+                        integrity: 'sha1-a',
+
+                        dependencies: {
+                            '@scope/b': { version: '2.0.0', integrity: 'sha1-b' }
+                        }
+                    },
+                    '@scope/b': { version: '1.0.0', integrity: 'sha1-b1' }
+                }
+            });
+
+            it('should find dependencies by installed path', () => {
+                expect(findLockDependency(tree, '/app', {
+                    name: '@scope/b',
+                    version: '2.0.0',
+                    path: '/app/node_modules/a/node_modules/@scope/b'
+                }).integrity).toBe('sha1-b');
+            });
+
+            it('should fall back to resolving dependencies by name', () => {
+                expect(findLockDependency(tree, '/app', {
+                    name: '@scope/b',
+                    version: '1.0.0',
+                    path: '/other/node_modules/@scope/b'
+                }).integrity).toBe('sha1-b1');
+            });
+
+            it('should ignore dependencies with a different version', () => {
+                expect(findLockDependency(tree, '/app', {
+                    name: 'a',
+                    version: '2.0.0',
+                    path: '/app/node_modules/a'
+                })).toBeNull();
+            });
+        });
+
+        describe('createCycloneDx', () => {
+            it('should include modules and packages', () => {
+                let bom = createCycloneDx(browser, options);
+
+                expect(bom.serialNumber).toBe('urn:uuid:9a4a5d6e-2f5e-5b38-8f21-1c3b0b3c2d1e');
+                expect(bom.metadata.component.properties).toEqual([
+                    { name: 'radon:commit', value: 'abc123' },
+                    { name: 'radon:tag', value: 'v1.0.0' }
+                ]);
+
+                expect(bom.components).toEqual([
+                    {
+                        'type': 'library',
+                        'bom-ref': 'pkg:npm/%40radon-extension/framework@1.0.0',
+                        'name': '@radon-extension/framework',
+                        'version': '1.0.0',
+                        'purl': 'pkg:npm/%40radon-extension/framework@1.0.0',
+                        'properties': [
+                            { name: 'radon:commit', value: 'def456' }
+                        ]
+                    },
+                    {
+                        'type': 'library',
+                        'bom-ref': 'pkg:npm/lodash@4.17.4',
+                        'name': 'lodash',
+                        'version': '4.17.4',
+                        'purl': 'pkg:npm/lodash@4.17.4',
+                        'licenses': [
+                            { license: { id: 'MIT' } }
+                        ],
+                        'hashes': [
+                            { alg: 'SHA-1', content: '78203a4d1c328ae1d86dca6460e369b57f4055ae' }
+                        ]
+                    }
+                ]);
+            });
+        });
+
+        describe('createCycloneDx', () => {
+            it('should name licenses that aren\'t valid SPDX expressions', () => {
+                let bom = createCycloneDx(browser, {
+                    ...options,
+
+                    components: [
+                        { ...options.components[0], license: '(MIT OR Apache-2.0)' },
+                        { ...options.components[0], name: 'internal', license: 'SEE LICENSE IN LICENSE.md' }
+                    ]
+                });
+
+                expect(bom.components[1].licenses).toEqual([{ expression: '(MIT OR Apache-2.0)' }]);
+                expect(bom.components[2].licenses).toEqual([{ license: { name: 'SEE LICENSE IN LICENSE.md' } }]);
+            });
+        });
+
+        describe('createSpdx', () => {
+            it('should include modules and packages', () => {
+                let lines = createSpdx(browser, options).split('\n');
+
+                expect(lines[0]).toBe('SPDXVersion: SPDX-2.2');
+                expect(lines).toContain('Created: 2018-01-01T00:00:00Z');
+                expect(lines).toContain('PackageName: lodash');
+                expect(lines).toContain('PackageChecksum: SHA1: 78203a4d1c328ae1d86dca6460e369b57f4055ae');
+                expect(lines).toContain('PackageLicenseDeclared: MIT');
+                expect(lines).toContain('PackageComment: <text>Commit: def456, Tag: none</text>');
+                expect(lines).toContain('Relationship: SPDXRef-Package-0 CONTAINS SPDXRef-Package-2');
+            });
+
+            it('should not declare licenses that aren\'t valid SPDX expressions', () => {
+                let lines = createSpdx(browser, {
+                    ...options,
+
+                    components: [
+                        { ...options.components[0], name: 'internal', license: 'SEE LICENSE IN LICENSE.md' }
+                    ]
+                }).split('\n');
+
+                expect(lines).not.toContain('PackageLicenseDeclared: SEE LICENSE IN LICENSE.md');
+                expect(lines.filter((line) => line === 'PackageLicenseDeclared: NOASSERTION').length).toBe(3);
+                expect(lines).toContain(
+                    'PackageLicenseComments: <text>Declared license: SEE LICENSE IN LICENSE.md</text>'
+                );
+            });
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import Chalk from 'chalk';
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import Path from 'path';
+import Process from 'process';
+
+import Checksum from '../../core/checksum';
+import Vorpal from '../../core/vorpal';
+import {parseChecksums} from '../build/compare';
+import {runSequential} from '../../core/helpers/promise';
+
+
+const Logger = Vorpal.logger;
+
+export function findSums(path) {
+    return Object.keys(Checksum.Algorithms).filter((algorithm) =>
+        Filesystem.existsSync(Path.join(path, Checksum.Algorithms[algorithm]))
+    );
+}
+
+export function verifySums(path, algorithm) {
+    return Promise.all([
+        Filesystem.readFile(Path.join(path, Checksum.Algorithms[algorithm]), 'utf-8'),
+        Checksum.calculateMany(path, Checksum.BuildPattern, algorithm)
+    ]).then(([data, hashes]) => ({
+        algorithm,
+        name: Checksum.Algorithms[algorithm],
+
+        total: Object.keys(hashes).length,
+
+        ...Checksum.compareHashes(parseChecksums(data), hashes)
+    }));
+}
+
+export function hasErrors({missing, extra, mismatched}) {
+    return missing.length > 0 || extra.length > 0 || mismatched.length > 0;
+}
+
+function logErrors({name, missing, extra, mismatched}) {
+    ForEach(mismatched, (file) => Logger.error(Chalk.red(`[${name}] Mismatched: ${file}`)));
+    ForEach(missing, (file) => Logger.error(Chalk.red(`[${name}] Missing: ${file}`)));
+    ForEach(extra, (file) => Logger.error(Chalk.red(`[${name}] Not listed: ${file}`)));
+}
+
+// Command
+let cmd = Vorpal.command('checksum:verify <build-dir>', 'Verify build checksums.')
+    .option('--debug', 'Enable debug messages');
+
+// Action
+cmd.action(({options, ...args}) => {
+    let path = Path.resolve(Process.cwd(), args['build-dir']);
+
+    // Configure logger
+    if(options['debug']) {
+        Vorpal.logger.setFilter('debug');
+    }
+
+    // Find checksum files
+    let algorithms = findSums(path);
+
+    if(algorithms.length < 1) {
+        Logger.error(Chalk.red(`No checksum files found in "${path}"`));
+        Process.exit(1);
+        return Promise.resolve();
+    }
+
+    let valid = true;
+
+    // Verify checksums
+    return runSequential(algorithms, (algorithm) => verifySums(path, algorithm).then((result) => {
+        if(hasErrors(result)) {
+            logErrors(result);
+            valid = false;
+            return;
+        }
+
+        Logger.info(Chalk.green(`${result.name}: ${result.total} file(s) verified`));
+    })).then(() => {
+        if(!valid) {
+            return Promise.reject(new Error('Verification failed'));
+        }
+
+        return true;
+    }).catch((err) => {
+        Logger.error(err.stack || err.message || err);
+        Process.exit(1);
+    });
+});
@@ -1,10 +1,28 @@
 import Delete from 'del';
 import Filesystem from 'fs';
+import Map from 'lodash/map';
 import Path from 'path';
 
+import Cache from '../core/cache';
 import {Task} from '../core/helpers';
 
 
+function getPatterns(environment) {
+    if(!environment.options['incremental']) {
+        return Promise.resolve([
+            Path.join(environment.buildPath, '**/*')
+        ]);
+    }
+
+    // Retain the task cache, and outputs of cached tasks
+    return Cache.getOutputs(environment).then((outputs) => ([
+        Path.join(environment.buildPath, '**/*'),
+        `!${Path.join(Cache.getCachePath(environment), '**')}`,
+
+        ...Map(outputs, (path) => `!${path}`)
+    ]));
+}
+
 export const Clean = Task.create({
     name: 'clean',
     description: 'Clean the build environment.'
@@ -17,11 +35,10 @@ export const Clean = Task.create({
     log.debug('Cleaning the build directory...');
     log.debug(` - Path: "${environment.buildPath}"`);
 
-    return Delete([
-        Path.join(environment.buildPath, '**/*')
-    ], {
-        force: true
-    }).then(() => {
+    return getPatterns(environment).then((patterns) => Delete(patterns, {
+        force: true,
+        nodir: environment.options['incremental']
+    })).then(() => {
         log.debug('Done');
     });
 });
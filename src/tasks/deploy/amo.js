@@ -0,0 +1,58 @@
+import Filesystem from 'fs-extra';
+import IsNil from 'lodash/isNil';
+import Path from 'path';
+
+import Amo from '../../deploy/stores/amo';
+import Config from '../../core/config';
+import {Task} from '../../core/helpers';
+import {getGeckoSettings, isFirefoxBrowser} from '../archive/updates';
+import {ensureArchives, getReleaseArchivePath} from '../archive/release';
+import {getSourceArchivePath} from '../archive/source';
+
+
+function getAddonId(environment) {
+    let addonId = Config.get().deploy.amo.addonId;
+
+    if(!IsNil(addonId)) {
+        return Promise.resolve(addonId);
+    }
+
+    // Use gecko id from the extension manifest
+    return Filesystem.readJson(Path.join(environment.outputPath, 'manifest.json')).then((manifest) => {
+        let gecko = getGeckoSettings(manifest);
+
+        if(IsNil(gecko.id)) {
+            return Promise.reject(new Error('No add-on id defined'));
+        }
+
+        return gecko.id;
+    });
+}
+
+export const AddonsMozillaOrg = Task.create({
+    name: 'deploy:amo',
+    description: 'Submit the release and source archives to addons.mozilla.org.'
+}, (log, browser, environment) => {
+    if(!isFirefoxBrowser(browser)) {
+        return Promise.reject(new Error(`addons.mozilla.org submissions aren't supported for ${browser.title}`));
+    }
+
+    let path = getReleaseArchivePath(browser, environment);
+    let sourcePath = getSourceArchivePath(browser, environment);
+
+    // Submit the existing release and source archives
+    return ensureArchives([path, sourcePath])
+        .then(() => getAddonId(environment))
+        .then((addonId) => Amo.submit(log, {
+            addonId,
+            channel: browser.extension.channel,
+
+            path,
+            sourcePath
+        }))
+        .then((version) => {
+            log.info(`Submitted ${browser.versionName} (${version.version}, channel: ${browser.extension.channel})`);
+        });
+});
+
+export default AddonsMozillaOrg;
@@ -0,0 +1,44 @@
+import IsNil from 'lodash/isNil';
+
+import Chrome from '../../deploy/stores/chrome';
+import Config from '../../core/config';
+import {Task} from '../../core/helpers';
+import {ensureArchives, getReleaseArchivePath} from '../archive/release';
+
+
+export function isChromeBrowser(browser) {
+    return browser.name === 'chrome' || browser.base === 'chrome';
+}
+
+export const ChromeWebStore = Task.create({
+    name: 'deploy:chrome-web-store',
+    description: 'Upload and publish the release archive to the Chrome Web Store.',
+
+    command: (cmd) => cmd
+        .option('--item-id <id>', 'Chrome Web Store item id [default: deploy.chromeWebStore.itemId]')
+}, (log, browser, environment, options) => {
+    let itemId = options['item-id'] || Config.get().deploy.chromeWebStore.itemId;
+
+    if(!isChromeBrowser(browser)) {
+        return Promise.reject(new Error(`Chrome Web Store submissions aren't supported for ${browser.title}`));
+    }
+
+    if(IsNil(itemId)) {
+        return Promise.reject(new Error('No item id defined'));
+    }
+
+    let path = getReleaseArchivePath(browser, environment);
+
+    // Upload the existing release archive
+    return ensureArchives([path]).then(() => Chrome.submit(log, {
+        itemId,
+        channel: browser.extension.channel,
+        path
+    })).then(() => {
+        log.info(`Published ${browser.versionName} (${browser.extension.channel})`);
+    });
+}, {
+    'item-id': null
+});
+
+export default ChromeWebStore;
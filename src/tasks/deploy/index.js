@@ -1,5 +1,92 @@
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Pick from 'lodash/pick';
+
+import Config from '../../core/config';
+import Deploy from '../../deploy';
 import Import from '../../core/helpers/import';
+import {Task} from '../../core/helpers';
+import {runSequential} from '../../core/helpers/promise';
+
+
+function resolveTargets(targets, name) {
+    if(name === 'all') {
+        return Map(targets, (target, key) => ({ name: key, ...target }));
+    }
+
+    if(IsNil(targets[name])) {
+        throw new Error(`Unknown deploy target: "${name}" (expected one of: all, ${Object.keys(targets).join(', ')})`);
+    }
+
+    return [{ name, ...targets[name] }];
+}
+
+export function getTargets(targets, name = 'all') {
+    let result = resolveTargets(targets, name);
+
+    // Ensure providers exist (before any files are uploaded)
+    result.forEach((target) => {
+        Deploy.getProvider(target.provider);
+    });
+
+    return result;
+}
+
+export const DeployTask = Task.create({
+    name: 'deploy',
+    description: 'Upload build artifacts to the configured deploy targets.',
+
+    command: (cmd) => cmd
+        .option('--target <target>', 'Deploy target [default: all]')
+        .option('--dry-run', 'List files that would be uploaded (without uploading them)')
+}, (log, browser, environment, options) => {
+    let dryRun = options['dry-run'];
+    let targets;
 
+    try {
+        targets = getTargets(Config.get().deploy.targets, options['target']);
+    } catch(err) {
+        return Promise.reject(err);
+    }
+
+    if(targets.length < 1) {
+        return Promise.reject(new Error('No deploy targets configured'));
+    }
+
+    if(browser.dirty && !dryRun) {
+        return Promise.reject(new Error('Unable to deploy, environment is dirty'));
+    }
+
+    let attributes = Deploy.getAttributes(browser);
+
+    // Deploy build artifacts to each target
+    return runSequential(targets, (target) => {
+        let files = Deploy.getFiles(environment.buildPath, target.include);
+
+        if(files.length < 1) {
+            return Promise.reject(new Error(`No build artifacts found in "${environment.buildPath}"`));
+        }
+
+        log.info(`Deploying ${files.length} file(s) to "${target.name}" (${target.provider})`);
+
+        return Promise.resolve().then(() => Deploy.deploy(log, Deploy.createProvider(target, {
+            attributes,
+            basePath: environment.packagePath
+        }), files, {
+            prefix: Deploy.getPrefix(browser, environment, target.prefix),
+            dryRun
+        })).then((items) => ({
+            ...Pick(target, ['name', 'provider']),
+
+            files: Map(items, 'name')
+        }));
+    });
+}, {
+    'dry-run': false,
+    'target': 'all'
+});
 
 // Import children
 Import(__dirname);
+
+export default DeployTask;
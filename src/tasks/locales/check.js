@@ -0,0 +1,213 @@
+import Chalk from 'chalk';
+import ForEach from 'lodash/forEach';
+import IsEqual from 'lodash/isEqual';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import PadEnd from 'lodash/padEnd';
+import PadStart from 'lodash/padStart';
+import Values from 'lodash/values';
+
+import Config from '../../core/config';
+import Locales from '../../core/locales';
+import {Task} from '../../core/helpers';
+import {runSequential} from '../../core/helpers/promise';
+
+
+function getKeys(namespaces) {
+    let keys = {};
+
+    ForEach(namespaces, (data, namespace) => {
+        ForEach(Locales.flatten(data), (value, key) => {
+            keys[`${namespace}:${key}`] = value;
+        });
+    });
+
+    return keys;
+}
+
+export function checkLanguage(reference, current) {
+    let referenceKeys = getKeys(reference);
+    let currentKeys = getKeys(current);
+
+    let result = {
+        missingNamespaces: Object.keys(reference).filter((namespace) => IsNil(current[namespace])),
+        extraNamespaces: Object.keys(current).filter((namespace) => IsNil(reference[namespace])),
+
+        missingKeys: [],
+        extraKeys: [],
+
+        placeholders: [],
+        empty: [],
+
+        total: Object.keys(referenceKeys).length,
+        translated: 0
+    };
+
+    // Compare with the reference language
+    ForEach(referenceKeys, (expected, key) => {
+        let value = currentKeys[key];
+
+        if(IsNil(value)) {
+            result.missingKeys.push(key);
+            return;
+        }
+
+        if(value === '') {
+            result.empty.push(key);
+            return;
+        }
+
+        // Ensure placeholders match
+        let expectedPlaceholders = Locales.getPlaceholders(expected);
+        let placeholders = Locales.getPlaceholders(value);
+
+        if(!IsEqual(expectedPlaceholders, placeholders)) {
+            result.placeholders.push({ key, expected: expectedPlaceholders, found: placeholders });
+        }
+
+        result.translated++;
+    });
+
+    // Find keys that don't exist in the reference language
+    result.extraKeys = Object.keys(currentKeys).filter((key) => IsNil(referenceKeys[key]));
+
+    return result;
+}
+
+export function getCompleteness({total, translated}) {
+    if(total < 1) {
+        return 100;
+    }
+
+    return Math.floor((translated / total) * 1000) / 10;
+}
+
+export function hasIssues(result) {
+    return (
+        result.missingNamespaces.length > 0 ||
+        result.extraNamespaces.length > 0 ||
+        result.missingKeys.length > 0 ||
+        result.extraKeys.length > 0 ||
+        result.placeholders.length > 0 ||
+        result.empty.length > 0
+    );
+}
+
+export function checkModule(module, referenceLanguage) {
+    let path = Locales.getLocalesPath(module);
+    let languages = Locales.getLanguages(path);
+
+    if(languages.length < 1) {
+        return Promise.resolve(null);
+    }
+
+    if(languages.indexOf(referenceLanguage) < 0) {
+        return Promise.reject(new Error(
+            `No "${referenceLanguage}" locales found (available: ${languages.join(', ')})`
+        ));
+    }
+
+    return Locales.readNamespaces(path, referenceLanguage).then((reference) =>
+        runSequential(languages, (language) =>
+            Locales.readNamespaces(path, language).then((current) => ({
+                language,
+
+                ...checkLanguage(reference, current)
+            }))
+        )
+    );
+}
+
+export function formatTable(results) {
+    let lines = [];
+
+    let moduleLength = Math.max(6, ...Map(results, ({module}) => module.length));
+    let languageLength = Math.max(8, ...Map(results, ({language}) => language.length));
+
+    lines.push(`${PadEnd('Module', moduleLength)}  ${PadEnd('Language', languageLength)}  ${[
+        PadStart('Complete', 8),
+        PadStart('Missing', 8),
+        PadStart('Extra', 8),
+        PadStart('Tokens', 8),
+        PadStart('Empty', 8)
+    ].join('  ')}`);
+
+    ForEach(results, (result) => {
+        lines.push(`${PadEnd(result.module, moduleLength)}  ${PadEnd(result.language, languageLength)}  ${[
+            PadStart(`${getCompleteness(result)}%`, 8),
+            PadStart(result.missingKeys.length, 8),
+            PadStart(result.extraKeys.length, 8),
+            PadStart(result.placeholders.length, 8),
+            PadStart(result.empty.length, 8)
+        ].join('  ')}`);
+    });
+
+    return lines;
+}
+
+function logIssues(log, {module, language, ...result}) {
+    let prefix = `[${PadEnd(module, 40)}](${language})`;
+
+    function warn(message) {
+        log.warn(Chalk.yellow(`${prefix} ${message}`));
+    }
+
+    ForEach(result.missingNamespaces, (namespace) => warn(`Missing namespace: ${namespace}`));
+    ForEach(result.extraNamespaces, (namespace) => warn(`Extra namespace: ${namespace}`));
+
+    ForEach(result.missingKeys, (key) => warn(`Missing key: ${key}`));
+    ForEach(result.extraKeys, (key) => warn(`Extra key: ${key}`));
+    ForEach(result.empty, (key) => warn(`Empty string: ${key}`));
+
+    ForEach(result.placeholders, ({key, expected, found}) => warn(
+        `Mismatched placeholders in ${key} (expected: [${expected.join(', ')}], found: [${found.join(', ')}])`
+    ));
+}
+
+export const Check = Task.create({
+    name: 'locales:check',
+    description: 'Check module locales for missing, extra and inconsistent strings.',
+
+    command: (cmd) => cmd
+        .option('--strict', 'Fail when any issues are found')
+}, (log, browser, environment, options) => {
+    let referenceLanguage = Config.get().locales.default;
+    let results = [];
+
+    // Check locales for each module
+    return runSequential(Values(browser.modules), (module) =>
+        checkModule(module, referenceLanguage).then((languages) => {
+            ForEach(languages, (result) => {
+                results.push({ module: module.name, ...result });
+            });
+        }, (err) => Promise.reject(new Error(
+            `[${module.name}] ${err.message}`
+        )))
+    ).then(() => {
+        if(results.length < 1) {
+            log.info('No locales found');
+            return results;
+        }
+
+        // Display issues
+        ForEach(results, (result) => logIssues(log, result));
+
+        // Display completeness table
+        ForEach(formatTable(results), (line) => log.info(line));
+
+        // Fail on issues (in strict mode)
+        let failed = results.filter(hasIssues);
+
+        if(options['strict'] && failed.length > 0) {
+            return Promise.reject(new Error(
+                `Found issues in ${failed.length} locale(s)`
+            ));
+        }
+
+        return results;
+    });
+}, {
+    'strict': false
+});
+
+export default Check;
@@ -0,0 +1,51 @@
+import {checkLanguage, getCompleteness} from './check';
+
+
+describe('Tasks', () => {
+    describe('locales:check', () => {
+        describe('checkLanguage', () => {
+            let reference = {
+                'common': {
+                    'title': 'Radon',
+
+                    'scrobble': {
+                        'count': 'Scrobbled {{count}} tracks',
+                        'error': 'Unable to scrobble'
+                    }
+                },
+
+                'options': {
+                    'save': 'Save'
+                }
+            };
+
+            it('should report missing, extra, empty and mismatched strings', () => {
+                let result = checkLanguage(reference, {
+                    'common': {
+                        'title': '',
+
+                        'scrobble': {
+                            'count': '{{total}} titres scrobblés',
+                            'retry': 'Réessayer'
+                        }
+                    }
+                });
+
+                expect(result.missingNamespaces).toEqual(['options']);
+                expect(result.missingKeys).toEqual(['common:scrobble.error', 'options:save']);
+                expect(result.extraKeys).toEqual(['common:scrobble.retry']);
+                expect(result.empty).toEqual(['common:title']);
+
+                expect(result.placeholders).toEqual([
+                    { key: 'common:scrobble.count', expected: ['{{count}}'], found: ['{{total}}'] }
+                ]);
+
+                expect(getCompleteness(result)).toBe(25);
+            });
+
+            it('should report complete languages', () => {
+                expect(getCompleteness(checkLanguage(reference, reference))).toBe(100);
+            });
+        });
+    });
+});
@@ -0,0 +1,5 @@
+import Import from '../../core/helpers/import';
+
+
+// Import children
+Import(__dirname);
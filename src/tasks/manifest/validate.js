@@ -0,0 +1,89 @@
+import Chalk from 'chalk';
+import Filesystem from 'fs-extra';
+import Glob from 'glob';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Path from 'path';
+import Process from 'process';
+
+import Schema from '../../core/schema';
+import Vorpal from '../../core/vorpal';
+import {runSequential} from '../../core/helpers/promise';
+
+
+const Logger = Vorpal.logger;
+
+export function findManifests(path) {
+    return Glob.sync('{build,extension,module}{,.*}.json', {
+        absolute: true,
+        cwd: path,
+        nodir: true
+    }).filter((path) =>
+        !IsNil(Schema.getSchemaName(path))
+    ).sort();
+}
+
+export function validateFile(path) {
+    let name = Schema.getSchemaName(path);
+
+    if(IsNil(name)) {
+        return Promise.resolve([
+            `${path}: unknown manifest (expected build.json, extension[.<channel>].json or module[.<browser>].json)`
+        ]);
+    }
+
+    return Filesystem.readJson(path).then((data) => Map(Schema.validate(name, data), (error) =>
+        Schema.formatError(error, path)
+    ), (err) => [
+        `${path}: ${err.message}`
+    ]);
+}
+
+// Command
+let cmd = Vorpal.command('manifest:validate [files...]', 'Validate extension, module and build manifests.')
+    .option('--debug', 'Enable debug messages')
+    .option('--target <target>', 'Target package [default: ./]');
+
+// Action
+cmd.action(({files, options}) => {
+    let target = Path.resolve(options.target || Process.cwd());
+
+    // Configure logger
+    if(options['debug']) {
+        Vorpal.logger.setFilter('debug');
+    }
+
+    // Resolve manifests
+    let paths = Map(files, (path) => Path.resolve(target, path));
+
+    if(paths.length < 1) {
+        paths = findManifests(target);
+    }
+
+    if(paths.length < 1) {
+        Logger.warn(Chalk.yellow(`No manifests found in "${target}"`));
+        return Promise.resolve();
+    }
+
+    let valid = true;
+
+    // Validate manifests
+    return runSequential(paths, (path) => validateFile(path).then((errors) => {
+        if(errors.length > 0) {
+            errors.forEach((message) => Logger.error(Chalk.red(message)));
+            valid = false;
+            return;
+        }
+
+        Logger.info(Chalk.green(`${Path.relative(target, path) || path}: valid`));
+    })).then(() => {
+        if(!valid) {
+            return Promise.reject(new Error('Validation failed'));
+        }
+
+        return true;
+    }).catch((err) => {
+        Logger.error(err.stack || err.message || err);
+        Process.exit(1);
+    });
+});
@@ -13,8 +13,8 @@ export const InstallModules = Task.create({
     name: 'module:install',
     description: 'Install modules.'
 }, (log, browser, environment) => {
-    if(environment.name !== 'development') {
-        return Promise.reject(new Error('Only development environments are supported'));
+    if(environment.release) {
+        return Promise.reject(new Error('Release environments are not supported'));
     }
 
     // Install modules
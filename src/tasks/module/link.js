@@ -12,8 +12,8 @@ export const LinkModules = Task.create({
     name: 'module:link',
     description: 'Link modules.'
 }, (log, browser, environment) => {
-    if(environment.name !== 'development') {
-        return Promise.reject(new Error('Only development environments are supported'));
+    if(environment.release) {
+        return Promise.reject(new Error('Release environments are not supported'));
     }
 
     // Link module requirements
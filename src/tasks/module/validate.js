@@ -123,8 +123,8 @@ export function validateModules(log, browser, environment, packageNode) {
 
         let path = module.path;
 
-        // Use module source in production environments (if available)
-        if(environment.name === 'production') {
+        // Use module source in release environments (if available)
+        if(environment.release) {
             let modulePath = Path.join(browser.extension.path, '.modules', `radon-extension-${module.key}`);
 
             if(!Filesystem.existsSync(modulePath)) {
@@ -8,7 +8,7 @@ import Remove from 'lodash/remove';
 import SemanticVersion from 'semver';
 import {detect as detectEditor} from 'open-in-editor/lib/editors/sublime';
 
-import {GithubApi} from '../../../core/github';
+import {GithubApi, getOwner} from '../../../core/github';
 import {runSequential} from '../../../core/helpers/promise';
 
 
@@ -32,7 +32,7 @@ function extractReleaseNotes(message) {
 
 function getReleaseNotes(module, tag) {
     return GithubApi.repos.getReleaseByTag({
-        owner: 'RadonApp',
+        owner: getOwner(),
         repo: `radon-extension-${module.key}`,
         tag
     }).then(({data}) => {
@@ -49,7 +49,8 @@ function getReleaseNotes(module, tag) {
 
         // Build release notes
         return (
-            `### [${module.name}](https://github.com/RadonApp/radon-extension-${module.key}/releases/tag/${tag})\n\n` +
+            `### [${module.name}]` +
+            `(https://github.com/${getOwner()}/radon-extension-${module.key}/releases/tag/${tag})\n\n` +
             `${body}`
         );
     }, () => {
@@ -104,13 +105,13 @@ export function createRelease(log, module, repository, tag, options) {
 
     // Resolve immediately for dry runs
     if(options.dryRun) {
-        log.info(`Creating release "${tag}" on "RadonApp/radon-extension-${module.key}" (skipped, dry run)`);
+        log.info(`Creating release "${tag}" on "${getOwner()}/radon-extension-${module.key}" (skipped, dry run)`);
         return Promise.resolve();
     }
 
     // Retrieve tag details
     return GithubApi.repos.getReleaseByTag({
-        owner: 'RadonApp',
+        owner: getOwner(),
         repo: `radon-extension-${module.key}`,
         tag
     }).catch(() => null).then((result) => {
@@ -129,7 +130,7 @@ export function createRelease(log, module, repository, tag, options) {
             .then((notes) => openEditor(module, notes))
             // Create release
             .then((notes) => GithubApi.repos.createRelease({
-                'owner': 'RadonApp',
+                'owner': getOwner(),
                 'repo': `radon-extension-${module.key}`,
 
                 'tag_name': tag,
@@ -152,13 +153,15 @@ export function updatePackageRelease(log, extension, repository, modules, tag, o
 
     // Resolve immediately for dry runs
     if(options.dryRun) {
-        log.info(`Updating package release "${tag}" on "RadonApp/radon-extension-${extension.key}" (skipped, dry run)`);
+        log.info(
+            `Updating package release "${tag}" on "${getOwner()}/radon-extension-${extension.key}" (skipped, dry run)`
+        );
         return Promise.resolve();
     }
 
     // Retrieve tag details
     return GithubApi.repos.getReleases({
-        'owner': 'RadonApp',
+        'owner': getOwner(),
         'repo': `radon-extension-${extension.key}`,
 
         'per_page': 5
@@ -195,7 +198,7 @@ export function updatePackageRelease(log, extension, repository, modules, tag, o
             .then((notes) => openEditor(extension, notes))
             // Update release notes
             .then((notes) => GithubApi.repos.editRelease({
-                'owner': 'RadonApp',
+                'owner': getOwner(),
                 'repo': `radon-extension-${extension.key}`,
                 'id': release.id,
 
@@ -216,12 +219,12 @@ export function updatePackageRelease(log, extension, repository, modules, tag, o
             log.debug(`[${extension.name}] Unable to parse error details: ${e}`);
 
             return Promise.reject(new Error(
-                `Unable to retrieve release notes for "${tag}" on "RadonApp/radon-extension-${extension.key}"`
+                `Unable to retrieve release notes for "${tag}" on "${getOwner()}/radon-extension-${extension.key}"`
             ));
         }
 
         return Promise.reject(new Error(
-            `Unable to retrieve release notes for "${tag}" on "RadonApp/radon-extension-${extension.key}"` +
+            `Unable to retrieve release notes for "${tag}" on "${getOwner()}/radon-extension-${extension.key}"` +
             `: ${details.message}`
         ));
     });
@@ -8,18 +8,14 @@ import SemanticVersion from 'semver';
 import SimpleGit from 'simple-git/promise';
 import Travis from 'travis-ci';
 
-import Github, {GithubApi} from '../../core/github';
+import Config, {DefaultConfig} from '../../core/config';
+import Github, {GithubApi, getOwner} from '../../core/github';
 import {Task} from '../../core/helpers';
 import {createRelease, updatePackageRelease} from './core/release';
 import {getPackages} from './core/helpers';
 import {runSequential} from '../../core/helpers/promise';
 
 
-const Remotes = [
-    'bitbucket',
-    'origin'
-];
-
 const travis = new Travis({
     version: '2.0.0'
 });
@@ -75,12 +71,12 @@ function getTravisStatus(log, module, ref, options) {
 
             log.debug(
                 `[${module.name}] (GitHub) Fetching the status of "${ref}" ` +
-                `in "RadonApp/radon-extension-${module.key}"...`
+                `in "${getOwner()}/radon-extension-${module.key}"...`
             );
 
             // Retrieve combined status for `ref`
             GithubApi.repos.getCombinedStatusForRef({
-                owner: 'RadonApp',
+                owner: getOwner(),
                 repo: `radon-extension-${module.key}`,
                 ref
             }).then(({data: {sha, statuses}}) => {
@@ -201,7 +197,7 @@ function awaitBuild(log, module, ref, options) {
 
     // Resolve immediately for dry runs
     if(options.dryRun) {
-        log.info(`Waiting for "${ref}" on "RadonApp/${module.name}" to finish building (skipped, dry run)`);
+        log.info(`Waiting for "${ref}" on "${getOwner()}/${module.name}" to finish building (skipped, dry run)`);
         return Promise.resolve('success');
     }
 
@@ -331,7 +327,7 @@ function pushRelease(log, browser, remotes, options) {
     if(IsString(remotes)) {
         remotes = [remotes];
     } else if(IsNil(remotes)) {
-        remotes = Remotes;
+        remotes = Config.get().release.remotes;
     } else if(!Array.isArray(remotes)) {
         return Promise.reject(`Invalid remotes: ${remotes}`);
     }
@@ -450,7 +446,7 @@ export const PushRelease = Task.create({
 
     command: (cmd) => (cmd
         .option('--dry-run', 'Don\'t execute any actions')
-        .option('--remote <remote>', 'Remote [default: all]', Remotes)
+        .option('--remote <remote>', 'Remote [default: all]', DefaultConfig.release.remotes)
     )
 }, (log, browser, environment, {remote, ...options}) => {
     // Ensure account is authenticated
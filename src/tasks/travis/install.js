@@ -7,6 +7,7 @@ import Path from 'path';
 import Process from 'process';
 import SemanticVersion from 'semver';
 
+import Config from '../../core/config';
 import Git from '../../core/git';
 import Github from '../../core/github';
 import Link from '../../core/link';
@@ -17,6 +18,10 @@ import {getPackageModules, writePackage, writePackageLocks} from '../../core/pac
 import {resolveOne, runSequential} from '../../core/helpers/promise';
 
 
+function getPrefix(repository, branch) {
+    return `[${Github.getOwner()}/${repository}#${branch}]`;
+}
+
 export function getBranches(ref) {
     if(['master', 'develop'].indexOf(ref) >= 0) {
         return [ref];
@@ -52,11 +57,11 @@ export function clone(target, branch, name) {
     // Install module
     return resolveOne(getBranches(branch), (branch) => Github.exists(name, branch).then(() => {
         Vorpal.logger.info(
-            `[RadonApp/${name}#${branch}] Cloning to "${Path.relative(Process.cwd(), localPath)}...`
+            `${getPrefix(name, branch)} Cloning to "${Path.relative(Process.cwd(), localPath)}...`
         );
 
         // Clone repository
-        return Git.clone(modulesPath, `https://github.com/RadonApp/${name}.git`, localPath, [
+        return Git.clone(modulesPath, `https://github.com/${Github.getOwner()}/${name}.git`, localPath, [
             '-b', branch
         ]).then(() => ({
             branch,
@@ -75,15 +80,15 @@ function link(target, branch, module) {
 
     // Clone repository for module
     return clone(target, branch, repository).then(({branch, localPath}) => {
-        Vorpal.logger.info(`[RadonApp/${repository}#${branch}] Installing dependencies...`);
+        Vorpal.logger.info(`${getPrefix(repository, branch)} Installing dependencies...`);
 
         // Install dependencies
         return Npm.install(localPath).then(
-            Npm.createHandler(Vorpal.logger, `[RadonApp/${repository}#${branch}]`)
+            Npm.createHandler(Vorpal.logger, getPrefix(repository, branch))
         ).then(() => {
             let linkPath = `${target}/node_modules/${module}`;
 
-            Vorpal.logger.info(`[RadonApp/${repository}#${branch}] "${linkPath}" -> "${localPath}"`);
+            Vorpal.logger.info(`${getPrefix(repository, branch)} "${linkPath}" -> "${localPath}"`);
 
             // Create link
             return Link.create(linkPath, localPath, [
@@ -92,7 +97,7 @@ function link(target, branch, module) {
             ]);
         });
     }).catch((err) => {
-        Vorpal.logger.warn(`[RadonApp/${repository}#${branch}] Error raised: ${err.message || err}`);
+        Vorpal.logger.warn(`${getPrefix(repository, branch)} Error raised: ${err.message || err}`);
         return Promise.reject(err);
     });
 }
@@ -114,7 +119,7 @@ function linkModuleDependencies(target, branch, modules) {
             return Promise.reject(new Error(`Unable to find module: ${moduleRepository}`));
         }
 
-        Vorpal.logger.info(`[RadonApp/${moduleRepository}#${branch}] Linking module dependencies...`);
+        Vorpal.logger.info(`${getPrefix(moduleRepository, branch)} Linking module dependencies...`);
 
         // Read "package.json" file
         return Filesystem.readJson(Path.join(modulePath, 'package.json')).then((pkg) => {
@@ -140,7 +145,7 @@ function linkModuleDependencies(target, branch, modules) {
 
                 let linkPath = Path.join(modulePath, 'node_modules', name);
 
-                Vorpal.logger.info(`[RadonApp/${moduleRepository}#${branch}] "${linkPath}" -> "${path}"`);
+                Vorpal.logger.info(`${getPrefix(moduleRepository, branch)} "${linkPath}" -> "${path}"`);
 
                 // Create link to module
                 return Link.create(linkPath, path, [
@@ -149,7 +154,7 @@ function linkModuleDependencies(target, branch, modules) {
                 ]);
             });
         }).catch((err) => {
-            Vorpal.logger.warn(`[RadonApp/${moduleRepository}#${branch}] Error raised: ${err.message || err}`);
+            Vorpal.logger.warn(`${getPrefix(moduleRepository, branch)} Error raised: ${err.message || err}`);
             return Promise.reject(err);
         });
     });
@@ -165,35 +170,35 @@ function pack(target, branch, module) {
 
     // Clone repository for module
     return clone(target, branch, repository).then(({branch, localPath}) => {
-        Vorpal.logger.info(`[RadonApp/${repository}#${branch}] Installing dependencies...`);
+        Vorpal.logger.info(`${getPrefix(repository, branch)} Installing dependencies...`);
 
         // Install dependencies
         return Npm.install(localPath).then(
-            Npm.createHandler(Vorpal.logger, `[RadonApp/${repository}#${branch}]`)
+            Npm.createHandler(Vorpal.logger, getPrefix(repository, branch))
         ).then(() => {
             // Clean repository
             return Git.clean(localPath).then((status) => {
                 if(!status) {
-                    Vorpal.logger.warn(Chalk.yellow(`[RadonApp/${repository}#${branch}] Invalid repository status`));
+                    Vorpal.logger.warn(Chalk.yellow(`${getPrefix(repository, branch)} Invalid repository status`));
                 }
 
                 if(status.files.length > 0) {
-                    Vorpal.logger.warn(Chalk.yellow(`[RadonApp/${repository}#${branch}] Repository is dirty`));
+                    Vorpal.logger.warn(Chalk.yellow(`${getPrefix(repository, branch)} Repository is dirty`));
 
                     // List files
                     for(let i = 0; i < status.files.length; i++) {
                         Vorpal.logger.warn(Chalk.yellow(
-                            `[RadonApp/${repository}#${branch}] - ${status.files[i].path}`
+                            `${getPrefix(repository, branch)} - ${status.files[i].path}`
                         ));
                     }
                 }
             }, (err) => {
                 Vorpal.logger.warn(Chalk.yellow(
-                    `[RadonApp/${repository}#${branch}] Unable to retrieve repository status`, err
+                    `${getPrefix(repository, branch)} Unable to retrieve repository status`, err
                 ));
             });
         }).then(() => {
-            Vorpal.logger.info(`[RadonApp/${repository}#${branch}] Packing module...`);
+            Vorpal.logger.info(`${getPrefix(repository, branch)} Packing module...`);
 
             // Pack module
             return Npm.pack(target, localPath).then(({stdout, stderr}) => {
@@ -209,10 +214,10 @@ function pack(target, branch, module) {
 
                 Npm.writeLines(Vorpal.logger, stderr, {
                     defaultColour: 'cyan',
-                    prefix: `[RadonApp/${repository}#${branch}]`
+                    prefix: getPrefix(repository, branch)
                 });
 
-                Vorpal.logger.info(Chalk.green(`[RadonApp/${repository}#${branch}] ${file}`));
+                Vorpal.logger.info(Chalk.green(`${getPrefix(repository, branch)} ${file}`));
 
                 return file;
             }).then((file) => ({
@@ -220,7 +225,7 @@ function pack(target, branch, module) {
             }));
         });
     }).catch((err) => {
-        Vorpal.logger.warn(`[RadonApp/${repository}#${branch}] Error raised: ${err.message || err}`);
+        Vorpal.logger.warn(`${getPrefix(repository, branch)} Error raised: ${err.message || err}`);
         return Promise.reject(err);
     });
 }
@@ -327,8 +332,13 @@ cmd.action(({branch, options}) => {
     let target = Path.resolve(options.target || Process.cwd());
 
     // Run task
-    return install(target, branch, options).catch((err) => {
-        Vorpal.logger.error(err.stack || err.message || err);
-        Process.exit(1);
-    });
+    return Promise.resolve()
+        // Load project configuration
+        .then(() => Config.load(target))
+        // Install modules
+        .then(() => install(target, branch, options))
+        .catch((err) => {
+            Vorpal.logger.error(err.stack || err.message || err);
+            Process.exit(1);
+        });
 });
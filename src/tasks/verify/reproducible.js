@@ -0,0 +1,185 @@
+import ChildProcess from 'child_process';
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import Os from 'os';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+
+import Checksum from '../../core/checksum';
+import Config from '../../core/config';
+import Npm from '../../core/npm';
+import {Task} from '../../core/helpers';
+import {emitLines} from '../../core/helpers/stream';
+import {extractZip, readEntries} from '../../core/zip';
+import {getBuildPath} from '../../core/environment';
+import {ensureArchives, getReleaseArchivePath} from '../archive/release';
+import {getSourceArchivePath} from '../archive/source';
+
+
+export const BuilderPackage = '@radon-extension/build';
+
+export function compareChecksums(previous, current) {
+    return Uniq([...Object.keys(previous), ...Object.keys(current)]).sort().filter((name) =>
+        previous[name] !== current[name]
+    ).map((name) => ({
+        name,
+
+        previous: previous[name] || null,
+        current: current[name] || null
+    }));
+}
+
+export function getArchiveChecksums(path, algorithm) {
+    return readEntries(path).then((entries) => {
+        let result = {};
+
+        ForEach(entries, ({name, data}) => {
+            result[name] = Crypto.createHash(algorithm).update(data).digest('hex');
+        });
+
+        return result;
+    });
+}
+
+export function getBuilderPath(sourcePath) {
+    return Path.join(sourcePath, 'node_modules', BuilderPackage, 'lib', 'index.js');
+}
+
+function installSources(log, sourcePath) {
+    log.info(`Installing dependencies in "${sourcePath}"...`);
+
+    return Npm.spawn(sourcePath, ['ci'], {
+        logger: log,
+        prefix: '[npm] '
+    }).catch((err) => Promise.reject(new Error(
+        `Unable to install dependencies: ${err.message}`
+    )));
+}
+
+function runBuild(log, browser, environment, sourcePath, releasePath) {
+    let builderPath = getBuilderPath(sourcePath);
+
+    if(!Filesystem.existsSync(builderPath)) {
+        return Promise.reject(new Error(
+            `Unable to find "${BuilderPackage}" in the source archive dependencies`
+        ));
+    }
+
+    let buildDir = Path.join(sourcePath, 'build');
+
+    let args = [
+        builderPath,
+        'build',
+        '--browser', browser.name,
+        '--environment', environment.name,
+        '--package-dir', sourcePath,
+        '--build-dir', buildDir,
+
+        // Permissions were checked by the original build, so compare with the release (there are no changes)
+        '--previous-release', releasePath
+    ];
+
+    log.info(`Building extension in "${buildDir}"...`);
+
+    return new Promise((resolve, reject) => {
+        let proc = ChildProcess.spawn(process.execPath, args, {
+            cwd: sourcePath,
+
+            env: {
+                ...process.env,
+
+                // Use the original archive timestamp (source archives don't include the repository)
+                'SOURCE_DATE_EPOCH': String(Math.floor(new Date(environment.sourceDate).getTime() / 1000))
+            }
+        });
+
+        // Listen for "error" events
+        proc.on('error', (err) => {
+            reject(new Error(`Unable to start build: ${(err && err.message) ? err.message : err}`));
+        });
+
+        // Listen for "close" events
+        proc.on('close', (code) => {
+            if(code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`Build exited with code: ${code}`));
+            }
+        });
+
+        // Write build output to logger
+        emitLines(proc.stdout);
+        emitLines(proc.stderr);
+
+        proc.stdout.on('line', (line) => log.debug(line));
+        proc.stderr.on('line', (line) => log.debug(line));
+    }).then(() =>
+        Path.join(getBuildPath(environment, browser, { 'build-dir': buildDir }), 'unpacked')
+    );
+}
+
+export const Reproducible = Task.create({
+    name: 'verify:reproducible',
+    description: 'Rebuild the extension from the source archive and ensure it matches the release archive.'
+}, (log, browser, environment) => {
+    let algorithm = Config.get().checksums.algorithms[0];
+
+    let releasePath = getReleaseArchivePath(browser, environment);
+    let sourceArchivePath = getSourceArchivePath(browser, environment);
+
+    let sourcePath = null;
+
+    return ensureArchives([releasePath, sourceArchivePath])
+        // Extract source archive
+        .then(() => Filesystem.mkdtemp(Path.join(Os.tmpdir(), 'radon-reproducible-')))
+        .then((path) => {
+            sourcePath = path;
+
+            log.info(`Extracting "${Path.basename(sourceArchivePath)}" to "${sourcePath}"...`);
+
+            return extractZip(sourceArchivePath, sourcePath);
+        })
+        // Install dependencies, and build extension from the extracted sources
+        .then(() => installSources(log, sourcePath))
+        .then(() => runBuild(log, browser, environment, sourcePath, releasePath))
+        // Compare the rebuilt extension with the release archive
+        .then((outputPath) => Promise.all([
+            getArchiveChecksums(releasePath, algorithm),
+            Checksum.calculateMany(outputPath, '**/*', algorithm)
+        ]))
+        .then(([previous, current]) => {
+            if(Object.keys(previous).length < 1) {
+                return Promise.reject(new Error(`No files found in "${releasePath}"`));
+            }
+
+            let differences = compareChecksums(previous, current);
+
+            if(differences.length > 0) {
+                ForEach(differences, ({name, previous, current}) => {
+                    log.error(`${name} (${IsNil(previous) ? 'missing' : previous} != ${
+                        IsNil(current) ? 'missing' : current
+                    })`);
+                });
+
+                return Promise.reject(new Error(
+                    `Release archive can't be reproduced from the source archive (${differences.length} file(s) differ)`
+                ));
+            }
+
+            log.info(`Release archive is reproducible (${Object.keys(previous).length} file(s) match)`);
+            return current;
+        })
+        // Remove extracted sources
+        .then((result) => Filesystem.remove(sourcePath).then(() => result), (err) => {
+            if(IsNil(sourcePath)) {
+                return Promise.reject(err);
+            }
+
+            log.info(`Sources kept in "${sourcePath}" for inspection`);
+            return Promise.reject(err);
+        });
+});
+
+export default Reproducible;
@@ -0,0 +1,69 @@
+import Crypto from 'crypto';
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {compareChecksums, getArchiveChecksums, getBuilderPath} from './reproducible';
+import {createZip} from '../../core/zip';
+
+
+describe('Tasks', () => {
+    describe('verify:reproducible', () => {
+        let path;
+
+        beforeEach(() => {
+            path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-reproducible-'));
+        });
+
+        afterEach(() => {
+            Filesystem.removeSync(path);
+        });
+
+        describe('compareChecksums', () => {
+            it('should return changed, missing and added files', () => {
+                expect(compareChecksums({
+                    'manifest.json': 'a',
+                    'background.js': 'b',
+                    'removed.js': 'c'
+                }, {
+                    'manifest.json': 'a',
+                    'background.js': 'd',
+                    'added.js': 'e'
+                })).toEqual([
+                    { name: 'added.js', previous: null, current: 'e' },
+                    { name: 'background.js', previous: 'b', current: 'd' },
+                    { name: 'removed.js', previous: 'c', current: null }
+                ]);
+            });
+        });
+
+        describe('getArchiveChecksums', () => {
+            it('should return the checksums of the archive files', () => {
+                Filesystem.outputFileSync(Path.join(path, 'unpacked/manifest.json'), '{}');
+                Filesystem.outputFileSync(Path.join(path, 'unpacked/Background/Main.js'), 'main();');
+
+                return createZip({
+                    archive: Path.join(path, 'release.zip'),
+
+                    source: Path.join(path, 'unpacked'),
+                    pattern: '**/*',
+
+                    mtime: '2018-01-01T00:00:00Z'
+                }).then(() => getArchiveChecksums(Path.join(path, 'release.zip'), 'sha256')).then((checksums) => {
+                    expect(checksums).toEqual({
+                        'Background/Main.js': Crypto.createHash('sha256').update('main();').digest('hex'),
+                        'manifest.json': Crypto.createHash('sha256').update('{}').digest('hex')
+                    });
+                });
+            });
+        });
+
+        describe('getBuilderPath', () => {
+            it('should return the builder installed by the source archive', () => {
+                expect(getBuilderPath(path)).toBe(
+                    Path.join(path, 'node_modules/@radon-extension/build/lib/index.js')
+                );
+            });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import Chalk from 'chalk';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import Map from 'lodash/map';
+import Max from 'lodash/max';
+import PadEnd from 'lodash/padEnd';
+import PadStart from 'lodash/padStart';
+
+import {formatSize, parseSize} from '../core/size';
+
+
+function createChunkRegExp(pattern) {
+    // Escape regular expression tokens (except `*`)
+    pattern = pattern.replace(/[\-\[\]\/\{\}\(\)\+\?\.\\\^\$\|]/g, '\\$&');
+
+    // Replace `*` with a single path segment
+    return new RegExp(`^${pattern.replace(/\*/g, '[^/]*')}$`);
+}
+
+export function getChunkSizes(stats) {
+    let sizes = {};
+
+    ForEach(stats.assets, (asset) => {
+        // Ignore source maps
+        if(asset.name.endsWith('.map')) {
+            return;
+        }
+
+        ForEach(asset.chunkNames, (name) => {
+            sizes[name] = (sizes[name] || 0) + asset.size;
+        });
+    });
+
+    return sizes;
+}
+
+export function checkBudgets(sizes, budgets) {
+    let results = [];
+
+    ForEach(budgets, (budget, pattern) => {
+        let re = createChunkRegExp(pattern);
+
+        ForEach(Object.keys(sizes).sort(), (name) => {
+            if(!re.test(name)) {
+                return;
+            }
+
+            let limit = parseSize(budget);
+
+            results.push({
+                name,
+                pattern,
+
+                size: sizes[name],
+                budget: limit,
+
+                exceeded: sizes[name] > limit
+            });
+        });
+    });
+
+    return results;
+}
+
+export function formatBudgets(results) {
+    let nameLength = Max([5, ...Map(results, ({name}) => name.length)]);
+
+    return [
+        `${PadEnd('Chunk', nameLength)}  ${PadStart('Size', 10)}  ${PadStart('Budget', 10)}`,
+
+        ...Map(results, ({name, size, budget, exceeded}) => {
+            let line = [
+                PadEnd(name, nameLength),
+                PadStart(formatSize(size), 10),
+                PadStart(formatSize(budget), 10)
+            ].join('  ');
+
+            if(!exceeded) {
+                return Chalk.green(line);
+            }
+
+            return Chalk.red(`${line} (exceeded by ${formatSize(size - budget)})`);
+        })
+    ];
+}
+
+export function validateBudgets(log, environment, stats) {
+    let budgets = environment.webpack.budgets;
+
+    if(IsNil(budgets) || Object.keys(budgets).length < 1) {
+        return [];
+    }
+
+    // Check chunk sizes
+    let results = checkBudgets(getChunkSizes(stats), budgets);
+
+    if(results.length < 1) {
+        log.warn('No chunks matched the configured size budgets');
+        return [];
+    }
+
+    // Display results
+    ForEach(formatBudgets(results), (line) => {
+        log.info(line);
+    });
+
+    return results.filter(({exceeded}) => exceeded);
+}
+
+export default {
+    checkBudgets,
+    formatBudgets,
+    getChunkSizes,
+    validateBudgets
+};
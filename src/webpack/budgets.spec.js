@@ -0,0 +1,53 @@
+import {checkBudgets, getChunkSizes} from './budgets';
+
+
+describe('Webpack', () => {
+    describe('Budgets', () => {
+        describe('getChunkSizes', () => {
+            it('should sum asset sizes for each chunk (excluding source maps)', () => {
+                expect(getChunkSizes({
+                    assets: [
+                        { name: 'Application.js', size: 1000, chunkNames: ['Application'] },
+                        { name: 'Application.css', size: 200, chunkNames: ['Application'] },
+                        { name: 'Application.js.map', size: 5000, chunkNames: ['Application'] },
+                        { name: 'Common.js', size: 300, chunkNames: ['Common'] }
+                    ]
+                })).toEqual({
+                    'Application': 1200,
+                    'Common': 300
+                });
+            });
+        });
+
+        describe('checkBudgets', () => {
+            it('should match chunks with wildcard patterns', () => {
+                expect(checkBudgets({
+                    'Application': 1200,
+                    'Plugins/netflix/Main': 600,
+                    'Plugins/lastfm/Main': 400
+                }, {
+                    'Plugins/*/Main': '0.5 KB'
+                })).toEqual([
+                    {
+                        name: 'Plugins/lastfm/Main',
+                        pattern: 'Plugins/*/Main',
+
+                        size: 400,
+                        budget: 500,
+
+                        exceeded: false
+                    },
+                    {
+                        name: 'Plugins/netflix/Main',
+                        pattern: 'Plugins/*/Main',
+
+                        size: 600,
+                        budget: 500,
+
+                        exceeded: true
+                    }
+                ]);
+            });
+        });
+    });
+});
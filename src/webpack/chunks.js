@@ -9,8 +9,10 @@ import Merge from 'lodash/merge';
 import Path from 'path';
 import SortBy from 'lodash/sortBy';
 
+import Config from '../core/config';
+import Reload from '../core/reload';
 import Vorpal from '../core/vorpal';
-import {Services, ServiceIds, ServiceOptions} from '../core/constants';
+import {Services} from '../core/constants';
 import {resolvePath} from '../core/helpers/path';
 
 
@@ -21,7 +23,7 @@ function parseServiceId(id) {
     let type = null;
 
     // Ensure service exists
-    if(ServiceIds.indexOf(id) < 0) {
+    if(Config.get().services.ids.indexOf(id) < 0) {
         return { name, type };
     }
 
@@ -119,7 +121,9 @@ function getModuleServices(browser, environment, module) {
         }
 
         // Ignore excluded services
-        if(ServiceOptions[id] && ServiceOptions[id].include === false) {
+        let serviceOptions = Config.get().services.options[id];
+
+        if(serviceOptions && serviceOptions.include === false) {
             continue;
         }
 
@@ -161,6 +165,18 @@ function getModuleServices(browser, environment, module) {
     return items;
 }
 
+function getReloadClient(browser, environment) {
+    if(!Reload.isEnabled(environment)) {
+        return [];
+    }
+
+    let query = `port=${environment.options['reload-port']}&browser=${encodeURIComponent(browser.name)}`;
+
+    return [
+        `${Path.resolve(__dirname, 'reload/client.js')}?${query}`
+    ];
+}
+
 function createModule(browser, environment, module) {
     return {
         [`Plugins/${module.id}/Main`]: [
@@ -226,6 +242,7 @@ export function createChunks(browser, environment) {
         'Background/Messaging': [
             ...browser.webpack.common,
             ...getServices(modules, Services.Configuration),
+            ...getReloadClient(browser, environment),
 
             '@radon-extension/core/Messaging'
         ],
@@ -16,6 +16,7 @@ import PickBy from 'lodash/pickBy';
 import SortBy from 'lodash/sortBy';
 import Webpack from 'webpack';
 
+import Config from '../core/config';
 import Validator from './validator';
 import Vorpal from '../core/vorpal';
 import {createChunks} from './chunks';
@@ -362,9 +363,9 @@ export function createConfiguration(browser, environment) {
                 {
                     test: /\.js$/,
                     include: [
-                        Filesystem.realpathSync(Path.resolve(browser.path, 'node_modules/foundation-sites')),
-                        Filesystem.realpathSync(Path.resolve(browser.path, 'node_modules/lodash-es')),
-                        Filesystem.realpathSync(Path.resolve(browser.path, 'node_modules/wes')),
+                        ...Map(Config.get().webpack.include, (name) =>
+                            Filesystem.realpathSync(Path.resolve(browser.path, 'node_modules', name))
+                        ),
 
                         ...getBabelPaths(browser)
                     ],
@@ -507,8 +508,11 @@ export function createConfiguration(browser, environment) {
                 }),
 
                 'process.env': {
-                    'NODE_ENV': JSON.stringify(environment.name)
-                }
+                    'NODE_ENV': JSON.stringify(environment.nodeEnv || environment.name)
+                },
+
+                // Environment definitions
+                ...MapValues(environment.define, (value) => JSON.stringify(value))
             }),
 
             //
@@ -561,9 +565,7 @@ export function createConfiguration(browser, environment) {
         ],
 
         externals: {
-            'jquery': 'jQuery',
-            'react': 'React',
-            'react-dom': 'ReactDOM'
+            ...Config.get().webpack.externals
         },
 
         resolve: {
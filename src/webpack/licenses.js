@@ -0,0 +1,209 @@
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import IsString from 'lodash/isString';
+import Map from 'lodash/map';
+import Uniq from 'lodash/uniq';
+
+import {getModuleResource, getPackagePath} from './packages';
+import Validator from './validator';
+
+
+export function parseLicenseExpression(expression) {
+    if(!IsString(expression) || expression.trim().length < 1) {
+        return null;
+    }
+
+    let ids = Uniq(expression.replace(/[()]/g, ' ').split(/\s+(?:OR|AND)\s+/).map((id) =>
+        id.trim().replace(/\s+WITH\s+.+$/, '')
+    ).filter((id) => id.length > 0));
+
+    return {
+        // Mixed expressions are treated as conjunctions (every license must be permitted)
+        conjunction: /\sAND\s/.test(expression),
+        ids
+    };
+}
+
+const LicenseIdRegex = /^(DocumentRef-[A-Za-z0-9.\-]+:)?(LicenseRef-)?[A-Za-z0-9.\-]+\+?$/;
+const LicenseOperators = ['AND', 'OR', 'WITH'];
+
+function isLicenseId(token) {
+    if(IsNil(token) || LicenseOperators.indexOf(token) >= 0 || token === 'UNLICENSED') {
+        return false;
+    }
+
+    return LicenseIdRegex.test(token);
+}
+
+export function isLicenseExpression(expression) {
+    if(!IsString(expression)) {
+        return false;
+    }
+
+    let tokens = expression.replace(/([()])/g, ' $1 ').trim().split(/\s+/);
+    let position = 0;
+
+    function parseExpression() {
+        let next = true;
+
+        while(next) {
+            if(tokens[position] === '(') {
+                // Compound expression
+                position++;
+
+                if(!parseExpression() || tokens[position] !== ')') {
+                    return false;
+                }
+
+                position++;
+            } else {
+                // License (with an optional exception)
+                if(!isLicenseId(tokens[position])) {
+                    return false;
+                }
+
+                position++;
+
+                if(tokens[position] === 'WITH') {
+                    if(!isLicenseId(tokens[position + 1])) {
+                        return false;
+                    }
+
+                    position += 2;
+                }
+            }
+
+            // Continue with the next operand
+            next = tokens[position] === 'AND' || tokens[position] === 'OR';
+
+            if(next) {
+                position++;
+            }
+        }
+
+        return true;
+    }
+
+    return parseExpression() && position === tokens.length;
+}
+
+export function isPolicyEnabled(policy) {
+    return !IsNil(policy) && (policy.allow.length > 0 || policy.deny.length > 0);
+}
+
+function isLicenseAllowed(policy, id) {
+    if(policy.deny.indexOf(id) >= 0) {
+        return false;
+    }
+
+    return policy.allow.length < 1 || policy.allow.indexOf(id) >= 0;
+}
+
+export function checkLicense(policy, pkg) {
+    let override = policy.overrides[pkg.name];
+    let license = pkg.license;
+
+    // Package explicitly permitted
+    if(override === true) {
+        return { status: 'allowed', license, override: true };
+    }
+
+    // Package license overridden
+    if(IsString(override)) {
+        license = override;
+    }
+
+    let expression = parseLicenseExpression(license);
+
+    if(IsNil(expression)) {
+        return { status: 'unknown', license: null, override: IsString(override) };
+    }
+
+    let allowed = Map(expression.ids, (id) => isLicenseAllowed(policy, id));
+
+    return {
+        status: (expression.conjunction ? allowed.every(Boolean) : allowed.some(Boolean)) ? 'allowed' : 'denied',
+        license,
+        override: IsString(override)
+    };
+}
+
+export function checkLicenses(policy, packages) {
+    return Map(packages, (pkg) => ({
+        ...pkg,
+        ...checkLicense(policy, pkg)
+    }));
+}
+
+function getModuleGraph(stats) {
+    let modules = {};
+
+    function get(identifier) {
+        if(IsNil(modules[identifier])) {
+            modules[identifier] = {
+                userRequest: getModuleResource(identifier),
+                reasons: []
+            };
+        }
+
+        return modules[identifier];
+    }
+
+    function add(items) {
+        ForEach(items, (item) => {
+            get(item.identifier).reasons = Map(item.reasons, (reason) => ({
+                module: !IsNil(reason.moduleIdentifier) ? get(reason.moduleIdentifier) : null
+            }));
+
+            // Include concatenated modules
+            add(item.modules);
+        });
+    }
+
+    add(stats.modules);
+
+    return modules;
+}
+
+export function getPackageModules(browser, environment, stats) {
+    let result = {};
+
+    ForEach(getModuleGraph(stats), (module) => {
+        let path = !IsNil(module.userRequest) ? getPackagePath(module.userRequest) : null;
+
+        if(IsNil(path)) {
+            return;
+        }
+
+        // Add modules that required the package (directly, or through other packages)
+        ForEach(Validator.resolveReasons(browser, environment, module), ({source}) => {
+            let match = Validator.resolveModule(browser, source, { dependencies: false });
+
+            if(!IsNil(match)) {
+                result[path] = Uniq([...(result[path] || []), match.name]).sort();
+            }
+        });
+    });
+
+    return result;
+}
+
+export function formatLicenseResult({name, version, license, status, modules = []}) {
+    let result = `[${name}@${version}] ${license || 'UNKNOWN'} (${status})`;
+
+    if(modules.length > 0) {
+        result += ` required by: ${modules.join(', ')}`;
+    }
+
+    return result;
+}
+
+export default {
+    checkLicense,
+    checkLicenses,
+    formatLicenseResult,
+    getPackageModules,
+    isLicenseExpression,
+    isPolicyEnabled,
+    parseLicenseExpression
+};
@@ -0,0 +1,174 @@
+import Path from 'path';
+
+import {
+    checkLicense,
+    formatLicenseResult,
+    getPackageModules,
+    isLicenseExpression,
+    parseLicenseExpression
+} from './licenses';
+
+
+describe('Webpack', () => {
+    describe('Licenses', () => {
+        let policy = {
+            allow: ['MIT', 'ISC', 'GPL-3.0'],
+            deny: ['AGPL-3.0'],
+
+            overrides: {
+                'legacy': 'MIT',
+                'internal': true
+            }
+        };
+
+        describe('parseLicenseExpression', () => {
+            it('should parse SPDX expressions', () => {
+                expect(parseLicenseExpression('(MIT OR Apache-2.0)')).toEqual({
+                    conjunction: false,
+                    ids: ['MIT', 'Apache-2.0']
+                });
+
+                expect(parseLicenseExpression('GPL-2.0 WITH Classpath-exception-2.0 AND MIT')).toEqual({
+                    conjunction: true,
+                    ids: ['GPL-2.0', 'MIT']
+                });
+
+                expect(parseLicenseExpression('')).toBeNull();
+            });
+        });
+
+        describe('isLicenseExpression', () => {
+            it('should accept valid SPDX expressions', () => {
+                expect(isLicenseExpression('MIT')).toBe(true);
+                expect(isLicenseExpression('GPL-2.0+')).toBe(true);
+                expect(isLicenseExpression('(MIT OR Apache-2.0)')).toBe(true);
+                expect(isLicenseExpression('GPL-2.0 WITH Classpath-exception-2.0 AND (MIT OR ISC)')).toBe(true);
+                expect(isLicenseExpression('LicenseRef-Custom')).toBe(true);
+            });
+
+            it('should reject invalid SPDX expressions', () => {
+                expect(isLicenseExpression(null)).toBe(false);
+                expect(isLicenseExpression('')).toBe(false);
+                expect(isLicenseExpression('SEE LICENSE IN LICENSE.md')).toBe(false);
+                expect(isLicenseExpression('UNLICENSED')).toBe(false);
+                expect(isLicenseExpression('(MIT OR')).toBe(false);
+                expect(isLicenseExpression('MIT AND')).toBe(false);
+                expect(isLicenseExpression('MIT WITH')).toBe(false);
+                expect(isLicenseExpression('(MIT))')).toBe(false);
+            });
+        });
+
+        describe('checkLicense', () => {
+            it('should allow licenses in the allow list', () => {
+                expect(checkLicense(policy, { name: 'uuid', license: 'MIT' }).status).toBe('allowed');
+                expect(checkLicense(policy, { name: 'dual', license: '(MIT OR Apache-2.0)' }).status).toBe('allowed');
+            });
+
+            it('should deny licenses that are denied or not allowed', () => {
+                expect(checkLicense(policy, { name: 'server', license: 'AGPL-3.0' }).status).toBe('denied');
+                expect(checkLicense(policy, { name: 'both', license: 'MIT AND Apache-2.0' }).status).toBe('denied');
+            });
+
+            it('should report unknown licenses', () => {
+                expect(checkLicense(policy, { name: 'unknown', license: null }).status).toBe('unknown');
+            });
+
+            it('should apply package overrides', () => {
+                expect(checkLicense(policy, { name: 'legacy', license: null })).toEqual({
+                    status: 'allowed',
+                    license: 'MIT',
+                    override: true
+                });
+
+                expect(checkLicense(policy, { name: 'internal', license: 'UNLICENSED' }).status).toBe('allowed');
+            });
+        });
+
+        describe('getPackageModules', () => {
+            let root = Path.resolve('/radon');
+
+            let browser = {
+                name: 'chrome',
+
+                modules: {
+                    '@radon-extension/plugin-example': {
+                        name: '@radon-extension/plugin-example',
+                        path: Path.join(root, 'plugin-example')
+                    }
+                }
+            };
+
+            let environment = { name: 'development' };
+
+            function getPath(...parts) {
+                return Path.join(root, ...parts);
+            }
+
+            it('should return the modules that required packages directly', () => {
+                expect(getPackageModules(browser, environment, {
+                    modules: [
+                        {
+                            identifier: getPath('node_modules/lodash/index.js'),
+                            reasons: [{ moduleIdentifier: `babel-loader!${getPath('plugin-example/src/index.js')}` }]
+                        }
+                    ]
+                })).toEqual({
+                    [getPath('node_modules/lodash')]: ['@radon-extension/plugin-example']
+                });
+            });
+
+            it('should return the modules that required packages through other packages', () => {
+                expect(getPackageModules(browser, environment, {
+                    modules: [
+                        {
+                            identifier: getPath('node_modules/querystring/index.js'),
+                            reasons: [{ moduleIdentifier: getPath('node_modules/url/url.js') }]
+                        },
+                        {
+                            identifier: getPath('node_modules/url/url.js'),
+                            reasons: [
+                                { moduleIdentifier: getPath('node_modules/url/util.js') },
+                                { moduleIdentifier: getPath('plugin-example/src/api.js') }
+                            ]
+                        },
+                        {
+                            identifier: getPath('node_modules/url/util.js'),
+                            reasons: [{ moduleIdentifier: getPath('node_modules/url/url.js') }]
+                        }
+                    ]
+                })).toEqual({
+                    [getPath('node_modules/querystring')]: ['@radon-extension/plugin-example'],
+                    [getPath('node_modules/url')]: ['@radon-extension/plugin-example']
+                });
+            });
+
+            it('should ignore packages that without a requiring module', () => {
+                expect(getPackageModules(browser, environment, {
+                    modules: [
+                        {
+                            identifier: getPath('node_modules/webpack/buildin/global.js'),
+                            reasons: [{ moduleIdentifier: getPath('node_modules/lodash/index.js') }]
+                        },
+                        {
+                            identifier: getPath('node_modules/lodash/index.js'),
+                            reasons: []
+                        }
+                    ]
+                })).toEqual({});
+            });
+        });
+
+        describe('formatLicenseResult', () => {
+            it('should include the modules that required the package', () => {
+                expect(formatLicenseResult({
+                    name: 'server',
+                    version: '1.0.0',
+                    license: 'AGPL-3.0',
+                    status: 'denied',
+
+                    modules: ['@radon-extension/destination-lastfm']
+                })).toBe('[server@1.0.0] AGPL-3.0 (denied) required by: @radon-extension/destination-lastfm');
+            });
+        });
+    });
+});
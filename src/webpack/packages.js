@@ -0,0 +1,198 @@
+import Filesystem from 'fs-extra';
+import ForEach from 'lodash/forEach';
+import IsNil from 'lodash/isNil';
+import IsPlainObject from 'lodash/isPlainObject';
+import IsString from 'lodash/isString';
+import Map from 'lodash/map';
+import Path from 'path';
+import Uniq from 'lodash/uniq';
+import UniqBy from 'lodash/uniqBy';
+
+
+export const LicenseFileRegex = /^(licen[cs]e|copying)(\.(md|markdown|txt))?$/i;
+
+export function getModuleResource(identifier) {
+    if(!IsString(identifier)) {
+        return null;
+    }
+
+    // Remove loaders (e.g. "babel-loader!/path/to/module.js")
+    let path = identifier.substring(identifier.lastIndexOf('!') + 1);
+
+    // Remove query string
+    if(path.indexOf('?') >= 0) {
+        path = path.substring(0, path.indexOf('?'));
+    }
+
+    // Remove concatenated module suffix (e.g. "/path/to/module.js + 4 modules")
+    path = path.replace(/ \+ \d+ modules?$/, '');
+
+    if(!Path.isAbsolute(path)) {
+        return null;
+    }
+
+    return path;
+}
+
+export function getModuleResources(stats) {
+    let paths = [];
+
+    function add(modules) {
+        ForEach(modules, (module) => {
+            let path = getModuleResource(module.identifier);
+
+            if(!IsNil(path)) {
+                paths.push(path);
+            }
+
+            // Include concatenated modules
+            add(module.modules);
+        });
+    }
+
+    add(stats.modules);
+
+    return Uniq(paths).sort();
+}
+
+export function getPackagePath(path) {
+    let parts = Path.normalize(path).split(Path.sep);
+    let index = parts.lastIndexOf('node_modules');
+
+    if(index < 0 || index + 1 >= parts.length) {
+        return null;
+    }
+
+    // Scoped package
+    if(parts[index + 1].indexOf('@') === 0) {
+        if(index + 2 >= parts.length) {
+            return null;
+        }
+
+        return parts.slice(0, index + 3).join(Path.sep);
+    }
+
+    return parts.slice(0, index + 2).join(Path.sep);
+}
+
+export function getLicense(pkg) {
+    let license = pkg.license || pkg.licenses;
+
+    if(IsString(license) && license.length > 0) {
+        return license;
+    }
+
+    if(IsPlainObject(license) && IsString(license.type)) {
+        return license.type;
+    }
+
+    // Legacy "licenses" array (e.g. [{ "type": "MIT" }, { "type": "Apache-2.0" }])
+    if(Array.isArray(license) && license.length > 0) {
+        let types = Map(license, (item) => (IsPlainObject(item) ? item.type : item)).filter(IsString);
+
+        if(types.length > 1) {
+            return `(${types.join(' OR ')})`;
+        }
+
+        return types[0] || null;
+    }
+
+    return null;
+}
+
+export function findLicenseFile(path) {
+    if(!Filesystem.existsSync(path)) {
+        return null;
+    }
+
+    let name = Filesystem.readdirSync(path).sort().find((name) => LicenseFileRegex.test(name));
+
+    if(IsNil(name)) {
+        return null;
+    }
+
+    return Path.join(path, name);
+}
+
+export function getRepository(pkg) {
+    let repository = pkg.repository;
+
+    if(IsPlainObject(repository)) {
+        repository = repository.url;
+    }
+
+    if(!IsString(repository)) {
+        return null;
+    }
+
+    return repository.replace(/^git\+/, '');
+}
+
+function createPackage(path, pkg) {
+    return {
+        name: pkg.name,
+        version: pkg.version || null,
+
+        path,
+
+        description: pkg.description || null,
+        homepage: pkg.homepage || null,
+        repository: getRepository(pkg),
+
+        license: getLicense(pkg),
+        licenseFile: findLicenseFile(path)
+    };
+}
+
+export function readPackage(path) {
+    return Filesystem.readJson(Path.join(path, 'package.json')).then((pkg) =>
+        createPackage(path, pkg)
+    );
+}
+
+export function readPackageSync(path) {
+    return createPackage(path, Filesystem.readJsonSync(Path.join(path, 'package.json')));
+}
+
+function getBundledPackagePaths(stats) {
+    return Uniq(getModuleResources(stats).map(getPackagePath).filter((path) => !IsNil(path)));
+}
+
+function getUniquePackages(packages) {
+    // Ignore radon modules
+    packages = packages.filter((pkg) =>
+        !IsNil(pkg) && !IsNil(pkg.name) && pkg.name.indexOf('@radon-extension/') !== 0
+    );
+
+    // Remove duplicate packages (installed in multiple locations)
+    return UniqBy(packages, ({name, version}) => `${name}@${version}`).sort((a, b) =>
+        a.name.localeCompare(b.name) || String(a.version).localeCompare(String(b.version))
+    );
+}
+
+export function getBundledPackages(stats) {
+    return Promise.all(Map(getBundledPackagePaths(stats), (path) => readPackage(path).catch(() => null)))
+        .then((packages) => getUniquePackages(packages));
+}
+
+export function getBundledPackageIds(stats) {
+    let packages = Map(getBundledPackagePaths(stats), (path) => {
+        try {
+            return readPackageSync(path);
+        } catch(e) {
+            return null;
+        }
+    });
+
+    return Map(getUniquePackages(packages), ({name, version}) => `${name}@${version}`);
+}
+
+export default {
+    getBundledPackageIds,
+    getBundledPackages,
+    getLicense,
+    getModuleResources,
+    getPackagePath,
+    readPackage,
+    readPackageSync
+};
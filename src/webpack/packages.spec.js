@@ -0,0 +1,100 @@
+import Filesystem from 'fs-extra';
+import Os from 'os';
+import Path from 'path';
+
+import {getBundledPackageIds, getLicense, getModuleResource, getModuleResources, getPackagePath} from './packages';
+
+
+describe('Webpack', () => {
+    describe('Packages', () => {
+        describe('getModuleResource', () => {
+            it('should remove loaders, queries and concatenation suffixes', () => {
+                expect(getModuleResource(
+                    '/app/node_modules/babel-loader/lib/index.js??ref--0!/app/node_modules/lodash-es/map.js'
+                )).toBe('/app/node_modules/lodash-es/map.js');
+
+                expect(getModuleResource('/app/src/index.js?query + 4 modules')).toBe('/app/src/index.js');
+            });
+
+            it('should ignore virtual modules', () => {
+                expect(getModuleResource('multi ./src/index.js')).toBeNull();
+            });
+        });
+
+        describe('getModuleResources', () => {
+            it('should include concatenated modules', () => {
+                expect(getModuleResources({
+                    modules: [
+                        {
+                            identifier: '/app/src/index.js + 1 modules',
+
+                            modules: [
+                                { identifier: '/app/node_modules/uuid/index.js' }
+                            ]
+                        }
+                    ]
+                })).toEqual([
+                    '/app/node_modules/uuid/index.js',
+                    '/app/src/index.js'
+                ]);
+            });
+        });
+
+        describe('getPackagePath', () => {
+            it('should return the package directory', () => {
+                expect(getPackagePath('/app/node_modules/lodash-es/map.js')).toBe('/app/node_modules/lodash-es');
+                expect(getPackagePath('/app/node_modules/a/node_modules/@babel/runtime/helpers/x.js')).toBe(
+                    '/app/node_modules/a/node_modules/@babel/runtime'
+                );
+            });
+
+            it('should return null for sources outside of packages', () => {
+                expect(getPackagePath('/app/src/index.js')).toBeNull();
+            });
+        });
+
+        describe('getLicense', () => {
+            it('should return SPDX expressions', () => {
+                expect(getLicense({ license: 'MIT' })).toBe('MIT');
+                expect(getLicense({ license: { type: 'ISC' } })).toBe('ISC');
+                expect(getLicense({ licenses: [{ type: 'MIT' }, { type: 'Apache-2.0' }] })).toBe('(MIT OR Apache-2.0)');
+                expect(getLicense({})).toBeNull();
+            });
+        });
+
+        describe('getBundledPackageIds', () => {
+            let path;
+
+            beforeEach(() => {
+                path = Filesystem.mkdtempSync(Path.join(Os.tmpdir(), 'radon-packages-'));
+
+                Filesystem.outputJsonSync(Path.join(path, 'node_modules/uuid/package.json'), {
+                    name: 'uuid',
+                    version: '3.1.0'
+                });
+
+                Filesystem.outputJsonSync(Path.join(path, 'node_modules/@radon-extension/framework/package.json'), {
+                    name: '@radon-extension/framework',
+                    version: '1.0.0'
+                });
+            });
+
+            afterEach(() => {
+                Filesystem.removeSync(path);
+            });
+
+            it('should return unique bundled packages (excluding radon modules)', () => {
+                expect(getBundledPackageIds({
+                    modules: [
+                        { identifier: Path.join(path, 'node_modules/uuid/index.js') },
+                        { identifier: Path.join(path, 'node_modules/uuid/lib/rng.js') },
+                        { identifier: Path.join(path, 'node_modules/@radon-extension/framework/index.js') },
+                        { identifier: Path.join(path, 'node_modules/missing/index.js') }
+                    ]
+                })).toEqual([
+                    'uuid@3.1.0'
+                ]);
+            });
+        });
+    });
+});
@@ -0,0 +1,59 @@
+/* global __resourceQuery, browser, chrome */
+
+function parseQuery(query) {
+    let result = {};
+
+    if(!query || query.length < 2) {
+        return result;
+    }
+
+    // Parse query parameters
+    let params = query.substring(1).split('&');
+
+    for(let i = 0; i < params.length; i++) {
+        let [key, value] = params[i].split('=');
+
+        result[decodeURIComponent(key)] = decodeURIComponent(value || '');
+    }
+
+    return result;
+}
+
+function getRuntime() {
+    if(typeof browser !== 'undefined' && browser.runtime) {
+        return browser.runtime;
+    }
+
+    return chrome.runtime;
+}
+
+const Options = parseQuery(__resourceQuery);
+
+function connect() {
+    let socket = new WebSocket(`ws://localhost:${Options.port}`);
+
+    socket.onmessage = (event) => {
+        let message;
+
+        try {
+            message = JSON.parse(event.data);
+        } catch(e) {
+            return;
+        }
+
+        // Ignore messages for other browsers
+        if(message.type !== 'reload' || message.browser !== Options.browser) {
+            return;
+        }
+
+        // Reload extension
+        getRuntime().reload();
+    };
+
+    // Reconnect after the build tool has been restarted
+    socket.onclose = () => {
+        setTimeout(connect, 2000);
+    };
+}
+
+connect();
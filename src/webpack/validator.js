@@ -37,7 +37,7 @@ export default class Validator {
         }
 
         // Validate module reasons
-        ForEach(this.resolveReasons(browser, environment, module), ({ module, source }) => {
+        ForEach(Validator.resolveReasons(browser, environment, module), ({ module, source }) => {
             if(Get(this.checked, [module.userRequest, source])) {
                 return;
             }
@@ -240,49 +240,6 @@ export default class Validator {
         };
     }
 
-    resolveModule(browser, path, options) {
-        options = {
-            dependencies: true,
-
-            ...(options || {})
-        };
-
-        return Find(browser.modules, (module) => {
-            if(module.type === 'package' || path.indexOf(module.path) < 0) {
-                return false;
-            }
-
-            if(!options.dependencies && path.indexOf(Path.join(module.path, 'node_modules')) > -1) {
-                return false;
-            }
-
-            return true;
-        });
-    }
-
-    resolveReasons(browser, environment, module) {
-        let reasons = [];
-
-        ForEach(module.reasons, (reason) => {
-            if(IsNil(reason.module) || IsNil(reason.module.userRequest)) {
-                return;
-            }
-
-            let source = Validator.resolveLink(browser, environment, reason.module.userRequest);
-
-            // Resolve module
-            if(!IsNil(this.resolveModule(browser, source, { dependencies: false }))) {
-                reasons.push({ module, source });
-                return;
-            }
-
-            // Resolve reasons
-            reasons.push(...this.resolveReasons(browser, environment, reason.module));
-        });
-
-        return reasons;
-    }
-
     finish(browser, environment) {
         if(this._error) {
             throw new Error('Build didn\'t pass validation');
@@ -382,6 +339,56 @@ export default class Validator {
         Logger.info(`Registered link: "${source}" -> "${target}"`);
     }
 
+    static resolveModule(browser, path, options) {
+        options = {
+            dependencies: true,
+
+            ...(options || {})
+        };
+
+        return Find(browser.modules, (module) => {
+            if(module.type === 'package' || path.indexOf(module.path) < 0) {
+                return false;
+            }
+
+            if(!options.dependencies && path.indexOf(Path.join(module.path, 'node_modules')) > -1) {
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    static resolveReasons(browser, environment, module, visited = []) {
+        let reasons = [];
+
+        ForEach(module.reasons, (reason) => {
+            if(IsNil(reason.module) || IsNil(reason.module.userRequest)) {
+                return;
+            }
+
+            let source = Validator.resolveLink(browser, environment, reason.module.userRequest);
+
+            // Resolve module
+            if(!IsNil(Validator.resolveModule(browser, source, { dependencies: false }))) {
+                reasons.push({ module, source });
+                return;
+            }
+
+            // Ignore modules that have already been resolved (circular dependencies)
+            if(visited.indexOf(reason.module) >= 0) {
+                return;
+            }
+
+            visited.push(reason.module);
+
+            // Resolve reasons
+            reasons.push(...Validator.resolveReasons(browser, environment, reason.module, visited));
+        });
+
+        return reasons;
+    }
+
     static resolveLink(browser, environment, path) {
         if(IsNil(path)) {
             return path;